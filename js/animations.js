@@ -3,8 +3,7 @@
  * Handles fold/unfold animations with easing and controls
  */
 
-import { getPaperGroup, getPanelMeshes } from './foldMesh.js';
-import { getCurrentFoldType, getCurrentOrientation, isVerticalOrientation } from './foldCalculator.js';
+import { getPanelMeshes, getComparePanelMeshes, bendPanel, bendCarriedPanels } from './foldMesh.js';
 
 // Animation state
 let currentFoldProgress = 0; // 0 = unfolded, 1 = fully folded
@@ -21,9 +20,6 @@ let onProgressUpdateCallback = null;
 // Animation timing
 const BASE_ANIMATION_DURATION = 2000; // 2 seconds at 1x speed
 
-// Maximum fold progress (0.8 = 80%) to prevent panel clipping
-const MAX_FOLD_PROGRESS = 0.8;
-
 /**
  * Initialize the animation system
  * @param {Function} onProgressUpdate - Callback when progress changes
@@ -160,325 +156,51 @@ function updateAnimation(deltaTime) {
 
 /**
  * Apply fold progress to the paper mesh
+ * Every fold type is driven by the panel definitions from foldCalculator.js
  * @param {number} progress - -1 to 1 (slider value)
  */
 function applyFoldProgress(progress) {
     const panelMeshes = getPanelMeshes();
     if (!panelMeshes || panelMeshes.length === 0) return;
     
-    const foldType = getCurrentFoldType();
-    const isVertical = isVerticalOrientation();
-    
-    // Cap the actual fold progress at MAX_FOLD_PROGRESS to prevent clipping
-    // Slider shows -100 to 100%, but actual fold is -80% to 80%
-    const cappedProgress = progress * MAX_FOLD_PROGRESS;
-    
     // Handle easing for negative values
     const easedProgress = progress >= 0 
-        ? easeInOutCubic(cappedProgress) 
-        : -easeInOutCubic(Math.abs(cappedProgress));
-    
-    // Apply different folding logic based on fold type
-    switch (foldType) {
-        case 'bi-fold':
-            applyBiFold(panelMeshes, easedProgress, isVertical);
-            break;
-            
-        case 'tri-fold-z':
-            applyTriFoldZ(panelMeshes, easedProgress, isVertical);
-            break;
-            
-        case 'tri-fold-roll':
-            applyTriFoldRoll(panelMeshes, easedProgress, isVertical);
-            break;
-            
-        case 'gate-fold':
-            applyGateFold(panelMeshes, easedProgress, isVertical);
-            break;
-            
-        case 'double-gate-fold':
-            applyDoubleGateFold(panelMeshes, easedProgress, isVertical);
-            break;
-    }
-}
-
-// Base rotation to lie flat (must match foldMesh.js)
-const BASE_ROTATION_X = Math.PI / 2;
-
-/**
- * Apply bi-fold animation
- * @param {Array} panelMeshes 
- * @param {number} progress 
- * @param {boolean} isVertical 
- */
-function applyBiFold(panelMeshes, progress, isVertical) {
-    if (panelMeshes.length < 2) return;
-    
-    const foldAngle = progress * Math.PI;
-    
-    // Panel 0 is base (doesn't move)
-    // Panel 1 folds over panel 0
-    const panel1 = panelMeshes[1];
-    if (panel1 && panel1.pivot) {
-        if (isVertical) {
-            // Vertical fold: rotate around Y axis (left-right fold)
-            panel1.pivot.rotation.y = foldAngle;
-        } else {
-            // Horizontal fold: rotate around X axis (top-bottom fold)
-            // ADD to base rotation, don't replace it
-            panel1.pivot.rotation.x = BASE_ROTATION_X + foldAngle;
-        }
-        // Add slight height offset to prevent Z-fighting
-        panel1.pivot.position.y = progress * PANEL_Z_OFFSET;
-    }
-}
-
-// Z-offset to prevent panel clipping during folds
-const PANEL_Z_OFFSET = 0.05;
-
-/**
- * Apply tri-fold Z (accordion) animation
- * @param {Array} panelMeshes 
- * @param {number} progress 
- * @param {boolean} isVertical
- */
-function applyTriFoldZ(panelMeshes, progress, isVertical) {
-    if (panelMeshes.length < 3) return;
-    
-    const foldAngle = progress * Math.PI;
-    
-    // Panel 0 is base
-    // Panel 1 folds backward (down, away from viewer)
-    // Panel 2 folds forward (up, toward viewer, relative to panel 1)
-    
-    const panel1 = panelMeshes[1];
-    const panel2 = panelMeshes[2];
-    
-    if (panel1 && panel1.pivot) {
-        if (isVertical) {
-            panel1.pivot.rotation.y = -foldAngle; // Fold backward
-        } else {
-            panel1.pivot.rotation.x = -foldAngle; // Fold backward (horizontal)
-        }
-        if (isVertical) {
-            panel1.pivot.position.y = progress * PANEL_Z_OFFSET;
-            panel1.pivot.position.z = 0;
-        } else {
-            panel1.pivot.position.z = -(progress * PANEL_Z_OFFSET);
-        }
-    }
-    
-    if (panel2 && panel2.pivot) {
-        if (isVertical) {
-            panel2.pivot.rotation.y = foldAngle; // Fold forward relative to panel 1
-        } else {
-            panel2.pivot.rotation.x = foldAngle; // Fold forward (horizontal)
-        }
-        if (isVertical) {
-            panel2.pivot.position.y = progress * PANEL_Z_OFFSET * 2;
-            panel2.pivot.position.z = 0;
-        } else {
-            panel2.pivot.position.z = -(progress * PANEL_Z_OFFSET * 2);
-        }
-    }
-}
-
-/**
- * Apply tri-fold roll (letter fold) animation
- * @param {Array} panelMeshes 
- * @param {number} progress 
- * @param {boolean} isVertical
- */
-function applyTriFoldRoll(panelMeshes, progress, isVertical) {
-    if (panelMeshes.length < 3) return;
-    
-    // Panel 0 is base
-    // Panel 2 (inner) folds first, then panel 1 folds over
-    // Use staged animation: panel 2 leads, panel 1 follows
-    // Handle negative progress: fold in opposite direction (use abs, flip rotation sign)
-    const absProgress = Math.abs(progress);
-    const sign = progress >= 0 ? 1 : -1;
-    
-    const panel1Progress = Math.max(0, Math.min(1, (absProgress - 0.2) / 0.8));
-    const panel2Progress = Math.max(0, Math.min(1, absProgress / 0.8));
-    
-    const easedPanel1 = easeInOutCubic(panel1Progress);
-    const easedPanel2 = easeInOutCubic(panel2Progress);
-    
-    const panel1 = panelMeshes[1];
-    const panel2 = panelMeshes[2];
-    
-    // Both panels fold same direction (toward base); negate for opposite fold direction
-    // Vertical: negative Y rotation folds toward base. Horizontal: positive X rotation folds up.
-    const rotMult = isVertical ? -sign : sign;
-    
-    if (panel2 && panel2.pivot) {
-        if (isVertical) {
-            panel2.pivot.rotation.y = rotMult * easedPanel2 * Math.PI;
-        } else {
-            panel2.pivot.rotation.x = rotMult * easedPanel2 * Math.PI;
-        }
-        const nestOffset = (panel2.pivot.userData.panelConfig && panel2.pivot.userData.panelConfig.nestOffset) || 0;
-        const offsetAmount = easedPanel2 * (PANEL_Z_OFFSET + nestOffset);
-        if (isVertical) {
-            // Vertical: use position.z for stacking (up/down in world); position.y caused X shifting
-            panel2.pivot.position.y = 0;
-            panel2.pivot.position.z = sign * offsetAmount;
-        } else {
-            // Horizontal: invert stacking for negative progress
-            panel2.pivot.position.z = -sign * offsetAmount;
-        }
-    }
-    
-    if (panel1 && panel1.pivot) {
-        if (isVertical) {
-            panel1.pivot.rotation.y = rotMult * easedPanel1 * Math.PI;
-        } else {
-            panel1.pivot.rotation.x = rotMult * easedPanel1 * Math.PI;
-        }
-        if (absProgress > 0) {
-            const panel1Offset = (PANEL_Z_OFFSET * 2 * easedPanel1) + (easedPanel1 * PANEL_Z_OFFSET);
-            if (isVertical) {
-                // Vertical: use position.z for stacking (up/down in world)
-                panel1.pivot.position.y = 0;
-                panel1.pivot.position.z = sign * panel1Offset;
-            } else {
-                // Horizontal: invert stacking for negative progress
-                panel1.pivot.position.z = -sign * panel1Offset;
-            }
-        } else {
-            if (isVertical) {
-                panel1.pivot.position.y = 0;
-            }
-            panel1.pivot.position.z = 0;
-        }
-    }
-}
-
-/**
- * Apply gate fold animation
- * @param {Array} panelMeshes 
- * @param {number} progress 
- * @param {boolean} isVertical
- */
-function applyGateFold(panelMeshes, progress, isVertical) {
-    if (panelMeshes.length < 3) return;
-    
-    const foldAngle = progress * Math.PI;
+        ? easeInOutCubic(progress) 
+        : -easeInOutCubic(Math.abs(progress));
     
-    // Panel 1 is center (base)
-    // Panel 0 (left/top) folds inward
-    // Panel 2 (right/bottom) folds inward
+    // Negative progress folds every panel the opposite way
+    const absProgress = Math.abs(easedProgress);
+    const sign = easedProgress >= 0 ? 1 : -1;
     
-    const panel0 = panelMeshes[0];
-    const panel2 = panelMeshes[2];
-    
-    if (panel0 && panel0.pivot) {
-        if (isVertical) {
-            panel0.pivot.rotation.y = -foldAngle; // Fold right (inward)
-            // Add height offset (Y) to prevent clipping with center panel
-            const yCurve = Math.sin(progress * Math.PI) * 0.2;
-            panel0.pivot.position.y = (progress * PANEL_Z_OFFSET) + yCurve;
-            panel0.pivot.position.z = 0;
-        } else {
-            panel0.pivot.rotation.x = -foldAngle; // Fold down (inward)
-            // Use a much smaller curve and offset for horizontal
-            const yCurve = Math.sin(progress * Math.PI) * 0.05; // Reduced from 0.4
-            panel0.pivot.position.z = -((progress * PANEL_Z_OFFSET) + yCurve);
-        }
-    }
-    
-    if (panel2 && panel2.pivot) {
-        if (isVertical) {
-            panel2.pivot.rotation.y = foldAngle; // Fold left (inward)
-            // Panel 2 on top of panel 0 (higher Y-offset)
-            const yCurve = Math.sin(progress * Math.PI) * 0.3;
-            panel2.pivot.position.y = (progress * PANEL_Z_OFFSET * 2.5) + yCurve;
-            panel2.pivot.position.z = 0;
-        } else {
-            panel2.pivot.rotation.x = foldAngle; // Fold up (inward)
-            // Use a much smaller curve and offset for horizontal
-            const yCurve = Math.sin(progress * Math.PI) * 0.08; // Reduced from 0.6
-            panel2.pivot.position.z = -((progress * PANEL_Z_OFFSET * 2.1) + yCurve);
-        }
-    }
+    // A comparison sheet folds in step with the current one
+    [panelMeshes, getComparePanelMeshes()].forEach(meshes => {
+        meshes.forEach(meshData => {
+            applyPanelFold(meshData, absProgress, sign);
+        });
+        bendCarriedPanels(meshes);
+    });
 }
 
 /**
- * Apply double gate fold animation
- * 4 panels with staged animation:
- * 0-50%: Outer panels (0, 3) fold 180° inward onto center panels
- * 50-100%: Right side (panels 2, 3) folds onto left side at center spine
- * @param {Array} panelMeshes 
- * @param {number} progress 
- * @param {boolean} isVertical
+ * Bend a single panel around its crease for the given fold progress
+ * Child pivots live in their parent's panel frame, where local -Z faces the
+ * front of the sheet, so a front-folding panel bends toward -Z.
+ * @param {Object} meshData - Entry from getPanelMeshes()
+ * @param {number} progress - Eased fold progress, 0 to 1
+ * @param {number} sign - 1 to fold, -1 to fold the opposite way
  */
-function applyDoubleGateFold(panelMeshes, progress, isVertical) {
-    if (panelMeshes.length < 4) return;
-    
-    // Handle negative progress
-    const absProgress = Math.abs(progress);
-    const sign = progress >= 0 ? 1 : -1;
-    
-    // Stage 1 (0-50%): Outer panels fold 180° inward
-    // Stage 2 (50-100%): Right center folds onto left center at spine
-    const outerProgress = Math.min(1, absProgress * 2); // 0-50% -> 0-100%
-    const spineProgress = Math.max(0, (absProgress - 0.5) * 2); // 50-100% -> 0-100%
-    
-    const easedOuter = easeInOutCubic(outerProgress);
-    const easedSpine = easeInOutCubic(spineProgress);
-    
-    // Panels: 0=LeftOuter, 1=LeftCenter (base), 2=RightCenter, 3=RightOuter
-    const leftOuter = panelMeshes[0];
-    const rightCenter = panelMeshes[2];
-    const rightOuter = panelMeshes[3];
-    
-    // Outer panels fold 180° inward
-    const outerFoldAngle = sign * easedOuter * Math.PI;
-    // Spine fold 180° (right side folds onto left)
-    const spineFoldAngle = sign * easedSpine * Math.PI;
-    
-    // Offsets for stacking (same values for both orientations)
-    const outerZBias = easedOuter * PANEL_Z_OFFSET * 1.5;
-    const outerCurve = Math.sin(outerProgress * Math.PI) * 0.15;
-    const spineZBias = easedSpine * PANEL_Z_OFFSET * 3;
-    const spineCurve = Math.sin(spineProgress * Math.PI) * 0.25;
-    
-    // Left outer panel folds inward (right)
-    if (leftOuter && leftOuter.pivot) {
-        if (isVertical) {
-            leftOuter.pivot.rotation.y = -outerFoldAngle;
-            leftOuter.pivot.position.y = 0;
-            leftOuter.pivot.position.z = -sign * (outerZBias + outerCurve);
-        } else {
-            leftOuter.pivot.rotation.x = -outerFoldAngle;
-            leftOuter.pivot.position.z = -sign * (outerZBias + outerCurve);
-        }
-    }
-    
-    // Right outer panel folds inward (left)
-    if (rightOuter && rightOuter.pivot) {
-        if (isVertical) {
-            rightOuter.pivot.rotation.y = outerFoldAngle;
-            rightOuter.pivot.position.y = 0;
-            rightOuter.pivot.position.z = -sign * (outerZBias + outerCurve);
-        } else {
-            rightOuter.pivot.rotation.x = outerFoldAngle;
-            rightOuter.pivot.position.z = -sign * (outerZBias + outerCurve);
-        }
-    }
-    
-    // Right center panel folds at spine (carries right outer with it)
-    if (rightCenter && rightCenter.pivot) {
-        if (isVertical) {
-            rightCenter.pivot.rotation.y = spineFoldAngle;
-            rightCenter.pivot.position.y = 0;
-            rightCenter.pivot.position.z = -sign * (spineZBias + spineCurve);
-        } else {
-            rightCenter.pivot.rotation.x = spineFoldAngle;
-            rightCenter.pivot.position.z = -sign * (spineZBias + spineCurve);
-        }
-    }
+function applyPanelFold(meshData, progress, sign) {
+    const panel = meshData.panel;
+    if (!meshData.pivot || !panel || panel.parentIndex === undefined) return;
+    
+    // Staged panels only turn during their slice of the overall progress
+    const [stageStart, stageEnd] = panel.stage || [0, 1];
+    const isStaged = stageStart > 0 || stageEnd < 1;
+    const stageProgress = Math.max(0, Math.min(1, (progress - stageStart) / (stageEnd - stageStart)));
+    const easedStage = isStaged ? easeInOutCubic(stageProgress) : stageProgress;
+    
+    const direction = sign * panel.foldDirection;
+    bendPanel(meshData, easedStage * panel.foldAngle, -direction);
 }
 
 /**
@@ -609,22 +331,7 @@ export function resetAnimation() {
     isPlaying = false;
     animationDirection = 1;
     
-    // Reset all panel positions and rotations
-    const panelMeshes = getPanelMeshes();
-    if (panelMeshes) {
-        panelMeshes.forEach((meshData, index) => {
-            if (meshData.pivot) {
-                // Only reset rotation for child panels (non-root)
-                // Root panels keep their base rotation from foldMesh.js
-                if (meshData.pivot.userData && meshData.pivot.userData.isRoot === false) {
-                    meshData.pivot.rotation.x = 0;
-                    meshData.pivot.rotation.y = 0;
-                }
-                meshData.pivot.position.z = 0;
-            }
-        });
-    }
-    
+    // Unbend every panel (root panels keep their placement from foldMesh.js)
     applyFoldProgress(0);
     updateProgressUI(0);
     updatePlayPauseUI();
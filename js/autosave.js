@@ -0,0 +1,456 @@
+/**
+ * Autosave Module
+ * Keeps the session in IndexedDB as a .foldproof project, offers to restore
+ * the last one on load, and lists recent projects with viewport thumbnails
+ */
+
+import { getRenderer, getScene, getCamera, getControls } from './scene.js';
+import { writeProjectFile, readProjectFile } from './project.js';
+
+const DB_NAME = 'foldproof';
+const DB_VERSION = 1;
+const STORE_NAME = 'projects';
+
+// Wait this long after the last change before saving
+const AUTOSAVE_DELAY = 2000;
+
+// Oldest projects beyond this many are deleted
+const MAX_RECENT_PROJECTS = 6;
+
+const THUMBNAIL_WIDTH = 160;
+const THUMBNAIL_HEIGHT = 100;
+
+// Record the current session saves to; null until it first saves
+let sessionId = null;
+
+let autosaveTimer = null;
+let saving = false;
+let savePending = false;
+
+// Set while a saved project is applied, so it isn't saved half-restored
+let restoring = false;
+
+// null when IndexedDB can't be opened (e.g. some private windows)
+let dbPromise = null;
+
+let getProjectStateCallback = null;
+let onProjectOpenCallback = null;
+
+/**
+ * Initialize autosave, the recent project list and the restore prompt
+ * @param {Function} getProjectState - Returns the current project state, as project.js saves it
+ * @param {Function} onProjectOpen - Called with a saved state to restore; may return a Promise
+ */
+export async function initAutosave(getProjectState, onProjectOpen) {
+    getProjectStateCallback = getProjectState;
+    onProjectOpenCallback = onProjectOpen;
+    dbPromise = openDatabase().catch(error => {
+        console.error('Autosave unavailable:', error);
+        return null;
+    });
+
+    // Settings, toggles and uploads all fire change events; the camera fires 'end'
+    document.addEventListener('change', scheduleAutosave);
+    getControls()?.addEventListener('end', scheduleAutosave);
+
+    setupRecentProjectList();
+    setupRestorePrompt();
+
+    try {
+        const projects = await updateRecentProjectList();
+        if (projects.length > 0 && sessionId === null) {
+            showRestorePrompt(projects[0]);
+        }
+    } catch (error) {
+        console.error('Error listing recent projects:', error);
+    }
+}
+
+/**
+ * Save the session shortly, once changes settle
+ */
+export function scheduleAutosave() {
+    if (autosaveTimer) clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(() => {
+        autosaveTimer = null;
+        autosave();
+    }, AUTOSAVE_DELAY);
+}
+
+/**
+ * Save further changes as a new recent project rather than over the current one
+ * Called when a project file is opened.
+ */
+export function beginNewSession() {
+    sessionId = null;
+    hideRestorePrompt();
+}
+
+/**
+ * Save the session now
+ * Sessions without any artwork aren't saved, so clearing the uploads doesn't
+ * overwrite the last save.
+ */
+async function autosave() {
+    if (restoring) return;
+    if (saving) {
+        savePending = true;
+        return;
+    }
+
+    // Set before anything is awaited, so a second timer waits for this save
+    saving = true;
+    try {
+        const db = await dbPromise;
+        const state = getProjectStateCallback();
+        if (!db || !hasArtwork(state.images)) return;
+
+        const record = {
+            id: sessionId || createId(),
+            name: getProjectName(state.images),
+            updated: Date.now(),
+            thumbnail: captureThumbnail(),
+            data: await writeProjectFile(state)
+        };
+        sessionId = record.id;
+        await putRecord(db, record);
+        await pruneRecords(db);
+        await updateRecentProjectList();
+    } catch (error) {
+        console.error('Autosave failed:', error);
+    } finally {
+        saving = false;
+        if (savePending) {
+            savePending = false;
+            scheduleAutosave();
+        }
+    }
+}
+
+/**
+ * Restore a saved project and keep saving to it
+ * @param {string} id - Record id
+ */
+async function openRecentProject(id) {
+    const db = await dbPromise;
+    if (!db) return;
+    hideRestorePrompt();
+
+    restoring = true;
+    try {
+        const record = await getRecord(db, id);
+        if (!record) {
+            alert('That project is no longer saved.');
+            return;
+        }
+        const state = await readProjectFile(record.data);
+        sessionId = record.id;
+        await onProjectOpenCallback(state);
+    } catch (error) {
+        console.error('Error restoring project:', error);
+        alert(`Error restoring project: ${error.message}`);
+    } finally {
+        restoring = false;
+    }
+
+    // Refresh the thumbnail and time from the restored view
+    scheduleAutosave();
+}
+
+/**
+ * Delete a saved project
+ * @param {string} id - Record id
+ */
+async function removeRecentProject(id) {
+    const db = await dbPromise;
+    if (!db) return;
+
+    try {
+        await deleteRecord(db, id);
+        if (id === sessionId) sessionId = null;
+        await updateRecentProjectList();
+    } catch (error) {
+        console.error('Error deleting project:', error);
+    }
+}
+
+/**
+ * Whether a project has any artwork worth saving
+ * @param {Object} images - From getImageState()
+ * @returns {boolean}
+ */
+function hasArtwork(images) {
+    return !!(images.front || images.back ||
+        Object.keys(images.panels.front).length > 0 || Object.keys(images.panels.back).length > 0);
+}
+
+/**
+ * Name a project after its artwork
+ * @param {Object} images - From getImageState()
+ * @returns {string}
+ */
+function getProjectName(images) {
+    const names = [images.front, images.back]
+        .map(image => image?.file?.name)
+        .filter((name, index, all) => name && all.indexOf(name) === index);
+    return names.length > 0 ? names.join(' / ') : 'Untitled project';
+}
+
+/**
+ * Create a record id
+ * @returns {string}
+ */
+function createId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Render the viewport into a small JPEG
+ * @returns {string|null} Data URL
+ */
+function captureThumbnail() {
+    const renderer = getRenderer();
+    const scene = getScene();
+    const camera = getCamera();
+    if (!renderer || !scene || !camera) return null;
+
+    // The drawing buffer is only readable right after a render
+    renderer.render(scene, camera);
+    const source = renderer.domElement;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = THUMBNAIL_WIDTH;
+    canvas.height = THUMBNAIL_HEIGHT;
+    const context = canvas.getContext('2d');
+
+    // Cover the thumbnail, cropping the longer side
+    const scale = Math.max(THUMBNAIL_WIDTH / source.width, THUMBNAIL_HEIGHT / source.height);
+    const width = THUMBNAIL_WIDTH / scale;
+    const height = THUMBNAIL_HEIGHT / scale;
+    context.drawImage(
+        source,
+        (source.width - width) / 2, (source.height - height) / 2, width, height,
+        0, 0, THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT
+    );
+    return canvas.toDataURL('image/jpeg', 0.8);
+}
+
+/**
+ * Setup clicks on the recent project list
+ */
+function setupRecentProjectList() {
+    const list = document.getElementById('recent-projects');
+    if (!list) return;
+
+    list.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-project]');
+        if (!item) return;
+
+        if (e.target.closest('.recent-project-remove')) {
+            removeRecentProject(item.dataset.project);
+        } else if (item.dataset.project !== sessionId) {
+            openRecentProject(item.dataset.project);
+        }
+    });
+}
+
+/**
+ * Redraw the recent project list
+ * @returns {Promise<Array<Object>>} Saved projects, newest first, without their data
+ */
+async function updateRecentProjectList() {
+    const db = await dbPromise;
+    const projects = db ? await getRecordSummaries(db) : [];
+
+    const section = document.getElementById('recent-projects-section');
+    const list = document.getElementById('recent-projects');
+    if (section) section.hidden = projects.length === 0;
+    if (!list) return projects;
+
+    list.innerHTML = '';
+    projects.forEach(project => {
+        const isCurrent = project.id === sessionId;
+        const item = document.createElement('li');
+        item.className = `recent-project${isCurrent ? ' current' : ''}`;
+        item.dataset.project = project.id;
+        item.title = isCurrent ? 'Current session' : 'Click to restore';
+
+        const thumb = document.createElement('img');
+        thumb.className = 'recent-project-thumb';
+        thumb.alt = '';
+        if (project.thumbnail) thumb.src = project.thumbnail;
+        item.appendChild(thumb);
+
+        const info = document.createElement('div');
+        info.className = 'recent-project-info';
+        const name = document.createElement('span');
+        name.className = 'recent-project-name';
+        name.textContent = project.name;
+        const time = document.createElement('span');
+        time.className = 'recent-project-time';
+        time.textContent = isCurrent ? 'Current session' : formatTime(project.updated);
+        info.appendChild(name);
+        info.appendChild(time);
+        item.appendChild(info);
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'recent-project-remove';
+        remove.title = 'Remove from recent projects';
+        remove.textContent = '×';
+        item.appendChild(remove);
+
+        list.appendChild(item);
+    });
+    return projects;
+}
+
+/**
+ * Format a save time for the list
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string}
+ */
+function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Setup the restore prompt buttons
+ */
+function setupRestorePrompt() {
+    const accept = document.getElementById('restore-accept');
+    const dismiss = document.getElementById('restore-dismiss');
+
+    if (accept) {
+        accept.addEventListener('click', () => {
+            const prompt = document.getElementById('restore-prompt');
+            if (prompt?.dataset.project) openRecentProject(prompt.dataset.project);
+        });
+    }
+    if (dismiss) {
+        dismiss.addEventListener('click', hideRestorePrompt);
+    }
+}
+
+/**
+ * Offer to restore the last session
+ * @param {Object} project - Record summary
+ */
+function showRestorePrompt(project) {
+    const prompt = document.getElementById('restore-prompt');
+    const text = document.getElementById('restore-prompt-text');
+    if (!prompt) return;
+
+    prompt.dataset.project = project.id;
+    if (text) text.textContent = `Restore your last session? ${project.name}, ${formatTime(project.updated)}`;
+    prompt.hidden = false;
+}
+
+/**
+ * Hide the restore prompt
+ */
+function hideRestorePrompt() {
+    const prompt = document.getElementById('restore-prompt');
+    if (prompt) prompt.hidden = true;
+}
+
+/**
+ * Open the project database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB not supported'));
+            return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            store.createIndex('updated', 'updated');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run a request against the project store
+ * @param {IDBDatabase} db
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Called with the store, returns an IDBRequest
+ * @returns {Promise<*>} The request's result
+ */
+function runRequest(db, mode, makeRequest) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = makeRequest(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Save a project record
+ * @param {IDBDatabase} db
+ * @param {Object} record - { id, name, updated, thumbnail, data }
+ * @returns {Promise}
+ */
+function putRecord(db, record) {
+    return runRequest(db, 'readwrite', store => store.put(record));
+}
+
+/**
+ * Load a project record
+ * @param {IDBDatabase} db
+ * @param {string} id
+ * @returns {Promise<Object|undefined>}
+ */
+function getRecord(db, id) {
+    return runRequest(db, 'readonly', store => store.get(id));
+}
+
+/**
+ * Delete a project record
+ * @param {IDBDatabase} db
+ * @param {string} id
+ * @returns {Promise}
+ */
+function deleteRecord(db, id) {
+    return runRequest(db, 'readwrite', store => store.delete(id));
+}
+
+/**
+ * List the saved projects without their data, newest first
+ * @param {IDBDatabase} db
+ * @returns {Promise<Array<{ id, name, updated, thumbnail }>>}
+ */
+function getRecordSummaries(db) {
+    return new Promise((resolve, reject) => {
+        const projects = [];
+        const transaction = db.transaction(STORE_NAME, 'readonly');
+        const request = transaction.objectStore(STORE_NAME).index('updated').openCursor(null, 'prev');
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            const { id, name, updated, thumbnail } = cursor.value;
+            projects.push({ id, name, updated, thumbnail });
+            cursor.continue();
+        };
+        transaction.oncomplete = () => resolve(projects);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Delete all but the newest MAX_RECENT_PROJECTS projects
+ * @param {IDBDatabase} db
+ * @returns {Promise}
+ */
+async function pruneRecords(db) {
+    const projects = await getRecordSummaries(db);
+    for (const project of projects.slice(MAX_RECENT_PROJECTS)) {
+        await deleteRecord(db, project.id);
+    }
+}
@@ -0,0 +1,366 @@
+/**
+ * Compare Module
+ * Keeps earlier sets of artwork as versions and compares the current artwork
+ * against one: side by side, as an A/B toggle, or as a pixel-difference overlay
+ */
+
+import { getImages } from './imageHandler.js';
+import { getCurrentSize } from './sizeParser.js';
+import { calculatePanels, getPanelImageRect } from './foldCalculator.js';
+
+// Resolution the sheets are compared at, capped for large sheets
+const DIFFERENCE_PPI = 72;
+const DIFFERENCE_MAX_SIZE = 1024;
+
+// Smallest change in any channel (0-255) that counts as a difference
+const DIFFERENCE_THRESHOLD = 24;
+
+// Overlay color for changed pixels (RGBA), cyan to stand apart from the magenta gamut warning
+const DIFFERENCE_COLOR = [6, 182, 212, 200];
+
+// Saved versions: { name, images } with images as getImages() returns them
+let versions = [];
+let selectedIndex = -1;
+let mode = 'off';
+
+// A/B mode: whether the version is shown instead of the current artwork
+let showingVersion = false;
+
+// Bumped by every difference so a slow one can't overwrite a newer one
+let differenceCount = 0;
+
+// Decoded uploads, so comparing again doesn't decode them again
+const decodedImages = new WeakMap();
+
+let onCompareChangeCallback = null;
+
+/**
+ * Initialize the compare controls
+ * @param {Function} onCompareChange - Called when the version, view mode or A/B side changes
+ */
+export function initCompare(onCompareChange) {
+    onCompareChangeCallback = onCompareChange;
+
+    const saveBtn = document.getElementById('compare-save');
+    const versionSelect = document.getElementById('compare-version');
+    const removeBtn = document.getElementById('compare-remove');
+    const modeSelect = document.getElementById('compare-mode');
+    const abBtn = document.getElementById('compare-ab');
+
+    if (saveBtn) {
+        saveBtn.addEventListener('click', saveVersion);
+    }
+
+    if (versionSelect) {
+        versionSelect.addEventListener('change', (e) => {
+            selectedIndex = parseInt(e.target.value, 10);
+            notifyCompareChange();
+        });
+    }
+
+    if (removeBtn) {
+        removeBtn.addEventListener('click', () => {
+            if (selectedIndex < 0) return;
+            versions.splice(selectedIndex, 1);
+            selectedIndex = Math.min(selectedIndex, versions.length - 1);
+            if (versions.length === 0) mode = 'off';
+            updateCompareControls();
+            notifyCompareChange();
+        });
+    }
+
+    if (modeSelect) {
+        modeSelect.addEventListener('change', (e) => {
+            mode = e.target.value;
+            showingVersion = false;
+            updateCompareControls();
+            notifyCompareChange();
+        });
+    }
+
+    if (abBtn) {
+        abBtn.addEventListener('click', toggleVersion);
+    }
+
+    updateCompareControls();
+}
+
+/**
+ * Keep the current artwork as a version to compare against
+ */
+function saveVersion() {
+    const images = getImages();
+    const hasPanels = Object.keys(images.panels.front).length > 0 || Object.keys(images.panels.back).length > 0;
+    if (!images.front && !images.back && !hasPanels) {
+        alert('Upload artwork before keeping it as a version.');
+        return;
+    }
+
+    const fileName = (images.front || images.back)?.file?.name;
+
+    versions.push({
+        name: `Version ${versions.length + 1}${fileName ? ` · ${fileName}` : ''}`,
+        images
+    });
+    selectedIndex = versions.length - 1;
+
+    updateCompareControls();
+    if (mode !== 'off') notifyCompareChange();
+}
+
+/**
+ * Switch between the current artwork and the version in A/B mode
+ */
+function toggleVersion() {
+    if (mode !== 'ab') return;
+    showingVersion = !showingVersion;
+    updateCompareControls();
+    notifyCompareChange();
+}
+
+/**
+ * Get how the version is compared
+ * @returns {string} 'off', 'side-by-side', 'ab' or 'difference'
+ */
+export function getCompareMode() {
+    return getCompareVersion() ? mode : 'off';
+}
+
+/**
+ * Get the version being compared against
+ * @returns {{ name: string, images: Object }|null}
+ */
+export function getCompareVersion() {
+    return versions[selectedIndex] || null;
+}
+
+/**
+ * Whether A/B mode is showing the version rather than the current artwork
+ * @returns {boolean}
+ */
+export function isShowingVersion() {
+    return getCompareMode() === 'ab' && showingVersion;
+}
+
+/**
+ * Find the pixels that differ between the current artwork and a version
+ * Each side is drawn the way it lands on the sheet (trim, panel images and
+ * all) and compared; a side missing from one of them counts as bare paper.
+ * @param {Object} images - Current artwork from getImages()
+ * @param {Object} versionImages - The version's artwork
+ * @param {Object} reflect - { reflectFrontH, reflectBackH, reflectFrontV, reflectBackV }
+ * @returns {Promise<Object|null>} { front, back }, each { canvas, changed } or null when neither has
+ *     artwork on that side; null if a newer difference started
+ */
+export async function computeDifference(images, versionImages, reflect) {
+    const run = ++differenceCount;
+
+    const size = getCurrentSize();
+    const panelConfig = calculatePanels(size);
+    const ppi = Math.min(DIFFERENCE_PPI, DIFFERENCE_MAX_SIZE / Math.max(size.width, size.height));
+    const width = Math.max(1, Math.round(size.width * ppi));
+    const height = Math.max(1, Math.round(size.height * ppi));
+    const result = {};
+
+    for (const side of ['front', 'back']) {
+        const isFront = side === 'front';
+        const flip = {
+            h: isFront ? reflect.reflectFrontH : reflect.reflectBackH,
+            v: isFront ? reflect.reflectFrontV : reflect.reflectBackV
+        };
+        const layout = { side, size, panelConfig, flip, width, height };
+
+        const current = await renderSide(images, layout);
+        const version = await renderSide(versionImages, layout);
+        if (run !== differenceCount) return null;
+
+        result[side] = current || version
+            ? diffCanvases(current || createBlankCanvas(width, height), version || createBlankCanvas(width, height))
+            : null;
+    }
+
+    if (mode === 'difference') updateCompareNote(result);
+    return result;
+}
+
+/**
+ * Draw one side of a set of artwork as it lands on the sheet, in its image layout
+ * @param {Object} images - From getImages() or a version
+ * @param {Object} layout - { side, size, panelConfig, flip, width, height }
+ * @returns {Promise<HTMLCanvasElement|null>} null when the side has no artwork
+ */
+async function renderSide(images, layout) {
+    const { side, size, panelConfig, flip, width, height } = layout;
+    const sheet = images[side];
+    const panels = Object.entries(images.panels[side]);
+    if (!sheet && panels.length === 0) return null;
+
+    const canvas = createBlankCanvas(width, height);
+    const context = canvas.getContext('2d');
+    const scaleX = width / size.width;
+    const scaleY = height / size.height;
+
+    if (sheet) {
+        drawTrimmed(context, sheet, await decodeImage(sheet), { x: 0, y: 0, width: size.width, height: size.height }, scaleX, scaleY);
+    }
+
+    for (const [index, image] of panels) {
+        const panel = panelConfig.panels[index];
+        if (!panel) continue;
+        const rect = getPanelImageRect(panel, panelConfig, size, flip);
+        drawTrimmed(context, image, await decodeImage(image), rect, scaleX, scaleY);
+    }
+
+    return canvas;
+}
+
+/**
+ * Draw the trim of an upload (or all of it) stretched over a rect
+ * @param {CanvasRenderingContext2D} context
+ * @param {Object} imageData - Upload, for its trim
+ * @param {HTMLImageElement} element - Decoded upload
+ * @param {{ x, y, width, height }} rect - Inches from the top-left trim corner
+ * @param {number} scaleX - Canvas pixels per inch across
+ * @param {number} scaleY - Canvas pixels per inch down
+ */
+function drawTrimmed(context, imageData, element, rect, scaleX, scaleY) {
+    const trim = imageData.trim || { x: 0, y: 0, width: 1, height: 1 };
+    const { naturalWidth, naturalHeight } = element;
+    context.drawImage(
+        element,
+        trim.x * naturalWidth, trim.y * naturalHeight,
+        trim.width * naturalWidth, trim.height * naturalHeight,
+        rect.x * scaleX, rect.y * scaleY, rect.width * scaleX, rect.height * scaleY
+    );
+}
+
+/**
+ * Mark the pixels that differ between two canvases of the same size
+ * @param {HTMLCanvasElement} a
+ * @param {HTMLCanvasElement} b
+ * @returns {{ canvas: HTMLCanvasElement, changed: number }} Overlay with changed pixels colored and
+ *     the rest transparent, and the fraction of pixels that changed
+ */
+function diffCanvases(a, b) {
+    const { width, height } = a;
+    const pixelsA = a.getContext('2d').getImageData(0, 0, width, height).data;
+    const pixelsB = b.getContext('2d').getImageData(0, 0, width, height).data;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    const overlay = context.createImageData(width, height);
+    const out = overlay.data;
+    let changed = 0;
+
+    for (let i = 0; i < pixelsA.length; i += 4) {
+        const delta = Math.max(
+            Math.abs(pixelsA[i] - pixelsB[i]),
+            Math.abs(pixelsA[i + 1] - pixelsB[i + 1]),
+            Math.abs(pixelsA[i + 2] - pixelsB[i + 2])
+        );
+        if (delta < DIFFERENCE_THRESHOLD) continue;
+        out.set(DIFFERENCE_COLOR, i);
+        changed++;
+    }
+
+    context.putImageData(overlay, 0, 0);
+    return { canvas, changed: changed / (width * height) };
+}
+
+/**
+ * Create a white canvas: bare paper
+ * @param {number} width
+ * @param {number} height
+ * @returns {HTMLCanvasElement}
+ */
+function createBlankCanvas(width, height) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, width, height);
+    return canvas;
+}
+
+/**
+ * Decode an upload, once
+ * @param {Object} imageData - Upload with a dataUrl
+ * @returns {Promise<HTMLImageElement>}
+ */
+function decodeImage(imageData) {
+    if (!decodedImages.has(imageData)) {
+        const element = new Image();
+        element.src = imageData.dataUrl;
+        decodedImages.set(imageData, element.decode().then(() => element));
+    }
+    return decodedImages.get(imageData);
+}
+
+/**
+ * Redraw the version list and show the controls for the current mode
+ */
+function updateCompareControls() {
+    const settings = document.getElementById('compare-settings');
+    const versionSelect = document.getElementById('compare-version');
+    const modeSelect = document.getElementById('compare-mode');
+    const abBtn = document.getElementById('compare-ab');
+
+    if (settings) settings.hidden = versions.length === 0;
+
+    if (versionSelect) {
+        versionSelect.innerHTML = '';
+        versions.forEach((version, index) => {
+            const option = document.createElement('option');
+            option.value = String(index);
+            option.textContent = version.name;
+            versionSelect.appendChild(option);
+        });
+        versionSelect.value = String(selectedIndex);
+    }
+
+    if (modeSelect) modeSelect.value = mode;
+
+    if (abBtn) {
+        abBtn.hidden = mode !== 'ab';
+        abBtn.textContent = showingVersion ? 'Show Current Artwork' : 'Show Version';
+    }
+
+    if (mode !== 'difference') updateCompareNote(null);
+}
+
+/**
+ * Show how much of each side changed
+ * @param {Object|null} difference - From computeDifference, or null to clear the note
+ */
+function updateCompareNote(difference) {
+    const note = document.getElementById('compare-note');
+    if (!note) return;
+
+    if (!difference) {
+        note.textContent = '';
+        return;
+    }
+
+    const parts = [];
+    ['front', 'back'].forEach(side => {
+        if (!difference[side]) return;
+        const label = side === 'front' ? 'Front' : 'Back';
+        const percent = difference[side].changed * 100;
+        parts.push(percent > 0
+            ? `${label}: ${percent < 1 ? '<1' : Math.round(percent)}% changed`
+            : `${label}: no changes`);
+    });
+    note.textContent = parts.join(' · ');
+}
+
+/**
+ * Notify that the comparison changed
+ */
+function notifyCompareChange() {
+    if (onCompareChangeCallback) {
+        onCompareChangeCallback();
+    }
+}
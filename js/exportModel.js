@@ -0,0 +1,585 @@
+/**
+ * Export Model Module
+ * Exports the folded sheet as a 3D model with its front and back artwork
+ * embedded, at its real size in meters: a GLB (optionally with the fold
+ * animation) or a USDZ for AR Quick Look on iPhone and iPad
+ */
+
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { USDZExporter } from 'three/addons/exporters/USDZExporter.js';
+import { getPaperGroup, getScaleFactor } from './foldMesh.js';
+import { setFoldProgress, getFoldProgress, pause } from './animations.js';
+
+// glTF units are meters
+const METERS_PER_INCH = 0.0254;
+
+// Fold animation: flat to folded over FOLD_DURATION seconds, sampled at FOLD_FRAMES steps.
+// Panels turn at every step; each crease is keyed at no more than MORPH_FRAMES of them,
+// as many glTF viewers blend at most 8 morph targets on a mesh.
+const FOLD_DURATION = 2;
+const FOLD_FRAMES = 31;
+const MORPH_FRAMES = 7;
+
+// Largest texture side written to the file
+const MAX_TEXTURE_SIZE = 4096;
+
+// Values closer than this count as unchanged between frames
+const EPSILON = 1e-6;
+
+// USDZ packages: files are stored uncompressed with their data 64-byte aligned,
+// and only these file types may be inside
+const USDZ_ALIGNMENT = 64;
+const USD_EXTENSIONS = ['usda', 'usdc', 'usd'];
+const USDZ_EXTENSIONS = [...USD_EXTENSIONS, 'png', 'jpg', 'jpeg', 'm4a', 'mp3', 'wav'];
+
+// Zip record signatures
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+let crcTable = null;
+
+/**
+ * Export the sheet as a GLB download
+ * @param {Object} options - { animate } to include the fold animation, { progress } to pose the
+ *     sheet at a fold progress (-1 to 1) other than the current one
+ */
+export async function exportGlb(options = {}) {
+    const group = getPaperGroup();
+    if (!group) {
+        alert('Upload artwork before exporting a 3D model.');
+        return;
+    }
+
+    pause();
+
+    try {
+        const { root, animations } = createModel(group, options);
+        const glb = await new GLTFExporter().parseAsync(root, {
+            binary: true,
+            animations,
+            maxTextureSize: MAX_TEXTURE_SIZE
+        });
+        disposeModel(root);
+
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/[-:T]/g, '');
+        downloadBlob(new Blob([glb], { type: 'model/gltf-binary' }), `foldproof-model-${timestamp}.glb`);
+    } catch (error) {
+        console.error('GLB export failed:', error);
+        alert(`3D model export failed: ${error.message}`);
+    }
+}
+
+/**
+ * Export the sheet as a USDZ download for AR Quick Look
+ * The package is checked with validateUsdz before it's offered.
+ * @param {Object} options - { progress } to pose the sheet at a fold progress (-1 to 1) other than
+ *     the current one
+ */
+export async function exportUsdz(options = {}) {
+    const group = getPaperGroup();
+    if (!group) {
+        alert('Upload artwork before exporting a 3D model.');
+        return;
+    }
+
+    pause();
+
+    try {
+        const usdz = await createUsdz(group, options);
+
+        const problems = validateUsdz(usdz);
+        if (problems.length > 0) {
+            throw new Error(`The USDZ package is not valid: ${problems.join('; ')}`);
+        }
+
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/[-:T]/g, '');
+        downloadBlob(new Blob([usdz], { type: 'model/vnd.usdz+zip' }), `foldproof-model-${timestamp}.usdz`);
+    } catch (error) {
+        console.error('USDZ export failed:', error);
+        alert(`3D model export failed: ${error.message}`);
+    }
+}
+
+/**
+ * Build a USDZ package of the sheet
+ * The sheet rests on the floor (or table) it's placed on.
+ * @param {THREE.Group} group - The paper group
+ * @param {Object} options - { progress } to pose the sheet at a fold progress (-1 to 1) other than
+ *     the current one
+ * @returns {Promise<Uint8Array>}
+ */
+export async function createUsdz(group, options = {}) {
+    const { root } = createModel(group, { progress: options.progress });
+    root.updateMatrixWorld(true);
+    root.position.y = -new THREE.Box3().setFromObject(root).min.y;
+    root.updateMatrixWorld(true);
+
+    try {
+        return await new USDZExporter().parse(root, { quickLookCompatible: true });
+    } finally {
+        disposeModel(root);
+    }
+}
+
+/**
+ * Check that bytes are a well-formed USDZ package
+ * Follows the USDZ rules Quick Look relies on: a zip whose files are stored
+ * uncompressed and unencrypted with their data 64-byte aligned, only USD,
+ * image and audio files inside, a USD root layer first, and every asset a
+ * text layer references present in the package.
+ * @param {Uint8Array} bytes
+ * @returns {Array<string>} Problems found; empty when the package is valid
+ */
+export function validateUsdz(bytes) {
+    const problems = [];
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const decoder = new TextDecoder();
+
+    // The end of central directory record sits at the end, before an optional comment
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) return ['not a zip archive'];
+
+    const entryCount = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    const files = new Map();
+    const order = [];
+
+    for (let i = 0; i < entryCount; i++) {
+        if (offset + 46 > bytes.length || view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+            problems.push('the central directory is damaged');
+            return problems;
+        }
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const crc = view.getUint32(offset + 16, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const size = view.getUint32(offset + 24, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (localOffset + 30 > bytes.length || view.getUint32(localOffset, true) !== LOCAL_HEADER_SIGNATURE) {
+            problems.push(`${name}: missing its file header`);
+            continue;
+        }
+        const dataOffset = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = bytes.subarray(dataOffset, dataOffset + size);
+
+        const extension = name.split('.').pop().toLowerCase();
+        if (!USDZ_EXTENSIONS.includes(extension)) problems.push(`${name}: file type not allowed in USDZ`);
+        if (flags & 1) problems.push(`${name}: encrypted`);
+        if (dataOffset % USDZ_ALIGNMENT !== 0) problems.push(`${name}: data not ${USDZ_ALIGNMENT}-byte aligned`);
+        files.set(name, { extension, data: null, localOffset });
+        order.push(name);
+
+        // The contents of a compressed or cut-off file can't be checked
+        if (method !== 0 || compressedSize !== size) {
+            problems.push(`${name}: compressed`);
+        } else if (dataOffset + size > bytes.length) {
+            problems.push(`${name}: truncated`);
+        } else if (crc32(data) !== crc) {
+            problems.push(`${name}: checksum mismatch`);
+        } else {
+            files.get(name).data = data;
+        }
+    }
+
+    if (order.length === 0) {
+        problems.push('the package is empty');
+        return problems;
+    }
+
+    // The root layer is the first file in the archive
+    const first = order.reduce((a, b) => (files.get(a).localOffset <= files.get(b).localOffset ? a : b));
+    if (!USD_EXTENSIONS.includes(files.get(first).extension)) {
+        problems.push(`the first file (${first}) is not a USD layer`);
+    }
+
+    files.forEach((file, name) => {
+        if (file.extension !== 'usda' || !file.data) return;
+        const text = decoder.decode(file.data);
+        if (!text.startsWith('#usda')) {
+            problems.push(`${name}: not a USD text layer`);
+            return;
+        }
+
+        if (name === first) {
+            const defaultPrim = text.match(/defaultPrim\s*=\s*"([^"]+)"/)?.[1];
+            if (!defaultPrim) {
+                problems.push(`${name}: no defaultPrim`);
+            } else if (!new RegExp(`def\\s+(\\w+\\s+)?"${defaultPrim}"`).test(text)) {
+                problems.push(`${name}: defaultPrim "${defaultPrim}" is not defined`);
+            }
+        }
+
+        const folder = name.includes('/') ? name.slice(0, name.lastIndexOf('/') + 1) : '';
+        for (const [, path] of text.matchAll(/@([^@]+)@/g)) {
+            const asset = resolvePath(folder, path);
+            if (!files.has(asset)) problems.push(`${name}: references ${path}, which is not in the package`);
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Copy the paper group into a model for export
+ * The copy has its own geometry, materials and textures, so the scene is
+ * left as it was. It's scaled to meters and posed at the current fold, or at
+ * the given progress.
+ * @param {THREE.Group} group - The paper group
+ * @param {Object} options - { animate, progress }
+ * @returns {{ root: THREE.Group, animations: Array<THREE.AnimationClip> }}
+ */
+function createModel(group, options = {}) {
+    const { animate = false, progress = null } = options;
+    const pose = progress ?? getFoldProgress();
+    const frames = animate ? sampleFoldAnimation(group, pose < 0 ? -1 : 1) : null;
+
+    const root = new THREE.Group();
+    root.name = 'Foldproof';
+    root.scale.setScalar(METERS_PER_INCH / getScaleFactor());
+
+    const textures = new Map();
+    const originalProgress = getFoldProgress();
+    try {
+        if (progress !== null) setFoldProgress(progress, false);
+        root.add(copyNode(group, textures));
+    } finally {
+        if (progress !== null) setFoldProgress(originalProgress, false);
+    }
+
+    const animations = frames ? [createFoldClip(root.children[0], frames, Math.abs(pose))] : [];
+    return { root, animations };
+}
+
+/**
+ * Record the sheet at evenly spaced steps from flat to folded
+ * The sheet is put back afterwards.
+ * @param {THREE.Group} group - The paper group
+ * @param {number} direction - 1 to fold the usual way, -1 the other way (negative progress)
+ * @returns {Array<Array<Object>>} Per frame, per node in traversal order: { position, quaternion,
+ *     vertices, normals }, the last two for meshes only
+ */
+function sampleFoldAnimation(group, direction) {
+    const originalProgress = getFoldProgress();
+    const nodes = [];
+    group.traverse(node => nodes.push(node));
+
+    const frames = [];
+    try {
+        for (let i = 0; i < FOLD_FRAMES; i++) {
+            setFoldProgress(direction * i / (FOLD_FRAMES - 1), false);
+            frames.push(nodes.map(node => ({
+                position: node.position.toArray(),
+                quaternion: node.quaternion.toArray(),
+                vertices: node.isMesh ? node.geometry.getAttribute('position').array.slice() : null,
+                normals: node.isMesh ? node.geometry.getAttribute('normal').array.slice() : null
+            })));
+        }
+    } finally {
+        setFoldProgress(originalProgress, false);
+    }
+    return frames;
+}
+
+/**
+ * Build the fold animation on a copy of the paper group
+ * Panels turn on their pivots' rotation and position channels. The paper in
+ * the creases bends, which glTF can only store as morph targets, so each
+ * crease gets a small mesh of its own that carries them (see addCreaseMorph).
+ * @param {THREE.Object3D} copy - Copy of the paper group, from copyNode
+ * @param {Array<Array<Object>>} frames - From sampleFoldAnimation
+ * @param {number} progress - Fold progress the copy is posed at, 0 to 1
+ * @returns {THREE.AnimationClip}
+ */
+function createFoldClip(copy, frames, progress) {
+    const times = frames.map((_, i) => i * FOLD_DURATION / (FOLD_FRAMES - 1));
+    const tracks = [];
+
+    const nodes = [];
+    copy.traverse(node => nodes.push(node));
+
+    nodes.forEach((node, index) => {
+        const samples = frames.map(frame => frame[index]);
+
+        if (!isConstant(samples.map(sample => sample.position))) {
+            tracks.push(new THREE.VectorKeyframeTrack(`${node.uuid}.position`, times, samples.flatMap(sample => sample.position)));
+        }
+        if (!isConstant(samples.map(sample => sample.quaternion))) {
+            tracks.push(new THREE.QuaternionKeyframeTrack(`${node.uuid}.quaternion`, times, samples.flatMap(sample => sample.quaternion)));
+        }
+
+        if (node.isMesh) {
+            const track = addCreaseMorph(node, samples, times, progress * FOLD_DURATION);
+            if (track) tracks.push(track);
+        }
+    });
+
+    return new THREE.AnimationClip('Fold', FOLD_DURATION, tracks);
+}
+
+/**
+ * Give the bending part of a mesh morph targets for the fold
+ * Faces with a vertex that moves during the fold go into a crease mesh added
+ * as a child; the rest of the panel stays a plain, flat mesh. The crease is keyed
+ * at up to MORPH_FRAMES frames spread over the part of the fold where it
+ * bends, each stored as the change from its shape before it starts, and
+ * weighted in one after another.
+ * @param {THREE.Mesh} mesh - Mesh in the copy
+ * @param {Array<Object>} samples - The mesh in every frame, from sampleFoldAnimation
+ * @param {Array<number>} times - Time of every frame
+ * @param {number} time - Time in the animation the copy is posed at
+ * @returns {THREE.NumberKeyframeTrack|null} Weights track, or null if the mesh doesn't bend
+ */
+function addCreaseMorph(mesh, samples, times, time) {
+    const vertices = samples.map(sample => sample.vertices);
+    const normals = samples.map(sample => sample.normals);
+    const differs = (arrays, a, b, vertex, tolerance = EPSILON) => {
+        for (let i = vertex * 3; i < vertex * 3 + 3; i++) {
+            if (Math.abs(arrays[a][i] - arrays[b][i]) > tolerance) return true;
+        }
+        return false;
+    };
+
+    const count = vertices[0].length / 3;
+    const moving = [];
+    for (let vertex = 0; vertex < count; vertex++) {
+        if (samples.some((_, frame) => differs(vertices, frame, 0, vertex))) {
+            moving.push(vertex);
+        }
+    }
+    if (moving.length === 0) return null;
+
+    // From the last frame before the crease starts bending to the frame it stops
+    const changed = samples.map((_, frame) => frame > 0 &&
+        moving.some(vertex => differs(vertices, frame, frame - 1, vertex, 0) || differs(normals, frame, frame - 1, vertex, 0)));
+    const first = changed.indexOf(true) - 1;
+    const last = changed.lastIndexOf(true);
+    const keys = [...new Set(Array.from({ length: MORPH_FRAMES + 1 }, (_, i) =>
+        Math.round(first + (last - first) * i / MORPH_FRAMES)))];
+
+    // Split the faces between the panel and its crease
+    const isMoving = new Uint8Array(count);
+    moving.forEach(vertex => { isMoving[vertex] = 1; });
+    const index = mesh.geometry.index.array;
+    const flatFaces = [];
+    const creaseFaces = [];
+    for (let i = 0; i < index.length; i += 3) {
+        const face = [index[i], index[i + 1], index[i + 2]];
+        (face.some(vertex => isMoving[vertex]) ? creaseFaces : flatFaces).push(...face);
+    }
+
+    const uvs = mesh.geometry.getAttribute('uv').array;
+    const crease = extractFaces(creaseFaces, vertices[first], normals[first], uvs);
+    let target = mesh;
+    mesh.geometry.dispose();
+    if (flatFaces.length > 0) {
+        mesh.geometry = extractFaces(flatFaces, vertices[first], normals[first], uvs).geometry;
+        target = new THREE.Mesh(crease.geometry, mesh.material);
+        target.name = `${mesh.name || 'panel'}-crease`;
+        mesh.add(target);
+    } else {
+        mesh.geometry = crease.geometry;
+    }
+
+    const delta = (arrays, frame) => {
+        const base = arrays[first];
+        const values = new Float32Array(crease.vertices.length * 3);
+        crease.vertices.forEach((vertex, i) => {
+            for (let c = 0; c < 3; c++) values[i * 3 + c] = arrays[frame][vertex * 3 + c] - base[vertex * 3 + c];
+        });
+        return new THREE.Float32BufferAttribute(values, 3);
+    };
+    const targets = keys.slice(1);
+    target.geometry.morphAttributes.position = targets.map(frame => delta(vertices, frame));
+    target.geometry.morphAttributes.normal = targets.map(frame => delta(normals, frame));
+    target.geometry.morphTargetsRelative = true;
+    target.updateMorphTargets();
+
+    // No weight at the first key, then each target in turn at full weight
+    const weights = keys.flatMap((_, key) => targets.map((__, i) => (i === key - 1 ? 1 : 0)));
+    const track = new THREE.NumberKeyframeTrack(`${target.uuid}.morphTargetInfluences`, keys.map(frame => times[frame]), weights);
+
+    // Pose the crease to match the panels
+    track.createInterpolant().evaluate(time).forEach((weight, i) => {
+        target.morphTargetInfluences[i] = weight;
+    });
+    return track;
+}
+
+/**
+ * Build a geometry from some of a mesh's faces
+ * @param {Array<number>} faces - Vertex indices, three per face
+ * @param {Float32Array} positions - Vertex positions of the whole mesh
+ * @param {Float32Array} normals - Vertex normals of the whole mesh
+ * @param {Float32Array} uvs - UVs of the whole mesh
+ * @returns {{ geometry: THREE.BufferGeometry, vertices: Array<number> }} The geometry, and
+ *     which vertex of the whole mesh each of its vertices is
+ */
+function extractFaces(faces, positions, normals, uvs) {
+    const remap = new Map();
+    const vertices = [];
+    const index = faces.map(vertex => {
+        if (!remap.has(vertex)) {
+            remap.set(vertex, vertices.length);
+            vertices.push(vertex);
+        }
+        return remap.get(vertex);
+    });
+
+    const pick = (array, size) => new THREE.Float32BufferAttribute(
+        vertices.flatMap(vertex => Array.from(array.subarray(vertex * size, vertex * size + size))), size);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', pick(positions, 3));
+    geometry.setAttribute('normal', pick(normals, 3));
+    geometry.setAttribute('uv', pick(uvs, 2));
+    geometry.setIndex(index);
+    geometry.computeBoundingSphere();
+    return { geometry, vertices };
+}
+
+/**
+ * Copy a node of the paper group and everything under it
+ * Only the transform, geometry and look are copied; userData holds scene
+ * bookkeeping that doesn't belong in the file.
+ * @param {THREE.Object3D} node
+ * @param {Map} textures - Copied textures by source texture, shared across meshes
+ * @returns {THREE.Object3D}
+ */
+function copyNode(node, textures) {
+    const copy = node.isMesh
+        ? new THREE.Mesh(node.geometry.clone(), node.material.clone())
+        : new THREE.Group();
+    copy.name = node.name;
+    copy.position.copy(node.position);
+    copy.quaternion.copy(node.quaternion);
+    copy.scale.copy(node.scale);
+    copy.visible = node.visible;
+
+    if (node.isMesh) bakeTextureTransform(copy, textures);
+
+    node.children.forEach(child => copy.add(copyNode(child, textures)));
+    return copy;
+}
+
+/**
+ * Move a mesh's texture crop and flips into its UVs
+ * The texture's offset and repeat hold the PDF trim and the flips; written
+ * to the UVs, the model doesn't depend on viewers supporting
+ * KHR_texture_transform.
+ * @param {THREE.Mesh} mesh - Copied mesh with its own geometry and material
+ * @param {Map} textures - Copied textures by source texture
+ */
+function bakeTextureTransform(mesh, textures) {
+    const map = mesh.material.map;
+    const uv = mesh.geometry.getAttribute('uv');
+    if (!map || !uv) return;
+
+    map.updateMatrix();
+    const point = new THREE.Vector2();
+    for (let i = 0; i < uv.count; i++) {
+        point.fromBufferAttribute(uv, i).applyMatrix3(map.matrix);
+        uv.setXY(i, point.x, point.y);
+    }
+
+    // Panels differ only in their transform, so they share one copy of the image
+    const source = map.source;
+    if (!textures.has(source)) {
+        const texture = map.clone();
+        texture.offset.set(0, 0);
+        texture.repeat.set(1, 1);
+        texture.rotation = 0;
+        textures.set(source, texture);
+    }
+    mesh.material.map = textures.get(source);
+}
+
+/**
+ * Whether every sample matches the first
+ * @param {Array<ArrayLike<number>>} samples
+ * @returns {boolean}
+ */
+function isConstant(samples) {
+    const first = samples[0];
+    return samples.every(sample => {
+        for (let i = 0; i < first.length; i++) {
+            if (Math.abs(sample[i] - first[i]) > EPSILON) return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * Resolve an asset path from a layer against the package root
+ * @param {string} folder - Folder of the layer, '' or ending in '/'
+ * @param {string} path - Asset path, e.g. ./textures/Texture_1.png or a prim path suffix
+ * @returns {string}
+ */
+function resolvePath(folder, path) {
+    const parts = [];
+    `${path.startsWith('/') ? '' : folder}${path}`.split('/').forEach(part => {
+        if (part === '..') parts.pop();
+        else if (part !== '.' && part !== '') parts.push(part);
+    });
+    return parts.join('/');
+}
+
+/**
+ * CRC-32 of bytes, as zip stores it
+ * @param {Uint8Array} data
+ * @returns {number}
+ */
+function crc32(data) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Free the model's copied geometry, materials and textures
+ * @param {THREE.Object3D} root
+ */
+function disposeModel(root) {
+    const textures = new Set();
+    root.traverse(node => {
+        if (!node.isMesh) return;
+        node.geometry.dispose();
+        if (node.material.map) textures.add(node.material.map);
+        node.material.dispose();
+    });
+    textures.forEach(texture => texture.dispose());
+}
+
+/**
+ * Trigger a download of a blob
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,35 @@
+/**
+ * Export Progress Module
+ * The overlay shown while an animation is rendered for export
+ */
+
+/**
+ * Show the progress overlay
+ * @param {string} title - e.g. 'Creating GIF...'
+ * @returns {{ setText: Function, close: Function }} setText(text) updates the
+ *     line under the title; close() removes the overlay
+ */
+export function showExportProgress(title) {
+    const progressEl = document.createElement('div');
+    progressEl.style.cssText = 'position:fixed;top:50%;left:50%;transform:translate(-50%,-50%);background:var(--bg-secondary);color:var(--text-primary);padding:20px 40px;border-radius:8px;box-shadow:0 4px 20px rgba(0,0,0,0.3);z-index:10000;font-family:inherit;';
+
+    const content = document.createElement('div');
+    content.style.textAlign = 'center';
+    const titleEl = document.createElement('div');
+    titleEl.style.marginBottom = '8px';
+    titleEl.textContent = title;
+    const progressText = document.createElement('div');
+    progressText.textContent = '0%';
+    content.append(titleEl, progressText);
+    progressEl.appendChild(content);
+    document.body.appendChild(progressEl);
+
+    return {
+        setText: (text) => {
+            progressText.textContent = text;
+        },
+        close: () => {
+            progressEl.remove();
+        }
+    };
+}
@@ -0,0 +1,293 @@
+/**
+ * Export Video Module
+ * Renders a motion (fold and camera keyframes) frame by frame to an MP4 or
+ * WebM video at a chosen resolution, frame rate and length
+ */
+
+import * as THREE from 'three';
+import {
+    getRenderer,
+    getScene,
+    getCamera,
+    getGridHelper,
+    getCameraPose,
+    setCameraPose,
+    getBackgroundColor
+} from './scene.js';
+import { getGuideGroup } from './guides.js';
+import { setFoldProgress, getFoldProgress, pause } from './animations.js';
+import { applyMotion, stopMotionPreview } from './motion.js';
+import { showExportProgress } from './exportProgress.js';
+
+// Target bitrate in bits per pixel per frame (about 9 Mbps at 1080p30)
+const BITS_PER_PIXEL = 0.15;
+
+// Seconds between keyframes
+const KEYFRAME_INTERVAL = 2;
+
+// Frames allowed to wait in the encoder before rendering pauses
+const MAX_ENCODE_QUEUE = 8;
+
+// WebCodecs codecs for each container, in order of preference:
+// the encoder's codec string and the muxer's name for it
+const VIDEO_CODECS = {
+    mp4: [
+        { encoder: 'avc1.640033', muxer: 'avc' },
+        { encoder: 'avc1.4d0033', muxer: 'avc' },
+        { encoder: 'vp09.00.51.08', muxer: 'vp9' }
+    ],
+    webm: [
+        { encoder: 'vp09.00.51.08', muxer: 'V_VP9' },
+        { encoder: 'vp8', muxer: 'V_VP8' }
+    ]
+};
+
+// MediaRecorder types for each container, for browsers without WebCodecs
+const RECORDER_TYPES = {
+    mp4: ['video/mp4;codecs=avc1', 'video/mp4'],
+    webm: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+};
+
+// Container names shown to the user
+const FORMAT_NAMES = { mp4: 'MP4', webm: 'WebM' };
+
+/**
+ * Render a motion to a video and download it
+ * Frames are rendered one at a time at exact points in the motion, so the
+ * video is smooth however long each frame takes to draw and encode.
+ * @param {Object} options - { format: 'mp4'|'webm', width, height (0 for the viewport size), fps,
+ *     duration (seconds), motion (from createMotion), showBackground, showGrid, showGuides }
+ */
+export async function exportVideo(options) {
+    const { format, fps, duration, motion, showBackground, showGrid, showGuides } = options;
+    const renderer = getRenderer();
+    const scene = getScene();
+    const camera = getCamera();
+
+    if (!renderer || !scene || !camera) return;
+
+    stopMotionPreview();
+    pause();
+
+    const canvas = renderer.domElement;
+    // Video frame sizes must be even
+    const width = 2 * Math.round((options.width || canvas.width) / 2);
+    const height = 2 * Math.round((options.height || canvas.height) / 2);
+    const frameCount = Math.max(2, Math.round(duration * fps));
+
+    const guideGroup = getGuideGroup();
+    const gridHelper = getGridHelper();
+
+    // Store current state
+    const origBackground = scene.background ? scene.background.clone() : null;
+    const origGuideVisible = guideGroup ? guideGroup.visible : true;
+    const origGridVisible = gridHelper ? gridHelper.visible : true;
+    const origFoldProgress = getFoldProgress();
+    const origSize = renderer.getSize(new THREE.Vector2());
+    const origPixelRatio = renderer.getPixelRatio();
+    const origAspect = camera.aspect;
+    const origCameraPose = getCameraPose();
+
+    // Apply export options
+    if (showBackground) {
+        scene.background = new THREE.Color(getBackgroundColor());
+    } else {
+        scene.background = new THREE.Color(0xffffff);
+    }
+
+    if (gridHelper) gridHelper.visible = showGrid;
+    if (guideGroup) guideGroup.visible = showGuides;
+
+    // Render at the video size; the canvas keeps its place on the page
+    renderer.setPixelRatio(1);
+    renderer.setSize(width, height, false);
+    camera.aspect = width / height;
+    camera.updateProjectionMatrix();
+
+    // Show progress indicator
+    const progress = showExportProgress('Creating video...');
+    const onProgress = (fraction) => {
+        progress.setText(`Rendering: ${Math.round(fraction * 100)}%`);
+    };
+
+    const cleanup = () => {
+        progress.close();
+        scene.background = origBackground;
+        if (guideGroup) guideGroup.visible = origGuideVisible;
+        if (gridHelper) gridHelper.visible = origGridVisible;
+        renderer.setPixelRatio(origPixelRatio);
+        renderer.setSize(origSize.x, origSize.y, false);
+        camera.aspect = origAspect;
+        camera.updateProjectionMatrix();
+        setCameraPose(origCameraPose);
+        setFoldProgress(origFoldProgress, true);
+        renderer.render(scene, camera);
+    };
+
+    const renderFrame = (index) => {
+        applyMotion(motion, index / (frameCount - 1));
+        renderer.render(scene, camera);
+    };
+
+    const video = { format, width, height, fps, frameCount, bitrate: Math.round(width * height * fps * BITS_PER_PIXEL) };
+
+    try {
+        let blob = typeof VideoEncoder !== 'undefined'
+            ? await encodeWithWebCodecs(canvas, video, renderFrame, onProgress)
+            : null;
+        const recorded = !blob;
+        if (recorded) {
+            blob = await recordWithMediaRecorder(canvas, video, renderFrame, onProgress);
+        }
+
+        // MediaRecorder may only offer the other container
+        const ext = blob.type.includes('mp4') ? 'mp4' : 'webm';
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/[-:T]/g, '');
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `foldproof-animation-${timestamp}.${ext}`;
+        a.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        cleanup();
+
+        if (recorded) {
+            const container = ext === format
+                ? ''
+                : ` It was saved as ${FORMAT_NAMES[ext]}, as this browser can't record ${FORMAT_NAMES[format]}.`;
+            alert(`Frame-by-frame encoding isn't available, so the video was recorded in real time and its quality may vary.${container}`);
+        }
+    } catch (err) {
+        console.error('Video export failed:', err);
+        cleanup();
+        const msg = err?.message || String(err);
+        alert(`Video export failed: ${msg}. Please try again.`);
+    }
+}
+
+/**
+ * Encode frames with WebCodecs and mux them into the container
+ * @param {HTMLCanvasElement} canvas - The renderer's canvas
+ * @param {Object} video - { format, width, height, fps, frameCount, bitrate }
+ * @param {Function} renderFrame - Draws frame n to the canvas
+ * @param {Function} onProgress - Called with the fraction of frames done
+ * @returns {Promise<Blob|null>} null when no codec for the container is supported
+ *     or the muxer cannot be loaded
+ */
+async function encodeWithWebCodecs(canvas, video, renderFrame, onProgress) {
+    const { format, width, height, fps, frameCount, bitrate } = video;
+
+    let codec = null;
+    let config = null;
+    for (const candidate of VIDEO_CODECS[format]) {
+        const candidateConfig = { codec: candidate.encoder, width, height, bitrate, framerate: fps };
+        try {
+            if ((await VideoEncoder.isConfigSupported(candidateConfig)).supported) {
+                codec = candidate;
+                config = candidateConfig;
+                break;
+            }
+        } catch (_) {}
+    }
+    if (!codec) return null;
+
+    let muxerModule;
+    try {
+        muxerModule = await import(format === 'mp4' ? 'mp4-muxer' : 'webm-muxer');
+    } catch (error) {
+        console.error(`Could not load the ${format} muxer:`, error);
+        return null;
+    }
+    const { Muxer, ArrayBufferTarget } = muxerModule;
+    const muxer = new Muxer({
+        target: new ArrayBufferTarget(),
+        video: { codec: codec.muxer, width, height, frameRate: fps },
+        ...(format === 'mp4' ? { fastStart: 'in-memory' } : {})
+    });
+
+    let encodeError = null;
+    const encoder = new VideoEncoder({
+        output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+        error: (error) => { encodeError = error; }
+    });
+    encoder.configure(config);
+
+    const frameDuration = 1e6 / fps;
+    const keyframeEvery = Math.max(1, Math.round(KEYFRAME_INTERVAL * fps));
+
+    try {
+        for (let i = 0; i < frameCount; i++) {
+            if (encodeError) throw encodeError;
+
+            renderFrame(i);
+            const frame = new VideoFrame(canvas, {
+                timestamp: Math.round(i * frameDuration),
+                duration: Math.round(frameDuration)
+            });
+            encoder.encode(frame, { keyFrame: i % keyframeEvery === 0 });
+            frame.close();
+            onProgress((i + 1) / frameCount);
+
+            // Let the encoder catch up, and the progress text update
+            while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+                await new Promise(r => setTimeout(r, 1));
+            }
+            await new Promise(r => setTimeout(r, 0));
+        }
+
+        await encoder.flush();
+    } finally {
+        if (encoder.state !== 'closed') encoder.close();
+    }
+    if (encodeError) throw encodeError;
+
+    muxer.finalize();
+    return new Blob([muxer.target.buffer], { type: `video/${format}` });
+}
+
+/**
+ * Record frames with MediaRecorder, for browsers without WebCodecs
+ * MediaRecorder stamps frames as they arrive, so frames are fed in real time.
+ * @param {HTMLCanvasElement} canvas - The renderer's canvas
+ * @param {Object} video - { format, fps, frameCount, bitrate }
+ * @param {Function} renderFrame - Draws frame n to the canvas
+ * @param {Function} onProgress - Called with the fraction of frames done
+ * @returns {Promise<Blob>}
+ */
+async function recordWithMediaRecorder(canvas, video, renderFrame, onProgress) {
+    const { format, fps, frameCount, bitrate } = video;
+    if (typeof MediaRecorder === 'undefined' || !canvas.captureStream) {
+        throw new Error('This browser cannot record video');
+    }
+
+    const otherFormat = format === 'mp4' ? 'webm' : 'mp4';
+    const mimeType = [...RECORDER_TYPES[format], ...RECORDER_TYPES[otherFormat]]
+        .find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) throw new Error('This browser cannot record MP4 or WebM video');
+
+    const stream = canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: bitrate });
+    const chunks = [];
+    recorder.ondataavailable = (e) => {
+        if (e.data.size > 0) chunks.push(e.data);
+    };
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+
+    recorder.start();
+    try {
+        for (let i = 0; i < frameCount; i++) {
+            renderFrame(i);
+            track.requestFrame();
+            onProgress((i + 1) / frameCount);
+            await new Promise(r => setTimeout(r, 1000 / fps));
+        }
+    } finally {
+        recorder.stop();
+        await stopped;
+        track.stop();
+    }
+
+    return new Blob(chunks, { type: mimeType.split(';')[0] });
+}
@@ -5,21 +5,41 @@
  */
 
 import * as THREE from 'three';
-import { getRenderer, getScene, getCamera, getGridHelper } from './scene.js';
+import {
+    getRenderer,
+    getScene,
+    getCamera,
+    getGridHelper,
+    getCameraPose,
+    setCameraPose,
+    getBackgroundColor
+} from './scene.js';
 import { getGuideGroup } from './guides.js';
 import { getImages } from './imageHandler.js';
 import { getCurrentSize } from './sizeParser.js';
 import { getCurrentOrientation } from './foldCalculator.js';
-import { setFoldProgress, getFoldProgress } from './animations.js';
-
-const SCENE_CONFIG = {
-    backgroundColor: 0xf0f0f5,
-    backgroundColorDark: 0x1a1a2e
-};
+import { setFoldProgress, getFoldProgress, pause } from './animations.js';
+import { exportGlb, exportUsdz } from './exportModel.js';
+import { exportVideo } from './exportVideo.js';
+import { showExportProgress } from './exportProgress.js';
+import {
+    createMotion,
+    applyMotion,
+    previewMotion,
+    stopMotionPreview,
+    isMotionPreviewPlaying,
+    addMotionKey,
+    clearMotionKeys,
+    getMotionKeyCount
+} from './motion.js';
 
 // DPI for source export to match viewport paper size
 const EXPORT_DPI = 300;
 
+// GIF settings
+const GIF_FRAME_COUNT = 60;
+const GIF_FRAME_DELAY = 50; // ms between frames (~20fps)
+
 /**
  * Initialize export UI and handlers
  */
@@ -31,6 +51,15 @@ export function initExport() {
     const exportBackground = document.getElementById('export-background');
     const exportGrid = document.getElementById('export-grid');
     const exportGuides = document.getElementById('export-guides');
+    const exportAnimation = document.getElementById('export-animation');
+    const exportFoldState = document.getElementById('export-fold-state');
+    const exportVideoSize = document.getElementById('export-video-size');
+    const exportVideoFps = document.getElementById('export-video-fps');
+    const exportVideoDuration = document.getElementById('export-video-duration');
+    const exportMotion = document.getElementById('export-motion');
+    const motionAddKey = document.getElementById('motion-add-key');
+    const motionClearKeys = document.getElementById('motion-clear-keys');
+    const motionPreview = document.getElementById('motion-preview');
     const exportBtn = document.getElementById('export-btn');
 
     if (screenshotBtn && screenshotDropdown) {
@@ -54,9 +83,38 @@ export function initExport() {
             const showBackground = exportBackground?.checked ?? true;
             const showGrid = exportGrid?.checked ?? true;
             const showGuides = exportGuides?.checked ?? true;
-            
+            const isAnimated = format === 'gif' || format === 'mp4' || format === 'webm';
+            const motion = isAnimated ? createMotion(exportMotion?.value || 'fold') : null;
+
+            if (isAnimated && !motion) {
+                alert('Add at least two camera keys first: set the view and fold, then click Add key.');
+                return;
+            }
+
             if (format === 'gif') {
-                await captureAnimatedGif({ showBackground, showGrid, showGuides });
+                await captureAnimatedGif({ motion, showBackground, showGrid, showGuides });
+            } else if (format === 'mp4' || format === 'webm') {
+                // 'viewport' parses to 0 x 0: the current canvas size
+                const [width = 0, height = 0] = (exportVideoSize?.value || 'viewport').split('x').map(v => parseInt(v, 10) || 0);
+                await exportVideo({
+                    format,
+                    width,
+                    height,
+                    fps: parseInt(exportVideoFps?.value, 10) || 30,
+                    duration: parseFloat(exportVideoDuration?.value) || 4,
+                    motion,
+                    showBackground,
+                    showGrid,
+                    showGuides
+                });
+            } else if (format === 'glb' || format === 'usdz') {
+                const foldState = exportFoldState?.value || 'current';
+                const progress = foldState === 'current' ? null : parseFloat(foldState);
+                if (format === 'glb') {
+                    await exportGlb({ animate: exportAnimation?.checked ?? true, progress });
+                } else {
+                    await exportUsdz({ progress });
+                }
             } else {
                 await captureAndExport({ format, showBackground, showGrid, showGuides });
             }
@@ -64,6 +122,58 @@ export function initExport() {
         });
     }
 
+    if (exportFormat) {
+        exportFormat.addEventListener('change', updateExportOptions);
+    }
+
+    if (exportMotion) {
+        exportMotion.addEventListener('change', updateExportOptions);
+    }
+
+    if (motionAddKey) {
+        motionAddKey.addEventListener('click', () => {
+            stopMotionPreview();
+            addMotionKey();
+            updateMotionKeys();
+        });
+    }
+
+    if (motionClearKeys) {
+        motionClearKeys.addEventListener('click', () => {
+            clearMotionKeys();
+            updateMotionKeys();
+        });
+    }
+
+    if (motionPreview) {
+        motionPreview.addEventListener('click', () => {
+            if (isMotionPreviewPlaying()) {
+                stopMotionPreview();
+                return;
+            }
+
+            const motion = createMotion(exportMotion?.value || 'fold');
+            if (!motion) {
+                alert('Add at least two camera keys first: set the view and fold, then click Add key.');
+                return;
+            }
+
+            // As long as the export will run
+            const isGif = exportFormat?.value === 'gif';
+            const duration = isGif
+                ? GIF_FRAME_COUNT * GIF_FRAME_DELAY / 1000
+                : parseFloat(document.getElementById('export-video-duration')?.value) || 4;
+
+            motionPreview.textContent = 'Stop';
+            previewMotion(motion, duration, () => {
+                motionPreview.textContent = 'Preview';
+            });
+        });
+    }
+
+    updateExportOptions();
+    updateMotionKeys();
+
     if (exportBtn) {
         exportBtn.addEventListener('click', () => {
             if (screenshotDropdown) screenshotDropdown.hidden = true;
@@ -74,6 +184,50 @@ export function initExport() {
     setupSourceExportModal();
 }
 
+/**
+ * Show the options that apply to the chosen format
+ * A 3D model has no background, grid or guides, but can be posed at a fold and a GLB
+ * can carry the fold animation. A video has its own size, frame rate and length,
+ * and a GIF or video follows a motion.
+ */
+function updateExportOptions() {
+    const format = document.getElementById('export-format')?.value;
+    const isModel = format === 'glb' || format === 'usdz';
+    ['export-background', 'export-grid', 'export-guides'].forEach(id => {
+        const option = document.getElementById(id)?.closest('.export-option');
+        if (option) option.hidden = isModel;
+    });
+    const foldStateOption = document.getElementById('export-fold-state-option');
+    const animationOption = document.getElementById('export-animation-option');
+    if (foldStateOption) foldStateOption.hidden = !isModel;
+    // Quick Look plays no animation
+    if (animationOption) animationOption.hidden = format !== 'glb';
+    const isVideo = format === 'mp4' || format === 'webm';
+    document.querySelectorAll('.export-video-option').forEach(option => {
+        option.hidden = !isVideo;
+    });
+    const isAnimated = isVideo || format === 'gif';
+    const isKeys = document.getElementById('export-motion')?.value === 'keys';
+    document.querySelectorAll('.export-motion-option').forEach(option => {
+        option.hidden = !isAnimated || (option.id === 'export-motion-keys-option' && !isKeys);
+    });
+}
+
+/**
+ * Show how many camera keys are captured
+ */
+function updateMotionKeys() {
+    const count = getMotionKeyCount();
+    const note = document.getElementById('motion-keys-count');
+    const clearBtn = document.getElementById('motion-clear-keys');
+    if (note) {
+        note.textContent = count === 0
+            ? 'Set the view and fold, then add a key for each pose'
+            : `${count} key${count === 1 ? '' : 's'}${count < 2 ? ' (add at least two)' : ''}`;
+    }
+    if (clearBtn) clearBtn.disabled = count === 0;
+}
+
 /**
  * Capture viewport and export
  * @param {Object} options - { format, showBackground, showGrid, showGuides }
@@ -97,10 +251,7 @@ async function captureAndExport(options) {
     // Apply export options
     const isPng = format === 'png';
     if (showBackground) {
-        const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
-        scene.background = new THREE.Color(
-            isDark ? SCENE_CONFIG.backgroundColorDark : SCENE_CONFIG.backgroundColor
-        );
+        scene.background = new THREE.Color(getBackgroundColor());
     } else {
         scene.background = isPng ? null : new THREE.Color(0xffffff);
     }
@@ -165,17 +316,20 @@ function downloadDataUrl(dataUrl, filename) {
 }
 
 /**
- * Capture animated GIF of fold animation cycle (-100% to 0% to 100%)
- * @param {Object} options - { showBackground, showGrid, showGuides }
+ * Capture animated GIF of a motion (by default the fold cycle, -100% to 0% to 100%)
+ * @param {Object} options - { motion (from createMotion), showBackground, showGrid, showGuides }
  */
 async function captureAnimatedGif(options) {
-    const { showBackground, showGrid, showGuides } = options;
+    const { motion, showBackground, showGrid, showGuides } = options;
     const renderer = getRenderer();
     const scene = getScene();
     const camera = getCamera();
 
     if (!renderer || !scene || !camera) return;
 
+    stopMotionPreview();
+    pause();
+
     const guideGroup = getGuideGroup();
     const gridHelper = getGridHelper();
 
@@ -184,13 +338,11 @@ async function captureAnimatedGif(options) {
     const origGuideVisible = guideGroup ? guideGroup.visible : true;
     const origGridVisible = gridHelper ? gridHelper.visible : true;
     const origFoldProgress = getFoldProgress();
+    const origCameraPose = getCameraPose();
 
     // Apply export options
     if (showBackground) {
-        const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
-        scene.background = new THREE.Color(
-            isDark ? SCENE_CONFIG.backgroundColorDark : SCENE_CONFIG.backgroundColor
-        );
+        scene.background = new THREE.Color(getBackgroundColor());
     } else {
         scene.background = new THREE.Color(0xffffff);
     }
@@ -201,25 +353,17 @@ async function captureAnimatedGif(options) {
     const canvas = renderer.domElement;
     const width = canvas.width;
     const height = canvas.height;
-
-    // GIF settings
-    const frameCount = 60;
-    const frameDelayMs = 50; // ms between frames (~20fps)
+    const frameCount = GIF_FRAME_COUNT;
 
     // Show progress indicator
-    const progressEl = document.createElement('div');
-    progressEl.style.cssText = 'position:fixed;top:50%;left:50%;transform:translate(-50%,-50%);background:var(--bg-secondary);color:var(--text-primary);padding:20px 40px;border-radius:8px;box-shadow:0 4px 20px rgba(0,0,0,0.3);z-index:10000;font-family:inherit;';
-    progressEl.innerHTML = '<div style="text-align:center;"><div style="margin-bottom:8px;">Creating GIF...</div><div id="gif-progress">0%</div></div>';
-    document.body.appendChild(progressEl);
-    const progressText = document.getElementById('gif-progress');
+    const progress = showExportProgress('Creating GIF...');
 
     const cleanup = () => {
-        try {
-            if (progressEl.parentNode) document.body.removeChild(progressEl);
-        } catch (_) {}
+        progress.close();
         scene.background = origBackground;
         if (guideGroup) guideGroup.visible = origGuideVisible;
         if (gridHelper) gridHelper.visible = origGridVisible;
+        setCameraPose(origCameraPose);
         setFoldProgress(origFoldProgress, true);
         renderer.render(scene, camera);
     };
@@ -267,8 +411,7 @@ async function captureAnimatedGif(options) {
         const frameCtx = frameCanvas.getContext('2d');
 
         for (let i = 0; i < frameCount; i++) {
-            const progress = -1 + (2 * i / Math.max(1, frameCount - 1));
-            setFoldProgress(progress, false);
+            applyMotion(motion, i / (frameCount - 1));
             renderer.render(scene, camera);
 
             frameCtx.drawImage(canvas, 0, 0);
@@ -279,16 +422,14 @@ async function captureAnimatedGif(options) {
             const index = applyPalette(rgba, palette);
             gif.writeFrame(index, width, height, {
                 palette,
-                delay: frameDelayMs
+                delay: GIF_FRAME_DELAY
             });
 
-            if (progressText) {
-                progressText.textContent = `Capturing: ${Math.round((i + 1) / frameCount * 100)}%`;
-            }
+            progress.setText(`Capturing: ${Math.round((i + 1) / frameCount * 100)}%`);
             await new Promise(r => setTimeout(r, 0));
         }
 
-        if (progressText) progressText.textContent = 'Encoding...';
+        progress.setText('Encoding...');
         gif.finish();
         const bytes = gif.bytes();
         const blob = new Blob([bytes], { type: 'image/gif' });
@@ -3,38 +3,166 @@
  * Calculates panel dimensions and fold configurations
  */
 
-// Fold type definitions (orientation-agnostic)
+import { getCurrentSize, parseFractionalMeasurement, formatFractionalMeasurement } from './sizeParser.js';
+
+/**
+ * Fold type definitions (orientation-agnostic)
+ *
+ * Each fold is described by its panels in sheet order (left-to-right, or
+ * top-to-bottom for horizontal folds). Panel fields:
+ *   share       - Relative width of the panel (normalised across the sheet)
+ *   nest        - How many folds wrap around the panel once folded; tucked
+ *                 panels are shortened for the paper caliper (see
+ *                 calculateCompensatedWidths)
+ *   parent      - Index of the adjacent panel this one hinges on (omit for the base panel)
+ *   crease      - 1 folds toward the front (viewer), -1 folds toward the back
+ *   stage       - [start, end] slice of fold progress during which the panel turns
+ *   layer       - Stacking gap from the parent when folded, in crease gaps; sets
+ *                 the crease's bend radius, so a panel that closes over
+ *                 other folded panels needs room for their layers
+ *   nestOffset  - Additional stacking offset for panels tucked inside others,
+ *                 in sheet thicknesses
+ *   label       - Text shown inside the panel in the fold diagram
+ *   creaseLabel - Text shown under this panel's crease in the fold diagram
+ * The pivot edge is derived from the parent: a panel to the right of its
+ * parent hinges on its left edge and vice versa.
+ *
+ * Folds that come in several sizes list the allowed `panelCounts` (the first
+ * is the default) and generate their panels with `createPanels(count)`.
+ *
+ * Cross folds (folded along both axes) set `columns` and `rows` share lists
+ * on the fold instead, and place each panel with `column`/`row` in place of
+ * `share`. Panels in the same row hinge left/right, panels in the same column
+ * hinge top/bottom.
+ */
 const FOLD_TYPES = {
     'bi-fold': {
         name: 'Bi-Fold',
-        panelCount: 2,
-        description: '2 equal panels, folds in half'
+        description: '2 equal panels, folds in half',
+        panels: [
+            { share: 1 },
+            { share: 1, parent: 0, crease: 1, layer: 1, creaseLabel: 'fold' }
+        ]
     },
     'tri-fold-z': {
-        name: 'Tri-Fold Z-Fold',
-        panelCount: 3,
-        description: '3 panels, accordion style (Z-shape)'
+        name: 'Z-Fold',
+        menuLabel: 'Z-Fold (Accordion)',
+        description: 'Panels alternate crease direction, accordion style (Z-shape)',
+        panelCounts: [3, 4, 5, 6],
+        createPanels: createAccordionPanels
     },
     'tri-fold-roll': {
-        name: 'Tri-Fold Roll',
-        panelCount: 3,
-        description: '3 panels, one folds in first (letter fold)'
+        name: 'Roll Fold',
+        menuLabel: 'Roll Fold (Letter)',
+        description: 'Panels roll in from the end, innermost first (letter fold)',
+        panelCounts: [3, 4, 5],
+        createPanels: createRollPanels
     },
     'gate-fold': {
         name: 'Gate Fold',
-        panelCount: 3,
-        description: '2 outer panels fold to center'
+        description: '2 outer panels fold to center',
+        panels: [
+            { share: 1, parent: 1, crease: 1, layer: 1 },
+            { share: 2, label: 'center' },
+            { share: 1, parent: 1, crease: 1, layer: 2.1 }
+        ]
     },
     'double-gate-fold': {
         name: 'Double Gate Fold',
-        panelCount: 4,
-        description: '4 panels, outer panels fold inward then sandwiched in half'
+        description: '4 panels, outer panels fold inward then sandwiched in half',
+        // Outer panels end up inside the spine fold, so they are the tucked ones
+        panels: [
+            { share: 1, nest: 1, parent: 1, crease: 1, stage: [0, 0.5], layer: 1.5, nestOffset: 2 },
+            { share: 1 },
+            { share: 1, parent: 1, crease: 1, stage: [0.5, 1], layer: 5.5, creaseLabel: 'spine' },
+            { share: 1, nest: 1, parent: 2, crease: 1, stage: [0, 0.5], layer: 1.5, nestOffset: 2 }
+        ]
+    },
+    'french-fold': {
+        name: 'French Fold',
+        menuLabel: 'French Fold (Right-Angle)',
+        description: '4 quadrants, folds in half one way then in half the other',
+        columns: [1, 1],
+        rows: [1, 1],
+        // Top half folds down first, then the right half folds over the left,
+        // tucking both top quadrants inside
+        panels: [
+            { column: 0, row: 0, nest: 1, parent: 2, crease: 1, stage: [0, 0.5], layer: 1 },
+            { column: 1, row: 0, nest: 1, parent: 3, crease: 1, stage: [0, 0.5], layer: 1 },
+            { column: 0, row: 1 },
+            { column: 1, row: 1, parent: 2, crease: 1, stage: [0.5, 1], layer: 3 }
+        ]
     }
 };
 
+// Roll folds: share of the fold progress each panel takes to turn, as a
+// multiple of the delay before the next panel starts rolling
+const ROLL_STAGE_OVERLAP = 4;
+
+/**
+ * Generate accordion (Z-fold) panels
+ * Every panel hinges on the previous one and creases alternate back and front.
+ * @param {number} count - Number of panels
+ * @returns {Array} Panel definitions
+ */
+function createAccordionPanels(count) {
+    const panels = [{ share: 1 }];
+    for (let i = 1; i < count; i++) {
+        panels.push({ share: 1, parent: i - 1, crease: i % 2 === 1 ? -1 : 1, layer: 1 });
+    }
+    return panels;
+}
+
+/**
+ * Generate roll fold panels
+ * Panels roll in from the far end: the innermost panel turns first and each
+ * panel before it follows while carrying the roll. Every panel after the
+ * first two sits one level deeper inside the roll than the one before.
+ * @param {number} count - Number of panels
+ * @returns {Array} Panel definitions
+ */
+function createRollPanels(count) {
+    const folds = count - 1;
+    const stageLength = 1 / (1 + (folds - 1) / ROLL_STAGE_OVERLAP);
+    const stageStep = stageLength / ROLL_STAGE_OVERLAP;
+    
+    const panels = [{ share: 1 }];
+    for (let i = 1; i < count; i++) {
+        // Rolling order: 0 for the innermost panel
+        const order = count - 1 - i;
+        const start = order * stageStep;
+        panels.push({
+            share: 1,
+            parent: i - 1,
+            crease: -1,
+            stage: [start, Math.min(1, start + stageLength)],
+            // Each panel clears the roll it carries
+            layer: 2 * order + 1,
+            nest: Math.max(0, i - 1)
+        });
+    }
+    
+    const inner = panels[count - 1];
+    inner.nestOffset = 2;
+    inner.label = 'inner';
+    
+    return panels;
+}
+
+// Working clearance a tucked panel needs per nesting level, in inches
+const TUCK_CLEARANCE = 1 / 64;
+
+// Compensated reductions are rounded to this increment, in inches
+const COMPENSATION_INCREMENT = 1 / 64;
+
 // Current fold configuration
 let currentFoldType = 'bi-fold';
 let currentOrientation = 'vertical'; // 'vertical' or 'horizontal'
+let panelCounts = {}; // Chosen panel count per fold type
+
+// Panel width configuration
+let autoCompensate = true;
+let customPanelWidths = {}; // Edited widths per fold layout (see getLayoutKey)
 let onFoldChangeCallback = null;
 
 /**
@@ -46,14 +174,27 @@ export function initFoldCalculator(onFoldChange) {
     
     const foldSelect = document.getElementById('fold-type');
     const orientationSelect = document.getElementById('fold-orientation');
+    const panelCountSelect = document.getElementById('fold-panel-count');
+    
+    populateFoldTypeControls();
+    updatePanelCountControl();
+    setupPanelWidthControls();
     
     // Handle fold type change
     foldSelect.addEventListener('change', (e) => {
         currentFoldType = e.target.value;
+        updatePanelCountControl();
         updateFoldDiagram();
         notifyFoldChange();
     });
     
+    // Handle panel count change
+    if (panelCountSelect) {
+        panelCountSelect.addEventListener('change', (e) => {
+            setPanelCount(parseInt(e.target.value, 10));
+        });
+    }
+    
     // Handle orientation change
     orientationSelect.addEventListener('change', (e) => {
         currentOrientation = e.target.value;
@@ -69,6 +210,7 @@ export function initFoldCalculator(onFoldChange) {
  * Notify listeners of fold configuration change
  */
 function notifyFoldChange() {
+    updatePanelWidthEditor();
     if (onFoldChangeCallback) {
         onFoldChangeCallback(getCurrentFoldType());
     }
@@ -76,11 +218,11 @@ function notifyFoldChange() {
 
 /**
  * Calculate panel layout for current fold type and size
- * @param {Object} size - Paper size { width, height }
+ * @param {Object} size - Paper size { width, height, stock } from getCurrentSize()
  * @returns {Object} Panel configuration
  */
 export function calculatePanels(size) {
-    const foldType = FOLD_TYPES[currentFoldType];
+    const foldType = getFoldTypeInfo(currentFoldType);
     const isVertical = currentOrientation === 'vertical';
     
     // Determine the dimension to divide based on orientation
@@ -89,32 +231,8 @@ export function calculatePanels(size) {
     const totalLength = isVertical ? size.width : size.height;
     const panelHeight = isVertical ? size.height : size.width;
     
-    let panels = [];
-    
-    switch (currentFoldType) {
-        case 'bi-fold':
-            panels = calculateBiFold(totalLength, panelHeight);
-            break;
-            
-        case 'tri-fold-z':
-            panels = calculateTriFoldZ(totalLength, panelHeight);
-            break;
-            
-        case 'tri-fold-roll':
-            panels = calculateTriFoldRoll(totalLength, panelHeight);
-            break;
-            
-        case 'gate-fold':
-            panels = calculateGateFold(totalLength, panelHeight);
-            break;
-            
-        case 'double-gate-fold':
-            panels = calculateDoubleGateFold(totalLength, panelHeight);
-            break;
-            
-        default:
-            panels = calculateBiFold(totalLength, panelHeight);
-    }
+    const panels = buildPanels(foldType, totalLength, panelHeight, size.stock);
+    applySpringback(panels, foldType.panels, size.stock);
     
     return {
         foldType: currentFoldType,
@@ -128,510 +246,582 @@ export function calculatePanels(size) {
 }
 
 /**
- * Calculate bi-fold panels
+ * Build panel configurations from a fold definition
+ * @param {Object} foldType - Entry from FOLD_TYPES
  * @param {number} totalLength - Total length to divide
  * @param {number} panelHeight - Height of each panel (perpendicular dimension)
+ * @param {Object} stock - Paper stock from getCurrentSize()
  * @returns {Array} Panel configurations
  */
-function calculateBiFold(totalLength, panelHeight) {
-    const panelWidth = totalLength / 2;
-    
-    return [
-        {
-            index: 0,
-            width: panelWidth,
-            height: panelHeight,
-            offsetX: 0,
-            pivotEdge: 'right',
-            foldDirection: 1,
-            foldAngle: Math.PI,
-            isBase: true
-        },
-        {
-            index: 1,
-            width: panelWidth,
-            height: panelHeight,
-            offsetX: panelWidth,
-            pivotEdge: 'left',
-            foldDirection: -1,
-            foldAngle: Math.PI,
-            isBase: false
-        }
-    ];
+function buildPanels(foldType, totalLength, panelHeight, stock) {
+    if (isCrossFold(foldType)) {
+        return buildCrossPanels(foldType, totalLength, panelHeight);
+    }
+    
+    const widths = calculatePanelWidths(foldType.panels, totalLength, stock.caliper);
+    let offset = 0;
+    
+    return foldType.panels.map((def, index) => {
+        const width = widths[index];
+        const pivotEdge = def.parent === undefined ? 'center' : (index > def.parent ? 'left' : 'right');
+        
+        const panel = createPanelConfig(def, index, pivotEdge);
+        panel.width = width;
+        panel.height = panelHeight;
+        panel.offsetX = offset;
+        
+        offset += width;
+        return panel;
+    });
 }
 
 /**
- * Calculate tri-fold Z (accordion) panels
+ * Calculate panel widths along the folded axis
+ * Uses the user's edited widths when auto-compensation is off, otherwise
+ * shortens tucked panels for the paper caliper.
+ * @param {Array} defs - Panel definitions
  * @param {number} totalLength - Total length to divide
- * @param {number} panelHeight - Height of each panel
- * @returns {Array} Panel configurations
+ * @param {number} caliper - Sheet thickness in inches
+ * @returns {Array<number>} Width of each panel in inches
  */
-function calculateTriFoldZ(totalLength, panelHeight) {
-    const panelWidth = totalLength / 3;
-    
-    return [
-        {
-            index: 0,
-            width: panelWidth,
-            height: panelHeight,
-            offsetX: 0,
-            pivotEdge: 'right',
-            foldDirection: 0,
-            foldAngle: 0,
-            isBase: true
-        },
-        {
-            index: 1,
-            width: panelWidth,
-            height: panelHeight,
-            offsetX: panelWidth,
-            pivotEdge: 'left',
-            foldDirection: -1, // Folds backward (toward back)
-            foldAngle: Math.PI,
-            isBase: false,
-            parentIndex: 0
-        },
-        {
-            index: 2,
-            width: panelWidth,
-            height: panelHeight,
-            offsetX: panelWidth * 2,
-            pivotEdge: 'left',
-            foldDirection: 1, // Folds forward (toward front)
-            foldAngle: Math.PI,
-            isBase: false,
-            parentIndex: 1
-        }
-    ];
+function calculatePanelWidths(defs, totalLength, caliper) {
+    if (autoCompensate) {
+        return calculateCompensatedWidths(defs, totalLength, caliper);
+    }
+    
+    const custom = resolveCustomWidths(defs, customPanelWidths[getLayoutKey()], totalLength);
+    return custom || divideLength(defs.map(def => def.share), totalLength).map(part => part.size);
 }
 
 /**
- * Calculate tri-fold roll (letter fold) panels
- * The rightmost panel folds in first, then the left panel folds over
+ * Shorten tucked panels so they clear the folds that wrap around them
+ * Each nesting level costs the paper that bends around the fold (half a
+ * circle of one caliper, π × caliper) plus a working clearance. The width
+ * taken from tucked panels is shared by the panels that wrap them.
+ * @param {Array} defs - Panel definitions
  * @param {number} totalLength - Total length to divide
- * @param {number} panelHeight - Height of each panel
- * @returns {Array} Panel configurations
+ * @param {number} caliper - Sheet thickness in inches
+ * @returns {Array<number>} Width of each panel in inches
  */
-function calculateTriFoldRoll(totalLength, panelHeight) {
-    // Slightly smaller inner panel to nest properly
-    const innerPanelWidth = totalLength / 3 - 0.1;
-    const outerPanelWidth = totalLength / 3 + 0.05;
-    const centerPanelWidth = totalLength - innerPanelWidth - outerPanelWidth;
-    
-    return [
-        {
-            index: 0,
-            width: outerPanelWidth,
-            height: panelHeight,
-            offsetX: 0,
-            pivotEdge: 'right',
-            foldDirection: 0,
-            foldAngle: 0,
-            isBase: true
-        },
-        {
-            index: 1,
-            width: centerPanelWidth,
-            height: panelHeight,
-            offsetX: outerPanelWidth,
-            pivotEdge: 'left',
-            foldDirection: -1,
-            foldAngle: Math.PI,
-            isBase: false,
-            parentIndex: 0
-        },
-        {
-            index: 2,
-            width: innerPanelWidth,
-            height: panelHeight,
-            offsetX: outerPanelWidth + centerPanelWidth,
-            pivotEdge: 'left',
-            foldDirection: -1, // Same direction as panel 1
-            foldAngle: Math.PI,
-            isBase: false,
-            parentIndex: 1,
-            nestOffset: 0.02 // Add slight offset to prevent Z-fighting when folded
-        }
-    ];
+function calculateCompensatedWidths(defs, totalLength, caliper) {
+    const nominal = divideLength(defs.map(def => def.share), totalLength).map(part => part.size);
+    const reductions = defs.map(def => getNestReduction(def.nest || 0, caliper));
+    const removed = reductions.reduce((sum, reduction) => sum + reduction, 0);
+    const wrapping = defs.filter(def => !def.nest).length;
+    
+    return nominal.map((width, index) =>
+        width - reductions[index] + (defs[index].nest ? 0 : removed / wrapping));
+}
+
+/**
+ * Width a panel loses for sitting inside other folds
+ * @param {number} depth - Nesting depth (see the `nest` panel field)
+ * @param {number} caliper - Sheet thickness in inches
+ * @returns {number} Reduction in inches
+ */
+function getNestReduction(depth, caliper) {
+    if (!depth) return 0;
+    const reduction = depth * (Math.PI * caliper + TUCK_CLEARANCE);
+    return Math.max(1, Math.round(reduction / COMPENSATION_INCREMENT)) * COMPENSATION_INCREMENT;
 }
 
 /**
- * Calculate double gate fold panels
- * 4 panels: outer panels fold inward first, then the whole piece folds in half
- * Hierarchy: LeftOuter -> LeftCenter (base), RightOuter -> RightCenter -> LeftCenter
+ * Apply edited widths, letting the base panel take up the remainder
+ * @param {Array} defs - Panel definitions
+ * @param {Array<number>} widths - Edited widths (the base panel entry is ignored)
  * @param {number} totalLength - Total length to divide
- * @param {number} panelHeight - Height of each panel
- * @returns {Array} Panel configurations
+ * @returns {Array<number>|null} Widths, or null if they don't fit the sheet
+ */
+function resolveCustomWidths(defs, widths, totalLength) {
+    if (!widths || widths.length !== defs.length) return null;
+    
+    const baseIndex = defs.findIndex(def => def.parent === undefined);
+    const resolved = [...widths];
+    resolved[baseIndex] = totalLength - widths.reduce(
+        (sum, width, index) => index === baseIndex ? sum : sum + width, 0);
+    
+    return resolved[baseIndex] > 0 ? resolved : null;
+}
+
+/**
+ * Open each crease by the stock's springback
+ * A fold springs open further for every tucked panel wrapped inside it, so
+ * stiff cover stock in a roll fold visibly refuses to close flat. Tucked
+ * panels themselves are held shut by the panels wrapped around them.
+ * @param {Array} panels - Panel configurations
+ * @param {Array} defs - Panel definitions
+ * @param {Object} stock - Paper stock from getCurrentSize()
  */
-function calculateDoubleGateFold(totalLength, panelHeight) {
-    // 4 equal panels
-    const panelWidth = totalLength / 4;
-    
-    // Outer panels slightly narrower to prevent binding when sandwiched
-    const outerReduction = panelWidth * 0.005;
-    const outerPanelWidth = panelWidth - outerReduction;
-    const centerPanelWidth = panelWidth + (outerReduction / 2);
-    
-    return [
-        {
-            index: 0, // LeftOuter - folds inward onto LeftCenter
-            width: outerPanelWidth,
-            height: panelHeight,
-            offsetX: 0,
-            pivotEdge: 'right',
-            foldDirection: -1,
-            foldAngle: Math.PI,
-            isBase: false,
-            parentIndex: 1,
-            nestOffset: 0.02,
-            isOuter: true
-        },
-        {
-            index: 1, // LeftCenter - base panel
-            width: centerPanelWidth,
-            height: panelHeight,
-            offsetX: outerPanelWidth,
-            pivotEdge: 'right',
-            foldDirection: 0,
-            foldAngle: 0,
-            isBase: true
-        },
-        {
-            index: 2, // RightCenter - folds toward LeftCenter at spine
-            width: centerPanelWidth,
-            height: panelHeight,
-            offsetX: outerPanelWidth + centerPanelWidth,
-            pivotEdge: 'left',
-            foldDirection: -1,
-            foldAngle: Math.PI,
-            isBase: false,
-            parentIndex: 1
-        },
-        {
-            index: 3, // RightOuter - folds inward onto RightCenter
-            width: outerPanelWidth,
-            height: panelHeight,
-            offsetX: outerPanelWidth + (centerPanelWidth * 2),
-            pivotEdge: 'left',
-            foldDirection: 1,
-            foldAngle: Math.PI,
-            isBase: false,
-            parentIndex: 2,
-            nestOffset: 0.02,
-            isOuter: true
+function applySpringback(panels, defs, stock) {
+    panels.forEach((panel, index) => {
+        if (panel.isBase || defs[index].nest) return;
+        const wrapped = getDescendants(defs, index).filter(child => defs[child].nest).length;
+        panel.foldAngle = Math.PI - stock.springback * (1 + wrapped);
+    });
+}
+
+/**
+ * Get the indices of every panel that hinges (directly or not) on a panel
+ * @param {Array} defs - Panel definitions
+ * @param {number} index - Panel index
+ * @returns {Array<number>}
+ */
+function getDescendants(defs, index) {
+    return defs.reduce((found, def, child) => {
+        if (def.parent === index) {
+            found.push(child, ...getDescendants(defs, child));
         }
-    ];
+        return found;
+    }, []);
 }
 
 /**
- * Calculate gate fold panels
- * Two outer panels fold toward center
- * @param {number} totalLength - Total length to divide
- * @param {number} panelHeight - Height of each panel
+ * Key for the edited widths of the current fold layout
+ * @returns {string}
+ */
+function getLayoutKey() {
+    return `${currentFoldType}:${getPanelCount()}:${currentOrientation}`;
+}
+
+/**
+ * Build panel configurations for a cross fold (panels on a grid)
+ * Columns divide the folded axis, rows divide the perpendicular axis
+ * @param {Object} foldType - Entry from FOLD_TYPES with columns/rows
+ * @param {number} totalLength - Total length to divide into columns
+ * @param {number} panelHeight - Total length to divide into rows
  * @returns {Array} Panel configurations
  */
-function calculateGateFold(totalLength, panelHeight) {
-    const outerPanelWidth = totalLength / 4;
-    const centerPanelWidth = totalLength / 2;
-    
-    return [
-        {
-            index: 0,
-            width: outerPanelWidth,
-            height: panelHeight,
-            offsetX: 0,
-            pivotEdge: 'right',
-            foldDirection: -1, // Folds inward
-            foldAngle: Math.PI,
-            isBase: false,
-            parentIndex: 1
-        },
-        {
-            index: 1,
-            width: centerPanelWidth,
-            height: panelHeight,
-            offsetX: outerPanelWidth,
-            pivotEdge: 'center',
-            foldDirection: 0,
-            foldAngle: 0,
-            isBase: true
-        },
-        {
-            index: 2,
-            width: outerPanelWidth,
-            height: panelHeight,
-            offsetX: outerPanelWidth + centerPanelWidth,
-            pivotEdge: 'left',
-            foldDirection: -1, // Folds inward
-            foldAngle: Math.PI,
-            isBase: false,
-            parentIndex: 1
+function buildCrossPanels(foldType, totalLength, panelHeight) {
+    const columns = divideLength(foldType.columns, totalLength);
+    const rows = divideLength(foldType.rows, panelHeight);
+    
+    return foldType.panels.map((def, index) => {
+        const parentDef = foldType.panels[def.parent];
+        let pivotEdge = 'center';
+        if (parentDef) {
+            pivotEdge = def.row === parentDef.row
+                ? (def.column > parentDef.column ? 'left' : 'right')
+                : (def.row > parentDef.row ? 'top' : 'bottom');
         }
-    ];
+        
+        const panel = createPanelConfig(def, index, pivotEdge);
+        panel.width = columns[def.column].size;
+        panel.height = rows[def.row].size;
+        panel.offsetX = columns[def.column].offset;
+        panel.offsetY = rows[def.row].offset;
+        return panel;
+    });
 }
 
 /**
- * Update the fold diagram in the UI
+ * Split a length by relative shares
+ * @param {Array<number>} shares 
+ * @param {number} length 
+ * @returns {Array<{ offset: number, size: number }>}
  */
-function updateFoldDiagram() {
-    const container = document.getElementById('fold-diagram');
-    if (!container) return;
+function divideLength(shares, length) {
+    const totalShare = shares.reduce((sum, share) => sum + share, 0);
+    let offset = 0;
+    return shares.map(share => {
+        const size = length * share / totalShare;
+        const part = { offset, size };
+        offset += size;
+        return part;
+    });
+}
 
-    const isVertical = currentOrientation === 'vertical';
+/**
+ * Create the fold fields shared by every panel configuration
+ * @param {Object} def - Panel definition
+ * @param {number} index - Panel index
+ * @param {string} pivotEdge - 'left', 'right', 'top', 'bottom' or 'center'
+ * @returns {Object} Partial panel configuration
+ */
+function createPanelConfig(def, index, pivotEdge) {
+    const isBase = def.parent === undefined;
+    const panel = {
+        index: index,
+        pivotEdge: pivotEdge,
+        foldDirection: isBase ? 0 : def.crease,
+        foldAngle: isBase ? 0 : Math.PI,
+        stage: def.stage || [0, 1],
+        layer: def.layer || 0,
+        isBase: isBase
+    };
+    if (!isBase) panel.parentIndex = def.parent;
+    if (def.nestOffset) panel.nestOffset = def.nestOffset;
+    return panel;
+}
+
+/**
+ * Check whether a fold definition folds along both axes
+ * @param {Object} foldType - Entry from FOLD_TYPES
+ * @returns {boolean}
+ */
+function isCrossFold(foldType) {
+    return Array.isArray(foldType.columns) && Array.isArray(foldType.rows);
+}
+
+/**
+ * Populate the fold style select and viewport toolbar from FOLD_TYPES
+ */
+function populateFoldTypeControls() {
+    const foldSelect = document.getElementById('fold-type');
+    const toolbar = document.getElementById('fold-type-toolbar');
     
-    // Create SVG diagram
-    let svg = '';
-    const svgWidth = 200;
-    const svgHeight = 60;
-    
-    switch (currentFoldType) {
-        case 'bi-fold':
-            svg = createBiFoldDiagram(svgWidth, svgHeight, isVertical);
-            break;
-        case 'tri-fold-z':
-            svg = createTriFoldZDiagram(svgWidth, svgHeight, isVertical);
-            break;
-        case 'tri-fold-roll':
-            svg = createTriFoldRollDiagram(svgWidth, svgHeight, isVertical);
-            break;
-        case 'gate-fold':
-            svg = createGateFoldDiagram(svgWidth, svgHeight, isVertical);
-            break;
-        case 'double-gate-fold':
-            svg = createDoubleGateFoldDiagram(svgWidth, svgHeight, isVertical);
-            break;
-    }
+    Object.keys(FOLD_TYPES).forEach(type => {
+        const info = getFoldTypeInfo(type);
+        const label = info.menuLabel || info.name;
+        
+        if (foldSelect) {
+            const opt = document.createElement('option');
+            opt.value = type;
+            opt.textContent = label;
+            foldSelect.appendChild(opt);
+        }
+        
+        if (toolbar) {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'fold-type-btn';
+            btn.dataset.fold = type;
+            btn.title = label;
+            btn.innerHTML = createFoldIcon(info);
+            toolbar.appendChild(btn);
+        }
+    });
     
-    container.innerHTML = svg;
+    if (foldSelect) foldSelect.value = currentFoldType;
 }
 
 /**
- * Create bi-fold diagram SVG
+ * Get a panel's area in an image's layout (inches from its top-left trim corner)
+ * Vertical folds run panels left to right from the image's left edge,
+ * horizontal folds run them up from its bottom edge.
+ * @param {Object} panel - From calculatePanels
+ * @param {Object} panelConfig - From calculatePanels
+ * @param {Object} size - Trim size { width, height }
+ * @param {{ h: boolean, v: boolean }} flip - Whether the image is reflected
+ * @returns {{ x: number, y: number, width: number, height: number }}
  */
-function createBiFoldDiagram(width, height, isVertical) {
-    const color = 'var(--accent-primary)';
-    const lineColor = 'var(--text-muted)';
+export function getPanelImageRect(panel, panelConfig, size, flip) {
+    const offsetY = panel.offsetY || 0;
+    const rect = panelConfig.isVertical
+        ? { x: panel.offsetX, y: offsetY, width: panel.width, height: panel.height }
+        : { x: offsetY, y: size.height - panel.offsetX - panel.width, width: panel.height, height: panel.width };
+
+    if (flip.h) rect.x = size.width - rect.x - rect.width;
+    if (flip.v) rect.y = size.height - rect.y - rect.height;
+    return rect;
+}
+
+/**
+ * Setup the panel width editor controls
+ */
+function setupPanelWidthControls() {
+    const autoCheckbox = document.getElementById('panel-width-auto');
+    const list = document.getElementById('panel-width-list');
+    if (!autoCheckbox || !list) return;
     
-    if (isVertical) {
-        return `
-            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
-                <rect x="10" y="10" width="${width/2 - 15}" height="${height - 20}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2"/>
-                <rect x="${width/2 + 5}" y="10" width="${width/2 - 15}" height="${height - 20}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2"/>
-                <line x1="${width/2}" y1="5" x2="${width/2}" y2="${height - 5}" 
-                    stroke="${lineColor}" stroke-width="1" stroke-dasharray="4"/>
-                <text x="${width/2}" y="${height - 2}" text-anchor="middle" 
-                    fill="${lineColor}" font-size="10">fold</text>
-            </svg>
-        `;
-    } else {
-        return `
-            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
-                <rect x="30" y="5" width="${width - 60}" height="${height/2 - 8}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2"/>
-                <rect x="30" y="${height/2 + 3}" width="${width - 60}" height="${height/2 - 8}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2"/>
-                <line x1="25" y1="${height/2}" x2="${width - 25}" y2="${height/2}" 
-                    stroke="${lineColor}" stroke-width="1" stroke-dasharray="4"/>
-            </svg>
-        `;
-    }
+    autoCheckbox.addEventListener('change', (e) => {
+        // Start editing from the widths currently shown
+        if (!e.target.checked) {
+            customPanelWidths[getLayoutKey()] = getCurrentPanelWidths();
+        }
+        autoCompensate = e.target.checked;
+        notifyFoldChange();
+    });
+    
+    list.addEventListener('change', (e) => {
+        const input = e.target.closest('input[data-panel]');
+        if (!input) return;
+        
+        const width = parseFractionalMeasurement(input.value);
+        const index = parseInt(input.dataset.panel, 10);
+        const widths = getCurrentPanelWidths();
+        const defs = getFoldTypeInfo(currentFoldType).panels;
+        
+        if (width > 0) {
+            widths[index] = width;
+            if (resolveCustomWidths(defs, widths, getFoldLength(getCurrentSize()))) {
+                customPanelWidths[getLayoutKey()] = widths;
+                notifyFoldChange();
+                return;
+            }
+        }
+        
+        alert('Please enter a width that fits the sheet. Examples: 3 11/16", 3.6875", 93.5mm');
+        updatePanelWidthEditor();
+    });
+    
+    updatePanelWidthEditor();
 }
 
 /**
- * Create tri-fold Z diagram SVG
+ * Refresh the panel width editor for the current fold, size and settings
+ * Called on fold changes and by main.js when the paper size changes.
  */
-function createTriFoldZDiagram(width, height, isVertical) {
-    const color = 'var(--accent-primary)';
-    const lineColor = 'var(--text-muted)';
+export function updatePanelWidthEditor() {
+    const group = document.getElementById('panel-width-group');
+    const list = document.getElementById('panel-width-list');
+    const note = document.getElementById('panel-width-note');
+    if (!group || !list) return;
     
-    if (isVertical) {
-        const panelWidth = (width - 30) / 3;
-        return `
-            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
-                <rect x="10" y="10" width="${panelWidth}" height="${height - 20}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2"/>
-                <rect x="${15 + panelWidth}" y="10" width="${panelWidth}" height="${height - 20}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2"/>
-                <rect x="${20 + panelWidth * 2}" y="10" width="${panelWidth}" height="${height - 20}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2"/>
-                <line x1="${12.5 + panelWidth}" y1="5" x2="${12.5 + panelWidth}" y2="${height - 5}" 
-                    stroke="${lineColor}" stroke-width="1" stroke-dasharray="4"/>
-                <line x1="${17.5 + panelWidth * 2}" y1="5" x2="${17.5 + panelWidth * 2}" y2="${height - 5}" 
-                    stroke="${lineColor}" stroke-width="1" stroke-dasharray="4"/>
-            </svg>
-        `;
-    } else {
-        const panelHeight = (height - 20) / 3;
+    const info = getFoldTypeInfo(currentFoldType);
+    group.hidden = isCrossFold(info);
+    if (group.hidden) return;
+    
+    const widths = getCurrentPanelWidths();
+    const baseIndex = info.panels.findIndex(def => def.parent === undefined);
+    
+    list.innerHTML = widths.map((width, index) => {
+        const locked = autoCompensate || index === baseIndex;
         return `
-            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
-                <rect x="30" y="5" width="${width - 60}" height="${panelHeight - 3}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2"/>
-                <rect x="30" y="${8 + panelHeight}" width="${width - 60}" height="${panelHeight - 3}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2"/>
-                <rect x="30" y="${11 + panelHeight * 2}" width="${width - 60}" height="${panelHeight - 3}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2"/>
-                <line x1="25" y1="${6.5 + panelHeight}" x2="${width - 25}" y2="${6.5 + panelHeight}" 
-                    stroke="${lineColor}" stroke-width="1" stroke-dasharray="4"/>
-                <line x1="25" y1="${9.5 + panelHeight * 2}" x2="${width - 25}" y2="${9.5 + panelHeight * 2}" 
-                    stroke="${lineColor}" stroke-width="1" stroke-dasharray="4"/>
-            </svg>
-        `;
+            <div class="panel-width-row">
+                <label for="panel-width-${index}">Panel ${index + 1}${info.panels[index].nest ? ' (tucked)' : ''}</label>
+                <input type="text" id="panel-width-${index}" data-panel="${index}" value='${formatFractionalMeasurement(width)}'${locked ? ' readonly' : ''}>
+            </div>`;
+    }).join('');
+    
+    if (note) {
+        note.textContent = autoCompensate
+            ? `Tucked panels are shortened for the ${getCurrentSize().stock.caliper}" stock caliper and how deep they nest.`
+            : `Panel ${baseIndex + 1} takes up the rest of the sheet.`;
     }
 }
 
 /**
- * Create tri-fold roll diagram SVG
+ * Get the panel widths for the current fold and paper size
+ * @returns {Array<number>} Widths in inches, in sheet order
  */
-function createTriFoldRollDiagram(width, height, isVertical) {
-    const color = 'var(--accent-primary)';
-    const lineColor = 'var(--text-muted)';
+function getCurrentPanelWidths() {
+    const info = getFoldTypeInfo(currentFoldType);
+    const size = getCurrentSize();
+    return calculatePanelWidths(info.panels, getFoldLength(size), size.stock.caliper);
+}
+
+/**
+ * Length of the sheet along the folded axis
+ * @param {Object} size - Paper size { width, height }
+ * @returns {number}
+ */
+function getFoldLength(size) {
+    return currentOrientation === 'vertical' ? size.width : size.height;
+}
+
+/**
+ * Show the panel count select for fold types that come in several sizes
+ */
+function updatePanelCountControl() {
+    const group = document.getElementById('fold-panel-count-group');
+    const select = document.getElementById('fold-panel-count');
+    if (!group || !select) return;
     
-    if (isVertical) {
-        const panelWidth = (width - 30) / 3;
-        return `
-            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
-                <rect x="10" y="10" width="${panelWidth}" height="${height - 20}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2"/>
-                <rect x="${15 + panelWidth}" y="10" width="${panelWidth}" height="${height - 20}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2"/>
-                <rect x="${20 + panelWidth * 2}" y="10" width="${panelWidth - 5}" height="${height - 20}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2" stroke-dasharray="4"/>
-                <line x1="${12.5 + panelWidth}" y1="5" x2="${12.5 + panelWidth}" y2="${height - 5}" 
-                    stroke="${lineColor}" stroke-width="1" stroke-dasharray="4"/>
-                <line x1="${17.5 + panelWidth * 2}" y1="5" x2="${17.5 + panelWidth * 2}" y2="${height - 5}" 
-                    stroke="${lineColor}" stroke-width="1" stroke-dasharray="4"/>
-                <text x="${22 + panelWidth * 2.5}" y="${height/2 + 3}" 
-                    fill="${lineColor}" font-size="8">inner</text>
-            </svg>
-        `;
-    } else {
-        const panelHeight = (height - 20) / 3;
-        return `
-            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
-                <rect x="30" y="5" width="${width - 60}" height="${panelHeight - 3}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2"/>
-                <rect x="30" y="${8 + panelHeight}" width="${width - 60}" height="${panelHeight - 3}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2"/>
-                <rect x="30" y="${11 + panelHeight * 2}" width="${width - 60}" height="${panelHeight - 6}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2" stroke-dasharray="4"/>
-                <line x1="25" y1="${6.5 + panelHeight}" x2="${width - 25}" y2="${6.5 + panelHeight}" 
-                    stroke="${lineColor}" stroke-width="1" stroke-dasharray="4"/>
-                <line x1="25" y1="${9.5 + panelHeight * 2}" x2="${width - 25}" y2="${9.5 + panelHeight * 2}" 
-                    stroke="${lineColor}" stroke-width="1" stroke-dasharray="4"/>
-                <text x="${width - 20}" y="${13 + panelHeight * 2.5}" 
-                    fill="${lineColor}" font-size="7">inner</text>
-            </svg>
-        `;
+    const counts = FOLD_TYPES[currentFoldType]?.panelCounts;
+    group.hidden = !counts;
+    if (!counts) return;
+    
+    select.innerHTML = counts
+        .map(count => `<option value="${count}">${count} panels</option>`)
+        .join('');
+    select.value = getPanelCount();
+}
+
+/**
+ * Check whether a panel folds ahead of the rest (first stage of a staged fold)
+ * @param {Object} def - Panel definition
+ * @returns {boolean}
+ */
+function foldsFirst(def) {
+    return !!def.stage && def.stage[0] === 0 && def.stage[1] < 1;
+}
+
+/**
+ * Create the toolbar icon for a fold type
+ * @param {Object} info - Entry from FOLD_TYPES
+ * @returns {string} SVG markup
+ */
+function createFoldIcon(info) {
+    if (isCrossFold(info)) {
+        const columns = divideLength(info.columns, 21);
+        const rows = divideLength(info.rows, 16);
+        const rects = info.panels.map(def => {
+            const col = columns[def.column];
+            const row = rows[def.row];
+            const dash = foldsFirst(def) ? ' stroke-dasharray="2"' : '';
+            return `<rect x="${(1.5 + col.offset).toFixed(2)}" y="${(4 + row.offset).toFixed(2)}" width="${col.size.toFixed(2)}" height="${row.size.toFixed(2)}" rx="0.5"${dash}/>`;
+        }).join('');
+        return `<svg viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">${rects}</svg>`;
     }
+    
+    const totalShare = info.panels.reduce((sum, def) => sum + def.share, 0);
+    const available = 21;
+    let x = 1.5;
+    
+    const rects = info.panels.map(def => {
+        const w = available * def.share / totalShare;
+        const dash = foldsFirst(def) ? ' stroke-dasharray="2"' : '';
+        const rect = `<rect x="${x.toFixed(2)}" y="4" width="${w.toFixed(2)}" height="16" rx="0.5"${dash}/>`;
+        x += w;
+        return rect;
+    }).join('');
+    
+    return `<svg viewBox="0 0 24 24" width="20" height="20" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">${rects}</svg>`;
 }
 
 /**
- * Create gate fold diagram SVG
+ * Update the fold diagram in the UI
  */
-function createGateFoldDiagram(width, height, isVertical) {
+function updateFoldDiagram() {
+    const container = document.getElementById('fold-diagram');
+    if (!container) return;
+
+    const isVertical = currentOrientation === 'vertical';
+    
+    container.innerHTML = createFoldDiagram(getFoldTypeInfo(currentFoldType), 200, 60, isVertical);
+}
+
+/**
+ * Create a fold diagram SVG from a fold definition
+ * Panels are drawn in proportion with a dashed crease between each pair;
+ * panels that fold first are dashed in the secondary accent color.
+ * @param {Object} info - Entry from FOLD_TYPES
+ * @param {number} width - SVG width
+ * @param {number} height - SVG height
+ * @param {boolean} isVertical - Lay panels out left-right (true) or top-bottom (false)
+ * @returns {string} SVG markup
+ */
+function createFoldDiagram(info, width, height, isVertical) {
+    if (isCrossFold(info)) {
+        return createCrossFoldDiagram(info, width, height, isVertical);
+    }
+    
     const color = 'var(--accent-primary)';
     const lineColor = 'var(--text-muted)';
+    const outerColor = 'var(--accent-secondary)';
+    const gap = 5;
     
-    if (isVertical) {
-        const outerWidth = (width - 30) / 4;
-        const centerWidth = (width - 30) / 2;
-        return `
-            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
-                <rect x="10" y="10" width="${outerWidth}" height="${height - 20}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2"/>
-                <rect x="${15 + outerWidth}" y="10" width="${centerWidth}" height="${height - 20}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2"/>
-                <rect x="${20 + outerWidth + centerWidth}" y="10" width="${outerWidth}" height="${height - 20}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2"/>
-                <line x1="${12.5 + outerWidth}" y1="5" x2="${12.5 + outerWidth}" y2="${height - 5}" 
-                    stroke="${lineColor}" stroke-width="1" stroke-dasharray="4"/>
-                <line x1="${17.5 + outerWidth + centerWidth}" y1="5" x2="${17.5 + outerWidth + centerWidth}" y2="${height - 5}" 
-                    stroke="${lineColor}" stroke-width="1" stroke-dasharray="4"/>
-                <text x="${15 + outerWidth + centerWidth/2}" y="${height - 2}" text-anchor="middle" 
-                    fill="${lineColor}" font-size="8">center</text>
-            </svg>
-        `;
-    } else {
-        const outerHeight = (height - 16) / 4;
-        const centerHeight = (height - 16) / 2;
-        return `
-            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
-                <rect x="30" y="5" width="${width - 60}" height="${outerHeight}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2"/>
-                <rect x="30" y="${8 + outerHeight}" width="${width - 60}" height="${centerHeight}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2"/>
-                <rect x="30" y="${11 + outerHeight + centerHeight}" width="${width - 60}" height="${outerHeight}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2"/>
-                <line x1="25" y1="${6.5 + outerHeight}" x2="${width - 25}" y2="${6.5 + outerHeight}" 
-                    stroke="${lineColor}" stroke-width="1" stroke-dasharray="4"/>
-                <line x1="25" y1="${9.5 + outerHeight + centerHeight}" x2="${width - 25}" y2="${9.5 + outerHeight + centerHeight}" 
-                    stroke="${lineColor}" stroke-width="1" stroke-dasharray="4"/>
-                <text x="${width/2}" y="${10 + outerHeight + centerHeight/2}" text-anchor="middle" 
-                    fill="${lineColor}" font-size="8">center</text>
+    const defs = info.panels;
+    const totalShare = defs.reduce((sum, def) => sum + def.share, 0);
+    // Vertical: panels run along x inside a 10px margin; horizontal: along y inside 5px
+    const start = isVertical ? 10 : 5;
+    const length = (isVertical ? width - 20 : height - 10) - gap * (defs.length - 1);
+    
+    let markup = '';
+    let pos = start;
+    
+    defs.forEach((def, index) => {
+        const size = length * def.share / totalShare;
+        const first = foldsFirst(def);
+        const stroke = first ? outerColor : color;
+        const dash = first ? ' stroke-dasharray="3"' : '';
+        const rect = isVertical
+            ? { x: pos, y: 10, w: size, h: height - 20 }
+            : { x: 30, y: pos, w: width - 60, h: size };
+        
+        markup += `
+                <rect x="${rect.x}" y="${rect.y}" width="${rect.w}" height="${rect.h}" 
+                    fill="none" stroke="${stroke}" stroke-width="2" rx="2"${dash}/>`;
+        
+        if (def.label) {
+            markup += `
+                <text x="${rect.x + rect.w / 2}" y="${rect.y + rect.h / 2 + 3}" text-anchor="middle" 
+                    fill="${lineColor}" font-size="8">${def.label}</text>`;
+        }
+        
+        if (index < defs.length - 1) {
+            const crease = pos + size + gap / 2;
+            const creaseOwner = defs[index + 1].parent === index ? defs[index + 1] : def;
+            markup += isVertical
+                ? `
+                <line x1="${crease}" y1="5" x2="${crease}" y2="${height - 5}" 
+                    stroke="${lineColor}" stroke-width="1" stroke-dasharray="4"/>`
+                : `
+                <line x1="25" y1="${crease}" x2="${width - 25}" y2="${crease}" 
+                    stroke="${lineColor}" stroke-width="1" stroke-dasharray="4"/>`;
+            if (creaseOwner.creaseLabel && isVertical) {
+                markup += `
+                <text x="${crease}" y="${height - 2}" text-anchor="middle" 
+                    fill="${lineColor}" font-size="8">${creaseOwner.creaseLabel}</text>`;
+            }
+        }
+        
+        pos += size + gap;
+    });
+    
+    return `
+            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${markup}
             </svg>
         `;
-    }
 }
 
 /**
- * Create double gate fold diagram SVG
+ * Create a cross fold diagram SVG (panels on a grid, creases along both axes)
+ * Columns follow the orientation like single-axis folds; rows run across them.
+ * @param {Object} info - Entry from FOLD_TYPES with columns/rows
+ * @param {number} width - SVG width
+ * @param {number} height - SVG height
+ * @param {boolean} isVertical - Columns left-right (true) or top-bottom (false)
+ * @returns {string} SVG markup
  */
-function createDoubleGateFoldDiagram(width, height, isVertical) {
+function createCrossFoldDiagram(info, width, height, isVertical) {
     const color = 'var(--accent-primary)';
     const lineColor = 'var(--text-muted)';
     const outerColor = 'var(--accent-secondary)';
+    const gap = 5;
     
-    if (isVertical) {
-        const panelWidth = (width - 25) / 4;
-        return `
-            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
-                <!-- Outer panels (dashed to show they fold first) -->
-                <rect x="5" y="10" width="${panelWidth - 2}" height="${height - 20}" 
-                    fill="none" stroke="${outerColor}" stroke-width="2" rx="2" stroke-dasharray="3"/>
-                <rect x="${width - panelWidth - 3}" y="10" width="${panelWidth - 2}" height="${height - 20}" 
-                    fill="none" stroke="${outerColor}" stroke-width="2" rx="2" stroke-dasharray="3"/>
-                <!-- Center panels -->
-                <rect x="${8 + panelWidth}" y="10" width="${panelWidth}" height="${height - 20}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2"/>
-                <rect x="${width - (panelWidth * 2) - 8}" y="10" width="${panelWidth}" height="${height - 20}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2"/>
-                <!-- Fold lines -->
-                <line x1="${6 + panelWidth}" y1="5" x2="${6 + panelWidth}" y2="${height - 5}" 
-                    stroke="${lineColor}" stroke-width="1" stroke-dasharray="4"/>
-                <line x1="${width/2}" y1="5" x2="${width/2}" y2="${height - 5}" 
-                    stroke="${lineColor}" stroke-width="1" stroke-dasharray="2"/>
-                <line x1="${width - panelWidth - 6}" y1="5" x2="${width - panelWidth - 6}" y2="${height - 5}" 
-                    stroke="${lineColor}" stroke-width="1" stroke-dasharray="4"/>
-                <text x="${width/2}" y="${height - 2}" text-anchor="middle" 
-                    fill="${lineColor}" font-size="7">spine</text>
-            </svg>
-        `;
-    } else {
-        const panelHeight = (height - 16) / 4;
-        return `
-            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
-                <!-- Outer panels (dashed) -->
-                <rect x="30" y="3" width="${width - 60}" height="${panelHeight - 2}" 
-                    fill="none" stroke="${outerColor}" stroke-width="2" rx="2" stroke-dasharray="3"/>
-                <rect x="30" y="${height - panelHeight - 1}" width="${width - 60}" height="${panelHeight - 2}" 
-                    fill="none" stroke="${outerColor}" stroke-width="2" rx="2" stroke-dasharray="3"/>
-                <!-- Center panels -->
-                <rect x="30" y="${5 + panelHeight}" width="${width - 60}" height="${panelHeight}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2"/>
-                <rect x="30" y="${height - (panelHeight * 2) - 4}" width="${width - 60}" height="${panelHeight}" 
-                    fill="none" stroke="${color}" stroke-width="2" rx="2"/>
-                <!-- Fold lines -->
-                <line x1="25" y1="${4 + panelHeight}" x2="${width - 25}" y2="${4 + panelHeight}" 
-                    stroke="${lineColor}" stroke-width="1" stroke-dasharray="4"/>
-                <line x1="25" y1="${height/2}" x2="${width - 25}" y2="${height/2}" 
-                    stroke="${lineColor}" stroke-width="1" stroke-dasharray="2"/>
-                <line x1="25" y1="${height - panelHeight - 3}" x2="${width - 25}" y2="${height - panelHeight - 3}" 
-                    stroke="${lineColor}" stroke-width="1" stroke-dasharray="4"/>
+    // Keep the sheet roughly square inside the diagram
+    const boxW = height * 1.6;
+    const boxH = height - 10;
+    const left = (width - boxW) / 2;
+    const top = 5;
+    
+    const alongLength = isVertical ? boxW : boxH;
+    const acrossLength = isVertical ? boxH : boxW;
+    const columns = divideLength(info.columns, alongLength - gap * (info.columns.length - 1));
+    const rows = divideLength(info.rows, acrossLength - gap * (info.rows.length - 1));
+    
+    let markup = '';
+    
+    info.panels.forEach(def => {
+        const col = columns[def.column];
+        const row = rows[def.row];
+        const along = col.offset + gap * def.column;
+        const across = row.offset + gap * def.row;
+        const rect = isVertical
+            ? { x: left + along, y: top + across, w: col.size, h: row.size }
+            : { x: left + across, y: top + along, w: row.size, h: col.size };
+        const first = foldsFirst(def);
+        const stroke = first ? outerColor : color;
+        const dash = first ? ' stroke-dasharray="3"' : '';
+        
+        markup += `
+                <rect x="${rect.x}" y="${rect.y}" width="${rect.w}" height="${rect.h}" 
+                    fill="none" stroke="${stroke}" stroke-width="2" rx="2"${dash}/>`;
+    });
+    
+    // Crease lines between columns and between rows
+    const creaseLine = (pos, alongColumns) => {
+        const vertical = alongColumns === isVertical;
+        return vertical
+            ? `
+                <line x1="${pos}" y1="${top - 3}" x2="${pos}" y2="${top + boxH + 3}" 
+                    stroke="${lineColor}" stroke-width="1" stroke-dasharray="4"/>`
+            : `
+                <line x1="${left - 3}" y1="${pos}" x2="${left + boxW + 3}" y2="${pos}" 
+                    stroke="${lineColor}" stroke-width="1" stroke-dasharray="4"/>`;
+    };
+    columns.slice(1).forEach((col, i) => {
+        markup += creaseLine((isVertical ? left : top) + col.offset + gap * i + gap / 2, true);
+    });
+    rows.slice(1).forEach((row, i) => {
+        markup += creaseLine((isVertical ? top : left) + row.offset + gap * i + gap / 2, false);
+    });
+    
+    return `
+            <svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${markup}
             </svg>
         `;
-    }
 }
 
 /**
@@ -645,6 +835,7 @@ export function setFoldType(type) {
     if (foldSelect) {
         foldSelect.value = type;
     }
+    updatePanelCountControl();
     updateFoldDiagram();
     notifyFoldChange();
 }
@@ -664,6 +855,77 @@ export function setOrientation(orientation) {
     notifyFoldChange();
 }
 
+/**
+ * Set the panel count for the current fold type
+ * Ignored for fold types with a fixed number of panels.
+ * @param {number} count - Number of panels
+ */
+export function setPanelCount(count) {
+    const counts = FOLD_TYPES[currentFoldType].panelCounts;
+    if (!counts || !counts.includes(count)) return;
+    panelCounts[currentFoldType] = count;
+    const panelCountSelect = document.getElementById('fold-panel-count');
+    if (panelCountSelect) {
+        panelCountSelect.value = count;
+    }
+    updateFoldDiagram();
+    notifyFoldChange();
+}
+
+/**
+ * Get the fold settings a project saves
+ * @returns {Object} { foldType, orientation, panelCounts, autoCompensate, customPanelWidths }
+ */
+export function getFoldState() {
+    return {
+        foldType: currentFoldType,
+        orientation: currentOrientation,
+        panelCounts: { ...panelCounts },
+        autoCompensate,
+        customPanelWidths: JSON.parse(JSON.stringify(customPanelWidths))
+    };
+}
+
+/**
+ * Restore fold settings saved by getFoldState
+ * Listeners are notified once, as for a fold type change.
+ * @param {Object} state - From getFoldState
+ */
+export function setFoldState(state) {
+    if (FOLD_TYPES[state.foldType]) currentFoldType = state.foldType;
+    if (state.orientation === 'vertical' || state.orientation === 'horizontal') {
+        currentOrientation = state.orientation;
+    }
+    panelCounts = {};
+    Object.entries(state.panelCounts || {}).forEach(([type, count]) => {
+        if (FOLD_TYPES[type]?.panelCounts?.includes(count)) panelCounts[type] = count;
+    });
+    autoCompensate = state.autoCompensate !== false;
+    customPanelWidths = { ...state.customPanelWidths };
+    
+    const foldSelect = document.getElementById('fold-type');
+    const orientationSelect = document.getElementById('fold-orientation');
+    const autoCheckbox = document.getElementById('panel-width-auto');
+    if (foldSelect) foldSelect.value = currentFoldType;
+    if (orientationSelect) orientationSelect.value = currentOrientation;
+    if (autoCheckbox) autoCheckbox.checked = autoCompensate;
+    
+    updatePanelCountControl();
+    updateFoldDiagram();
+    notifyFoldChange();
+}
+
+/**
+ * Get the panel count of a fold type
+ * @param {string} type - Fold type key (defaults to the current fold type)
+ * @returns {number}
+ */
+export function getPanelCount(type = currentFoldType) {
+    const info = FOLD_TYPES[type] || FOLD_TYPES['bi-fold'];
+    if (!info.panelCounts) return info.panels.length;
+    return panelCounts[type] || info.panelCounts[0];
+}
+
 /**
  * Get the current fold type
  * @returns {string}
@@ -690,11 +952,16 @@ export function isVerticalOrientation() {
 
 /**
  * Get fold type info
+ * Panels of variable-count folds are generated for the chosen panel count.
  * @param {string} type - Fold type key
  * @returns {Object}
  */
 export function getFoldTypeInfo(type) {
-    return FOLD_TYPES[type] || FOLD_TYPES['bi-fold'];
+    const info = FOLD_TYPES[type] || FOLD_TYPES['bi-fold'];
+    if (!info.createPanels) return info;
+    
+    const count = getPanelCount(type);
+    return { ...info, panels: info.createPanels(count) };
 }
 
 /**
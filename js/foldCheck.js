@@ -0,0 +1,306 @@
+/**
+ * Fold Check Module
+ * Finds panels that bind at a fold or intersect each other when fully folded
+ */
+
+import * as THREE from 'three';
+import { getPaperGroup, getPanelMeshes, getPaperThickness, getScaleFactor } from './foldMesh.js';
+import { setFoldProgress, getFoldProgress } from './animations.js';
+
+// Overshoot below this (inches) counts as touching the fold, not binding
+const BIND_TOLERANCE = 0.001;
+
+// Rays cast across the folded piece along each side when looking for intersections
+const INTERSECT_SAMPLES = 48;
+
+// Tint for offending panels
+const HIGHLIGHT_COLOR = 0xff2020;
+const HIGHLIGHT_INTENSITY = 0.45;
+
+// Issues found by the last check
+let currentIssues = [];
+
+/**
+ * Check the current mesh at its fully folded state
+ * Creases are closed all the way, without the stock's springback: the check
+ * measures panel widths and nesting, and panels sprung open as rigid plates
+ * would pass through each other where real paper flexes. The fold is applied
+ * and restored within the call, so nothing is rendered in between. Offending
+ * panels are tinted red and listed in the viewport.
+ * @returns {Array<Object>} Issues: { type: 'binding' | 'intersection', panels, amount?, message }
+ */
+export function checkFolds() {
+    const paperGroup = getPaperGroup();
+    const panelMeshes = getPanelMeshes();
+    currentIssues = [];
+    
+    if (paperGroup && panelMeshes.length > 1) {
+        const progress = getFoldProgress();
+        const foldAngles = panelMeshes.map(meshData => meshData.panel.foldAngle);
+        panelMeshes.forEach(meshData => {
+            if (meshData.panel.parentIndex !== undefined) meshData.panel.foldAngle = Math.PI;
+        });
+        setFoldProgress(1, false);
+        paperGroup.updateMatrixWorld(true);
+        
+        currentIssues = [
+            ...findBinding(panelMeshes),
+            ...findIntersections(paperGroup, panelMeshes)
+        ];
+        
+        panelMeshes.forEach((meshData, index) => { meshData.panel.foldAngle = foldAngles[index]; });
+        setFoldProgress(progress, false);
+        paperGroup.updateMatrixWorld(true);
+    }
+    
+    highlightPanels(panelMeshes, currentIssues);
+    updateWarning(currentIssues);
+    return currentIssues;
+}
+
+/**
+ * Get the issues found by the last check
+ * @returns {Array<Object>}
+ */
+export function getFoldIssues() {
+    return currentIssues;
+}
+
+/**
+ * Find panels that reach past the inside of a crease wrapped around them
+ * Each crease is a half circle (see bendPanel in foldMesh.js). A panel tucked
+ * inside it must stop short of the inner wall of that circle at its height;
+ * anything beyond is how far the panel binds at the fold.
+ * @param {Array} panelMeshes 
+ * @returns {Array<Object>} Binding issues, one per tucked panel
+ */
+function findBinding(panelMeshes) {
+    const thickness = getPaperThickness();
+    const scale = getScaleFactor();
+    const worst = new Map();
+    
+    const origin = new THREE.Vector3();
+    const es = new THREE.Vector3();
+    const eh = new THREE.Vector3();
+    const ec = new THREE.Vector3();
+    const vertex = new THREE.Vector3();
+    
+    panelMeshes.forEach((wrapper, wrapperIndex) => {
+        const bend = wrapper.bend;
+        if (!bend || !bend.side || !wrapper.pivot.parent) return;
+        
+        // Crease frame in world space: es into the unfolded panel, eh toward the fold side
+        const frame = wrapper.pivot.parent.matrixWorld;
+        origin.copy(bend.base).applyMatrix4(frame);
+        es.copy(bend.direction).transformDirection(frame);
+        eh.set(0, 0, bend.side).transformDirection(frame);
+        ec.crossVectors(es, eh);
+        
+        // Inner surface of the crease: a circle centered one radius toward the fold side
+        const radius = bend.radius;
+        const inner = Math.min(radius, radius + thickness * bend.side);
+        
+        // The panels this one hangs from lie under or wrapped around the
+        // outside of its crease, so they can never be tucked into it
+        const ancestors = new Set();
+        for (let index = wrapper.panel.parentIndex; index !== undefined; index = panelMeshes[index].panel.parentIndex) {
+            ancestors.add(index);
+        }
+        
+        panelMeshes.forEach((tucked, tuckedIndex) => {
+            if (tuckedIndex === wrapperIndex || ancestors.has(tuckedIndex)) return;
+            
+            let overshoot = 0;
+            
+            [tucked.frontMesh, tucked.backMesh].forEach(mesh => {
+                const positions = mesh.geometry.getAttribute('position');
+                for (let i = 0; i < positions.count; i++) {
+                    // A panel's own crease joins the paper it hangs from, so it only touches
+                    if (isInOwnCrease(tucked, mesh, i, vertex)) continue;
+                    
+                    vertex.fromBufferAttribute(positions, i).applyMatrix4(mesh.matrixWorld).sub(origin);
+                    if (Math.abs(vertex.dot(ec)) > bend.halfSpan + 1e-6) continue;
+                    
+                    const height = vertex.dot(eh) - radius;
+                    if (Math.abs(height) >= inner) continue;
+                    
+                    overshoot = Math.max(overshoot, (vertex.dot(es) - Math.sqrt(inner * inner - height * height)) / scale);
+                }
+            });
+            
+            if (overshoot > BIND_TOLERANCE && overshoot > (worst.get(tuckedIndex)?.amount || 0)) {
+                worst.set(tuckedIndex, { amount: overshoot, crease: wrapperIndex });
+            }
+        });
+    });
+    
+    return [...worst.entries()].map(([index, { amount, crease }]) => ({
+        type: 'binding',
+        panels: [index],
+        crease: crease,
+        amount: amount,
+        message: `Panel ${index + 1} binds at the fold by ${formatInches(amount)}`
+    }));
+}
+
+/**
+ * Check whether a vertex lies in its panel's own bend zone
+ * @param {Object} meshData - Entry from getPanelMeshes()
+ * @param {THREE.Mesh} mesh - Front or back mesh of the panel
+ * @param {number} index - Vertex index
+ * @param {THREE.Vector3} target - Scratch vector
+ * @returns {boolean}
+ */
+function isInOwnCrease(meshData, mesh, index, target) {
+    const bend = meshData.bend;
+    if (!bend) return false;
+    
+    const flat = mesh === meshData.frontMesh ? bend.frontFlat : bend.backFlat;
+    const distance = target.fromArray(flat, index * 3).applyMatrix4(mesh.matrix).add(bend.offset).dot(bend.direction);
+    return distance < bend.zoneLength - 1e-6;
+}
+
+/**
+ * Find panels that pass through each other
+ * Rays are cast straight down through the folded stack. Along each ray a
+ * panel's two faces should be hit back to back; another panel between them,
+ * or two panels swapping order across the piece, means they intersect.
+ * Rays that cross a crease (more than two hits on one panel, or a hit on a
+ * crease arc) are skipped: the arcs are drawn with an exaggerated stacking
+ * gap, and how panels sit in a crease is for findBinding to judge.
+ * @param {THREE.Group} paperGroup 
+ * @param {Array} panelMeshes 
+ * @returns {Array<Object>} Intersection issues, one per pair of panels
+ */
+function findIntersections(paperGroup, panelMeshes) {
+    const meshes = [];
+    const panelOf = new Map();
+    const vertex = new THREE.Vector3();
+    panelMeshes.forEach((meshData, index) => {
+        [meshData.frontMesh, meshData.backMesh].forEach(mesh => {
+            meshes.push(mesh);
+            panelOf.set(mesh, index);
+        });
+    });
+    
+    // Raycasting skips faces pointing away from the ray on single-sided materials
+    const sides = meshes.map(mesh => mesh.material.side);
+    meshes.forEach(mesh => { mesh.material.side = THREE.DoubleSide; });
+    
+    const box = new THREE.Box3().setFromObject(paperGroup);
+    const raycaster = new THREE.Raycaster();
+    const down = new THREE.Vector3(0, -1, 0);
+    const start = new THREE.Vector3();
+    const orders = new Map();
+    const crossing = new Set();
+    
+    const pairKey = (a, b) => a < b ? `${a}-${b}` : `${b}-${a}`;
+    
+    for (let i = 0; i < INTERSECT_SAMPLES; i++) {
+        for (let j = 0; j < INTERSECT_SAMPLES; j++) {
+            // Sample cell centers so rays never run exactly along a shared edge
+            start.set(
+                box.min.x + (box.max.x - box.min.x) * (i + 0.5) / INTERSECT_SAMPLES,
+                box.max.y + 1,
+                box.min.z + (box.max.z - box.min.z) * (j + 0.5) / INTERSECT_SAMPLES
+            );
+            raycaster.set(start, down);
+            const rayHits = raycaster.intersectObjects(meshes, false);
+            if (rayHits.some(hit => isCreaseHit(panelMeshes[panelOf.get(hit.object)], hit, vertex))) continue;
+            const hits = rayHits.map(hit => panelOf.get(hit.object));
+            
+            const counts = new Map();
+            hits.forEach(panel => counts.set(panel, (counts.get(panel) || 0) + 1));
+            if ([...counts.values()].some(count => count > 2)) continue;
+            
+            // Another panel between a panel's two faces
+            counts.forEach((count, panel) => {
+                if (count !== 2) return;
+                const first = hits.indexOf(panel);
+                const last = hits.lastIndexOf(panel);
+                hits.slice(first + 1, last).forEach(other => crossing.add(pairKey(panel, other)));
+            });
+            
+            // Stacking order of every pair seen on this ray
+            const stack = [...new Set(hits)];
+            for (let a = 0; a < stack.length; a++) {
+                for (let b = a + 1; b < stack.length; b++) {
+                    const key = pairKey(stack[a], stack[b]);
+                    const above = stack[a] < stack[b] ? 1 : 2;
+                    orders.set(key, (orders.get(key) || 0) | above);
+                }
+            }
+        }
+    }
+    
+    meshes.forEach((mesh, index) => { mesh.material.side = sides[index]; });
+    
+    orders.forEach((seen, key) => {
+        if (seen === 3) crossing.add(key);
+    });
+    
+    return [...crossing].map(key => {
+        const panels = key.split('-').map(Number);
+        return {
+            type: 'intersection',
+            panels: panels,
+            message: `Panels ${panels[0] + 1} and ${panels[1] + 1} intersect when folded`
+        };
+    });
+}
+
+/**
+ * Check whether a ray hit lands on its panel's crease arc
+ * @param {Object} meshData - Entry from getPanelMeshes()
+ * @param {THREE.Intersection} hit
+ * @param {THREE.Vector3} target - Scratch vector
+ * @returns {boolean}
+ */
+function isCreaseHit(meshData, hit, target) {
+    const { a, b, c } = hit.face;
+    return [a, b, c].some(index => isInOwnCrease(meshData, hit.object, index, target));
+}
+
+/**
+ * Tint offending panels red and clear the tint from the rest
+ * @param {Array} panelMeshes 
+ * @param {Array<Object>} issues 
+ */
+function highlightPanels(panelMeshes, issues) {
+    const offending = new Set(issues.flatMap(issue => issue.panels));
+    
+    panelMeshes.forEach((meshData, index) => {
+        const isOffending = offending.has(index);
+        [meshData.frontMesh, meshData.backMesh].forEach(mesh => {
+            mesh.material.emissive.setHex(isOffending ? HIGHLIGHT_COLOR : 0x000000);
+            mesh.material.emissiveIntensity = isOffending ? HIGHLIGHT_INTENSITY : 1;
+        });
+    });
+}
+
+/**
+ * Show or hide the fold warning in the viewport
+ * @param {Array<Object>} issues 
+ */
+function updateWarning(issues) {
+    const warning = document.getElementById('fold-check-warning');
+    const list = document.getElementById('fold-check-list');
+    if (!warning || !list) return;
+    
+    list.innerHTML = '';
+    issues.forEach(issue => {
+        const item = document.createElement('li');
+        item.textContent = issue.message;
+        list.appendChild(item);
+    });
+    warning.hidden = issues.length === 0;
+}
+
+/**
+ * Format a small distance in inches
+ * @param {number} inches 
+ * @returns {string}
+ */
+function formatInches(inches) {
+    return `${inches.toFixed(inches < 0.01 ? 3 : 2)}in`;
+}
@@ -6,63 +6,136 @@
 import * as THREE from 'three';
 import { calculatePanels } from './foldCalculator.js';
 
-// Paper thickness for slight 3D effect
-const PAPER_THICKNESS = 0.01;
-
 // Scale factor to fit nicely in scene
 const SCALE_FACTOR = 0.5;
 
+// Gap between stacked panels per layer, in sheet thicknesses (the sheet
+// itself plus the air a real crease leaves between layers)
+const CREASE_GAP_THICKNESSES = 3;
+
+// Segments across the bend zone of each crease
+const BEND_SEGMENTS = 16;
+
+// UVs that spread a whole image over one panel (see calculatePanelUVs)
+const FULL_UVS = { uStart: 0, uEnd: 1, vStart: 0, vEnd: 1 };
+
+// Scratch vectors for per-frame bending
+const _es = new THREE.Vector3();
+const _eh = new THREE.Vector3();
+const _axis = new THREE.Vector3();
+const _shift = new THREE.Vector3();
+const _point = new THREE.Vector3();
+const _across = new THREE.Vector3();
+const _unrotate = new THREE.Quaternion();
+const _toGroup = new THREE.Matrix4();
+const _fromGroup = new THREE.Matrix4();
+
+// Surface roughness per paper finish
+const FINISH_ROUGHNESS = {
+    uncoated: 0.8,
+    matte: 0.6,
+    gloss: 0.35
+};
+
 // Store for current mesh group
 let paperGroup = null;
 let panelMeshes = [];
 
+// A second sheet shown next to (or instead of) the current one when comparing versions
+let compareGroup = null;
+let comparePanelMeshes = [];
+
+// Sheet thickness in scene units, from the paper stock caliper
+let paperThickness = 0;
+
 /**
  * Create the folded paper mesh
- * @param {Object} size - Paper size { width, height }
- * @param {Object} textures - { front: THREE.Texture, back: THREE.Texture }
+ * @param {Object} size - Paper size { width, height, stock } from getCurrentSize()
+ * @param {Object} textures - { front: THREE.Texture, back: THREE.Texture, panels: { front, back } },
+ *     panels mapping panel index to a texture that replaces that panel's part of the sheet
  * @param {Object} options - { reflectFrontH, reflectBackH, reflectFrontV, reflectBackV }
  * @returns {THREE.Group} The paper mesh group
  */
 export function createFoldMesh(size, textures, options = {}) {
+    const built = buildFoldMesh(size, textures, options);
+    paperGroup = built.group;
+    panelMeshes = built.panelMeshes;
+    return paperGroup;
+}
+
+/**
+ * Create a second folded sheet for comparing artwork versions
+ * It folds along with the current sheet (see getComparePanelMeshes) and
+ * replaces any previous comparison sheet.
+ * @param {Object} size - Paper size, as for createFoldMesh
+ * @param {Object} textures - Textures of the version, as for createFoldMesh
+ * @param {Object} options - Reflect options, as for createFoldMesh
+ * @returns {THREE.Group} The comparison mesh group
+ */
+export function createCompareMesh(size, textures, options = {}) {
+    disposeCompareMesh();
+    const built = buildFoldMesh(size, textures, options);
+    compareGroup = built.group;
+    comparePanelMeshes = built.panelMeshes;
+    return compareGroup;
+}
+
+/**
+ * Build a folded paper mesh without making it the current one
+ * @param {Object} size - Paper size { width, height, stock } from getCurrentSize()
+ * @param {Object} textures - As for createFoldMesh
+ * @param {Object} options - As for createFoldMesh
+ * @returns {{ group: THREE.Group, panelMeshes: Array }}
+ */
+function buildFoldMesh(size, textures, options) {
     const { reflectFrontH = false, reflectBackH = true, reflectFrontV = false, reflectBackV = false } = options;
     // Calculate panel configuration
     const panelConfig = calculatePanels(size);
+    paperThickness = size.stock.caliper * SCALE_FACTOR;
     
     // Create a group to hold all panels
-    paperGroup = new THREE.Group();
-    panelMeshes = [];
+    const group = new THREE.Group();
+    const meshes = [];
+    
+    // Work out every crease's bend zone first: a panel carried across another
+    // panel's crease (cross folds) is subdivided for that crease as well
+    const bends = panelConfig.panels.map(panel => {
+        const rect = getPanelRect(panel, panelConfig);
+        return createBend(panel, rect, getPivotPoint(panel, rect, panelConfig.isVertical));
+    });
     
     // Create each panel
     panelConfig.panels.forEach((panel, index) => {
-        const panelMesh = createPanel(panel, panelConfig, textures, { reflectFrontH, reflectBackH, reflectFrontV, reflectBackV });
-        panelMeshes.push(panelMesh);
+        const panelMesh = createPanel(panel, panelConfig, textures, bends, { reflectFrontH, reflectBackH, reflectFrontV, reflectBackV, finish: size.stock.finish });
+        meshes.push(panelMesh);
     });
     
     // Build the hierarchy (child panels attach to parent panels)
-    buildPanelHierarchy(panelConfig.panels);
+    buildPanelHierarchy(panelConfig.panels, meshes);
     
     // Add root panels to the group
-    panelMeshes.forEach((mesh, index) => {
+    meshes.forEach((mesh, index) => {
         const panel = panelConfig.panels[index];
         if (panel.isBase || panel.parentIndex === undefined) {
-            if (!mesh.parent || mesh.parent === paperGroup) {
-                paperGroup.add(mesh.pivot || mesh);
+            if (!mesh.parent || mesh.parent === group) {
+                group.add(mesh.pivot || mesh);
             }
         }
     });
     
     // Center the group
-    centerGroup(paperGroup, panelConfig);
+    centerGroup(group, panelConfig);
     
     // Store config for animation reference
-    paperGroup.userData.panelConfig = panelConfig;
-    paperGroup.userData.panelMeshes = panelMeshes;
+    group.userData.panelConfig = panelConfig;
+    group.userData.panelMeshes = meshes;
     
-    return paperGroup;
+    return { group, panelMeshes: meshes };
 }
 
 /**
  * Apply horizontal and/or vertical flip to a texture (clone to avoid mutating original)
+ * The flip keeps any crop already set on the texture (PDF trim).
  * @param {THREE.Texture} texture - Source texture
  * @param {boolean} flipH - Flip horizontally
  * @param {boolean} flipV - Flip vertically
@@ -75,12 +148,12 @@ function cloneTextureWithFlip(texture, flipH = true, flipV = false) {
     clone.wrapT = THREE.RepeatWrapping;
     
     if (flipH) {
-        clone.repeat.x = -1;
-        clone.offset.x = 1;
+        clone.offset.x = texture.offset.x + texture.repeat.x;
+        clone.repeat.x = -texture.repeat.x;
     }
     if (flipV) {
-        clone.repeat.y = -1;
-        clone.offset.y = 1;
+        clone.offset.y = texture.offset.y + texture.repeat.y;
+        clone.repeat.y = -texture.repeat.y;
     }
     return clone;
 }
@@ -103,50 +176,68 @@ function applyTextureTransforms(texture, flipH, flipV) {
  * @param {Object} panel - Panel configuration
  * @param {Object} panelConfig - Full panel config
  * @param {Object} textures - Front and back textures
- * @param {Object} options - { reflectFrontH, reflectBackH, reflectFrontV, reflectBackV }
+ * @param {Array} bends - createBend result for every panel
+ * @param {Object} options - { reflectFrontH, reflectBackH, reflectFrontV, reflectBackV, finish }
  * @returns {Object} Panel mesh with pivot
  */
-function createPanel(panel, panelConfig, textures, options = {}) {
-    const { reflectFrontH = false, reflectBackH = true, reflectFrontV = false, reflectBackV = false } = options;
+function createPanel(panel, panelConfig, textures, bends, options = {}) {
+    const { reflectFrontH = false, reflectBackH = true, reflectFrontV = false, reflectBackV = false, finish = 'uncoated' } = options;
     const isHorizontalFold = !panelConfig.isVertical;
+    const roughness = FINISH_ROUGHNESS[finish] ?? FINISH_ROUGHNESS.uncoated;
     
-    // panel.width is the dimension along the fold direction
-    // panel.height is the dimension perpendicular to the fold
-    const scaledPanelWidth = panel.width * SCALE_FACTOR;
-    const scaledPanelHeight = panel.height * SCALE_FACTOR;
+    // Panel rectangle on the flat sheet, and the point on its edge it folds around
+    const rect = getPanelRect(panel, panelConfig);
+    const pivotPoint = getPivotPoint(panel, rect, panelConfig.isVertical);
+    const geomWidth = rect.width;
+    const geomHeight = rect.height;
     
-    // For horizontal folds: X = paper width (panel.height), Y = panel strip height (panel.width)
-    // For vertical folds: X = panel strip width (panel.width), Y = paper height (panel.height)
-    const geomWidth = isHorizontalFold ? scaledPanelHeight : scaledPanelWidth;
-    const geomHeight = isHorizontalFold ? scaledPanelWidth : scaledPanelHeight;
-    
-    // Calculate UV coordinates for this panel
+    // Panel images cover the whole panel; otherwise the panel shows its slice of the sheet
+    const frontOverride = getPanelTexture(textures, 'front', panel.index);
+    const backOverride = getPanelTexture(textures, 'back', panel.index);
     const uvs = calculatePanelUVs(panel, panelConfig);
+    const frontUVs = backOverride ? FULL_UVS : uvs;
+    const backUVs = frontOverride ? FULL_UVS : uvs;
+    
+    // Bend zone along the crease this panel folds around, plus the zones of
+    // any ancestor creases the panel is carried across
+    const bend = bends[panel.index];
+    const zones = getCarriedZones(panel, panelConfig.panels, bends, rect);
+    zones.forEach(zone => bends[zone.carrier].carried.push(panel.index));
+    if (bend) {
+        const axis = Math.abs(bend.direction.x) > Math.abs(bend.direction.y) ? 0 : 1;
+        zones.push({
+            axis: axis,
+            crease: -bend.offset.getComponent(axis),
+            inward: bend.direction.getComponent(axis),
+            length: bend.zoneLength
+        });
+    }
     
-    // Create geometry with correct dimensions for fold orientation
-    const geometry = new THREE.PlaneGeometry(geomWidth, geomHeight);
+    // Create geometry with correct dimensions for fold orientation,
+    // subdivided across the bend zones
+    const geometry = createPanelGeometry(geomWidth, geomHeight, zones, false);
     
     // Apply custom UVs
-    applyUVs(geometry, uvs, isHorizontalFold);
+    applyUVs(geometry, frontUVs, isHorizontalFold);
     
     // Create materials for front and back (sides swapped: front upload shows on back mesh, back upload on front mesh)
     // Reflect buttons match user's view: reflectFront flips back mesh (shows front upload), reflectBack flips front mesh (shows back upload)
-    const frontTexture = applyTextureTransforms(textures.back, reflectBackH, reflectBackV);
-    const backTexture = applyTextureTransforms(textures.front, reflectFrontH, reflectFrontV);
+    const frontTexture = applyTextureTransforms(backOverride || textures.back, reflectBackH, reflectBackV);
+    const backTexture = applyTextureTransforms(frontOverride || textures.front, reflectFrontH, reflectFrontV);
 
     const frontMaterial = new THREE.MeshStandardMaterial({
         map: frontTexture,
-        color: textures.back ? 0xffffff : 0xf5f5f5,
+        color: frontTexture ? 0xffffff : 0xf5f5f5,
         side: THREE.FrontSide,
-        roughness: 0.8,
+        roughness: roughness,
         metalness: 0.0
     });
     
     const backMaterial = new THREE.MeshStandardMaterial({
         map: backTexture,
-        color: textures.front ? 0xffffff : 0xe8e8e8,
+        color: backTexture ? 0xffffff : 0xe8e8e8,
         side: THREE.FrontSide,
-        roughness: 0.8,
+        roughness: roughness,
         metalness: 0.0
     });
     
@@ -156,13 +247,14 @@ function createPanel(panel, panelConfig, textures, options = {}) {
     frontMesh.receiveShadow = true;
     
     // Create back mesh (slightly offset and flipped)
-    const backGeometry = geometry.clone();
+    // Its local X is mirrored, so the bend zone is laid out from the other side
+    const backGeometry = createPanelGeometry(geomWidth, geomHeight, zones, true);
     // Flip UVs horizontally for back
-    applyUVs(backGeometry, flipUVsHorizontally(uvs), isHorizontalFold);
+    applyUVs(backGeometry, flipUVsHorizontally(backUVs), isHorizontalFold);
     
     const backMesh = new THREE.Mesh(backGeometry, backMaterial);
     backMesh.rotation.y = Math.PI; // Flip to show back
-    backMesh.position.z = -PAPER_THICKNESS;
+    backMesh.position.z = -paperThickness;
     backMesh.castShadow = true;
     backMesh.receiveShadow = true;
     
@@ -180,29 +272,152 @@ function createPanel(panel, panelConfig, textures, options = {}) {
     // Track if this is a root panel (no parent) - root panels keep their base rotation
     pivot.userData.isRoot = (panel.parentIndex === undefined || panel.isBase);
     
-    // Position panel within pivot based on pivot edge
-    // Use geometry dimensions for positioning
-    positionPanelInPivot(panelGroup, panel, geomWidth, geomHeight, isHorizontalFold);
+    // Position panel within pivot so the pivot edge is at the pivot origin
+    panelGroup.position.x = rect.x - pivotPoint.x;
+    panelGroup.position.y = rect.y - pivotPoint.y;
     
     pivot.add(panelGroup);
     
-    // Position pivot in world space
-    positionPivot(pivot, panel, panelConfig, scaledPanelWidth, scaledPanelHeight, isHorizontalFold);
+    // Position pivot in world space (child pivots are re-positioned by buildPanelHierarchy)
+    positionPivot(pivot, pivotPoint);
     
     // Store reference
     pivot.userData.panelGroup = panelGroup;
+    pivot.userData.sheetRect = rect;
+    pivot.userData.sheetPivot = pivotPoint;
     pivot.userData.frontMesh = frontMesh;
     pivot.userData.backMesh = backMesh;
     
+    if (bend) {
+        bend.frontFlat = frontMesh.geometry.getAttribute('position').array.slice();
+        bend.backFlat = backMesh.geometry.getAttribute('position').array.slice();
+    }
+    
     return {
         pivot: pivot,
         panelGroup: panelGroup,
         frontMesh: frontMesh,
         backMesh: backMesh,
-        panel: panel
+        panel: panel,
+        bend: bend
+    };
+}
+
+/**
+ * Describe the bend zone of a folding panel
+ * The crease is a circular arc whose radius is half the stacking gap, so a
+ * fully closed fold leaves the panel exactly one stack gap above its parent.
+ * @param {Object} panel - Panel configuration
+ * @param {Object} rect - From getPanelRect
+ * @param {{ x: number, y: number }} pivotPoint - From getPivotPoint
+ * @returns {Object|null} Bend description, or null for the base panel
+ */
+function createBend(panel, rect, pivotPoint) {
+    if (panel.parentIndex === undefined) return null;
+    
+    // Panel group offset from the crease (pivot frame)
+    const offset = new THREE.Vector3(rect.x - pivotPoint.x, rect.y - pivotPoint.y, 0);
+    const extent = offset.length() * 2;
+    const alongX = Math.abs(offset.x) > Math.abs(offset.y);
+    const radius = paperThickness * (panel.layer * CREASE_GAP_THICKNESSES + (panel.nestOffset || 0)) / 2;
+    
+    return {
+        offset: offset,
+        direction: offset.clone().normalize(),
+        extent: extent,
+        halfSpan: (alongX ? rect.height : rect.width) / 2,
+        radius: radius,
+        // Long enough for the crease fully closed, as checkFolds closes it past springback
+        zoneLength: Math.min(extent, radius * Math.PI),
+        sheetPivot: pivotPoint,
+        base: new THREE.Vector3(),
+        angle: 0,
+        side: 0,
+        carried: []
     };
 }
 
+/**
+ * Find the ancestor creases a panel is carried across
+ * In a cross fold, a panel that has already folded onto its parent lies
+ * along the parent's own crease, so it has to bend around that crease too.
+ * @param {Object} panel - Panel configuration
+ * @param {Array} panels - All panel configurations
+ * @param {Array} bends - createBend result for every panel
+ * @param {Object} rect - From getPanelRect
+ * @returns {Array<Object>} Bend zones { axis, crease, inward, length, carrier } in panel coordinates
+ */
+function getCarriedZones(panel, panels, bends, rect) {
+    const zones = [];
+    
+    for (let index = panel.parentIndex; index !== undefined; index = panels[index].parentIndex) {
+        const bend = bends[index];
+        if (!bend) continue;
+        
+        const axis = Math.abs(bend.direction.x) > Math.abs(bend.direction.y) ? 0 : 1;
+        const center = axis === 0 ? rect.x : rect.y;
+        const size = axis === 0 ? rect.width : rect.height;
+        const crease = (axis === 0 ? bend.sheetPivot.x : bend.sheetPivot.y) - center;
+        const inward = bend.direction.getComponent(axis);
+        
+        // The panel's near edge lies along the crease line
+        if (Math.abs(crease + inward * size / 2) < 1e-6) {
+            zones.push({ axis: axis, crease: crease, inward: inward, length: bend.zoneLength, carrier: index });
+        }
+    }
+    
+    return zones;
+}
+
+/**
+ * Create panel geometry, subdivided finely across each bend zone
+ * @param {number} width 
+ * @param {number} height 
+ * @param {Array<Object>} zones - Bend zones { axis, crease, inward, length } in panel coordinates
+ * @param {boolean} mirrored - Geometry is mirrored in X (back mesh)
+ * @returns {THREE.BufferGeometry}
+ */
+function createPanelGeometry(width, height, zones, mirrored) {
+    const half = [width / 2, height / 2];
+    const stops = [[-half[0], half[0]], [-half[1], half[1]]];
+    
+    // Evenly spaced rows over each bend zone; the rest of the panel stays one flat segment
+    zones.forEach(zone => {
+        const flip = mirrored && zone.axis === 0 ? -1 : 1;
+        const limit = half[zone.axis];
+        for (let i = 0; i <= BEND_SEGMENTS; i++) {
+            const stop = (zone.crease + zone.length * zone.inward * i / BEND_SEGMENTS) * flip;
+            stops[zone.axis].push(Math.max(-limit, Math.min(limit, stop)));
+        }
+    });
+    const [xStops, yStops] = stops.map(list => {
+        return [...new Set(list.map(stop => Math.round(stop * 1e6) / 1e6))].sort((a, b) => a - b);
+    });
+    
+    // Move the evenly spaced grid lines of a plane onto the stops
+    const geometry = new THREE.PlaneGeometry(width, height, xStops.length - 1, yStops.length - 1);
+    const positions = geometry.getAttribute('position');
+    for (let i = 0; i < positions.count; i++) {
+        const ix = Math.round((positions.getX(i) / width + 0.5) * (xStops.length - 1));
+        const iy = Math.round((positions.getY(i) / height + 0.5) * (yStops.length - 1));
+        positions.setXY(i, xStops[ix], yStops[iy]);
+    }
+    
+    geometry.computeBoundingSphere();
+    return geometry;
+}
+
+/**
+ * Get the image uploaded for one side of a single panel
+ * @param {Object} textures - As passed to createFoldMesh
+ * @param {string} side - 'front' or 'back' upload
+ * @param {number} index - Panel index
+ * @returns {THREE.Texture|null}
+ */
+function getPanelTexture(textures, side, index) {
+    return textures.panels?.[side]?.[index] || null;
+}
+
 /**
  * Calculate UV coordinates for a panel
  * @param {Object} panel - Panel configuration
@@ -211,6 +426,7 @@ function createPanel(panel, panelConfig, textures, options = {}) {
  */
 function calculatePanelUVs(panel, panelConfig) {
     const isHorizontalFold = !panelConfig.isVertical;
+    const offsetY = panel.offsetY || 0;
     
     if (isHorizontalFold) {
         // For horizontal fold, we divide along height (V axis)
@@ -218,9 +434,14 @@ function calculatePanelUVs(panel, panelConfig) {
         const vStart = panel.offsetX / totalHeight; // offsetX is actually offset along height
         const vEnd = (panel.offsetX + panel.width) / totalHeight;
         
+        // Cross folds also divide the width, left to right
+        const totalWidth = panelConfig.totalWidth;
+        const uStart = offsetY / totalWidth;
+        const uEnd = (offsetY + panel.height) / totalWidth;
+        
         return {
-            uStart: 0,
-            uEnd: 1,
+            uStart: uStart,
+            uEnd: uEnd,
             vStart: vStart,
             vEnd: vEnd
         };
@@ -230,44 +451,42 @@ function calculatePanelUVs(panel, panelConfig) {
         const uStart = panel.offsetX / totalWidth;
         const uEnd = (panel.offsetX + panel.width) / totalWidth;
         
+        // Cross folds also divide the height, top (v = 1) to bottom
+        const totalHeight = panelConfig.totalHeight;
+        const vStart = 1 - (offsetY + panel.height) / totalHeight;
+        const vEnd = 1 - offsetY / totalHeight;
+        
         return {
             uStart: uStart,
             uEnd: uEnd,
-            vStart: 0,
-            vEnd: 1
+            vStart: vStart,
+            vEnd: vEnd
         };
     }
 }
 
 /**
  * Apply UV coordinates to geometry
- * @param {THREE.BufferGeometry} geometry 
+ * UVs are interpolated from each vertex position, so subdivided panels map
+ * the same way as a single quad: uStart on the -X edge, vStart on the +Y edge.
+ * @param {THREE.BufferGeometry} geometry - PlaneGeometry
  * @param {Object} uvs 
  * @param {boolean} isHorizontalFold
  */
 function applyUVs(geometry, uvs, isHorizontalFold = false) {
     const uvAttribute = geometry.getAttribute('uv');
-    const uvArray = uvAttribute.array;
-    
-    // PlaneGeometry UV layout:
-    // 0: bottom-left, 1: bottom-right, 2: top-left, 3: top-right
-    // UV array: [u0,v0, u1,v1, u2,v2, u3,v3]
-    
-    // Bottom-left
-    uvArray[0] = uvs.uStart;
-    uvArray[1] = uvs.vStart;
-    
-    // Bottom-right
-    uvArray[2] = uvs.uEnd;
-    uvArray[3] = uvs.vStart;
-    
-    // Top-left
-    uvArray[4] = uvs.uStart;
-    uvArray[5] = uvs.vEnd;
-    
-    // Top-right
-    uvArray[6] = uvs.uEnd;
-    uvArray[7] = uvs.vEnd;
+    const positions = geometry.getAttribute('position');
+    const { width, height } = geometry.parameters;
+    
+    for (let i = 0; i < positions.count; i++) {
+        const fx = positions.getX(i) / width + 0.5;
+        const fy = 0.5 - positions.getY(i) / height;
+        uvAttribute.setXY(
+            i,
+            uvs.uStart + fx * (uvs.uEnd - uvs.uStart),
+            uvs.vStart + fy * (uvs.vEnd - uvs.vStart)
+        );
+    }
     
     uvAttribute.needsUpdate = true;
 }
@@ -287,185 +506,96 @@ function flipUVsHorizontally(uvs) {
 }
 
 /**
- * Position panel within its pivot point
- * @param {THREE.Group} panelGroup 
+ * Get a panel's rectangle on the flat sheet (scaled, sheet centered at the origin)
+ * Coordinates are geometry X/Y before the sheet is laid flat. offsetX runs
+ * along the divided axis and offsetY across it (cross folds only).
  * @param {Object} panel 
- * @param {number} geomWidth - Geometry width (X dimension)
- * @param {number} geomHeight - Geometry height (Y dimension)
- * @param {boolean} isHorizontalFold
+ * @param {Object} panelConfig 
+ * @returns {{ x: number, y: number, width: number, height: number }} Center and size
  */
-function positionPanelInPivot(panelGroup, panel, geomWidth, geomHeight, isHorizontalFold) {
-    // The pivot is at the fold edge
-    // Position the panel so the pivot edge is at the origin of the pivot group
-    
-    if (isHorizontalFold) {
-        // For horizontal fold, pivot edge is top or bottom (Y axis of geometry)
-        // geomHeight is the panel strip height
-        // Panel extends AWAY from the pivot/fold line
-        switch (panel.pivotEdge) {
-            case 'left': // Panel's top edge is at pivot, panel extends downward
-                panelGroup.position.y = -geomHeight / 2;
-                break;
-            case 'right': // Panel's bottom edge is at pivot, panel extends upward
-                panelGroup.position.y = geomHeight / 2;
-                break;
-            case 'center':
-                panelGroup.position.y = 0;
-                break;
-        }
-    } else {
-        // For vertical fold, pivot edge is left or right (X axis of geometry)
-        // geomWidth is the panel strip width
-        switch (panel.pivotEdge) {
-            case 'left':
-                panelGroup.position.x = geomWidth / 2;
-                break;
-            case 'right':
-                panelGroup.position.x = -geomWidth / 2;
-                break;
-            case 'center':
-                panelGroup.position.x = 0;
-                break;
-        }
+function getPanelRect(panel, panelConfig) {
+    const isVertical = panelConfig.isVertical;
+    const totalAlong = (isVertical ? panelConfig.totalWidth : panelConfig.totalHeight) * SCALE_FACTOR;
+    const totalAcross = (isVertical ? panelConfig.totalHeight : panelConfig.totalWidth) * SCALE_FACTOR;
+    
+    const along = (panel.offsetX + panel.width / 2) * SCALE_FACTOR - totalAlong / 2;
+    const across = ((panel.offsetY || 0) + panel.height / 2) * SCALE_FACTOR - totalAcross / 2;
+    const alongSize = panel.width * SCALE_FACTOR;
+    const acrossSize = panel.height * SCALE_FACTOR;
+    
+    if (isVertical) {
+        // Panels run left to right along X, rows run top to bottom along +Y
+        return { x: along, y: across, width: alongSize, height: acrossSize };
     }
+    // Panels run top to bottom along -Y, rows run left to right along X
+    return { x: across, y: -along, width: acrossSize, height: alongSize };
 }
 
 /**
- * Position pivot in world space
- * @param {THREE.Group} pivot 
+ * Get the point a panel folds around on the flat sheet
+ * 'left'/'right' are the low/high offsetX edges, 'top'/'bottom' the low/high offsetY edges
  * @param {Object} panel 
- * @param {Object} panelConfig 
- * @param {number} scaledPanelWidth - The panel's strip dimension (along fold)
- * @param {number} scaledPanelHeight - The panel's perpendicular dimension
- * @param {boolean} isHorizontalFold
+ * @param {Object} rect - From getPanelRect
+ * @param {boolean} isVertical
+ * @returns {{ x: number, y: number }}
  */
-function positionPivot(pivot, panel, panelConfig, scaledPanelWidth, scaledPanelHeight, isHorizontalFold) {
-    if (isHorizontalFold) {
-        // For horizontal fold, panels stack along Y (before rotation)
-        // Total height being divided is panelConfig.totalHeight
-        const totalDividedDimension = panelConfig.totalHeight * SCALE_FACTOR;
-        
-        // Calculate pivot Y position based on where this panel sits
-        // INVERT Y axis: offset=0 should be at TOP (positive Y), not bottom
-        let pivotY = 0;
-        
-        switch (panel.pivotEdge) {
-            case 'left': // Top edge of this panel strip (inverted)
-                pivotY = (totalDividedDimension / 2) - (panel.offsetX * SCALE_FACTOR);
-                break;
-            case 'right': // Bottom edge of this panel strip (inverted)
-                pivotY = (totalDividedDimension / 2) - ((panel.offsetX + panel.width) * SCALE_FACTOR);
-                break;
-            case 'center':
-                pivotY = (totalDividedDimension / 2) - ((panel.offsetX + panel.width / 2) * SCALE_FACTOR);
-                break;
-        }
-        
-        // Center the paper when root is at edge. Bi-fold root is already at center.
-        // Each fold type needs its own offset due to different panel counts/widths
-        let centerOffset = 0;
-        if (panel.pivotEdge !== 'center' && panelConfig.foldType !== 'bi-fold') {
-            switch (panelConfig.foldType) {
-                case 'tri-fold-z':
-                    centerOffset = totalDividedDimension * 20 / 120;
-                    break;
-                case 'tri-fold-roll':
-                    centerOffset = totalDividedDimension * 19.5 / 120;
-                    break;
-                case 'double-gate-fold':
-                    // 4-panel fold: base pivot is near center, minimal offset needed
-                    centerOffset = 0;
-                    break;
-                default:
-                    centerOffset = totalDividedDimension * 19.5 / 120;
-            }
-        }
-        pivot.position.x = 0;
-        pivot.position.y = 0;
-        pivot.position.z = -pivotY + centerOffset;
-        
-        // Rotate to lie flat (front facing up)
-        pivot.rotation.x = Math.PI / 2;
-        
-    } else {
-        // For vertical fold, panels are arranged along X
-        const totalScaledWidth = panelConfig.totalWidth * SCALE_FACTOR;
-        
-        // Calculate pivot X position
-        let pivotX = 0;
-        
-        switch (panel.pivotEdge) {
-            case 'left':
-                pivotX = (panel.offsetX * SCALE_FACTOR) - (totalScaledWidth / 2);
-                break;
-            case 'right':
-                pivotX = ((panel.offsetX + panel.width) * SCALE_FACTOR) - (totalScaledWidth / 2);
-                break;
-            case 'center':
-                pivotX = ((panel.offsetX + panel.width / 2) * SCALE_FACTOR) - (totalScaledWidth / 2);
-                break;
-        }
-        
-        pivot.position.x = pivotX;
-        pivot.position.y = 0;
-        pivot.position.z = 0;
-        
-        // Rotate to lie flat initially (front facing up)
-        pivot.rotation.x = Math.PI / 2;
+function getPivotPoint(panel, rect, isVertical) {
+    const halfW = rect.width / 2;
+    const halfH = rect.height / 2;
+    
+    switch (panel.pivotEdge) {
+        case 'left':
+            return isVertical ? { x: rect.x - halfW, y: rect.y } : { x: rect.x, y: rect.y + halfH };
+        case 'right':
+            return isVertical ? { x: rect.x + halfW, y: rect.y } : { x: rect.x, y: rect.y - halfH };
+        case 'top':
+            return isVertical ? { x: rect.x, y: rect.y - halfH } : { x: rect.x - halfW, y: rect.y };
+        case 'bottom':
+            return isVertical ? { x: rect.x, y: rect.y + halfH } : { x: rect.x + halfW, y: rect.y };
+        default:
+            return { x: rect.x, y: rect.y };
     }
 }
 
+/**
+ * Position pivot in world space
+ * The pivot is rotated to lie flat, so sheet X/Y map to world X/Z
+ * @param {THREE.Group} pivot 
+ * @param {{ x: number, y: number }} pivotPoint - Pivot location on the flat sheet
+ */
+function positionPivot(pivot, pivotPoint) {
+    pivot.position.x = pivotPoint.x;
+    pivot.position.y = 0;
+    pivot.position.z = pivotPoint.y;
+    
+    // Rotate to lie flat (front facing up)
+    pivot.rotation.x = Math.PI / 2;
+}
+
 /**
  * Build panel hierarchy (child panels attach to parent panels)
  * @param {Array} panels 
+ * @param {Array} meshes - createPanel result for every panel
  */
-function buildPanelHierarchy(panels) {
+function buildPanelHierarchy(panels, meshes) {
     panels.forEach((panel, index) => {
         if (panel.parentIndex !== undefined && panel.parentIndex !== index) {
-            const parentMesh = panelMeshes[panel.parentIndex];
-            const childMesh = panelMeshes[index];
+            const parentMesh = meshes[panel.parentIndex];
+            const childMesh = meshes[index];
             
             if (parentMesh && childMesh) {
                 // Get the parent's panel group
                 const parentPanelGroup = parentMesh.pivot.userData.panelGroup;
-                const isHorizontalFold = childMesh.pivot.userData.isHorizontalFold;
+                const parentRect = parentMesh.pivot.userData.sheetRect;
+                const childPivot = childMesh.pivot.userData.sheetPivot;
                 
-                // Calculate child pivot position relative to parent panel
-                const parentPanel = panels[panel.parentIndex];
-                // For horizontal fold, we need the geometry height (which is parent's strip height)
-                // For vertical fold, we need the geometry width (which is parent's strip width)
-                const parentStripDimension = parentPanel.width * SCALE_FACTOR;
-                
-                if (isHorizontalFold) {
-                    // For horizontal fold, child attaches at parent's Y edge
-                    // Y axis is inverted: positive Y is TOP, negative Y is BOTTOM
-                    // Child's pivot edge determines which edge of parent it attaches to
-                    let childPivotY = 0;
-                    if (panel.pivotEdge === 'left') {
-                        // Child's 'left' (top) edge attaches at parent's bottom edge
-                        childPivotY = -parentStripDimension / 2;
-                    } else {
-                        // Child's 'right' (bottom) edge attaches at parent's top edge
-                        childPivotY = parentStripDimension / 2;
-                    }
-                    
-                    childMesh.pivot.position.x = 0;
-                    childMesh.pivot.position.y = childPivotY;
-                    childMesh.pivot.position.z = 0;
-                    childMesh.pivot.rotation.x = 0;
-                } else {
-                    // For vertical fold, child attaches at parent's X edge
-                    let childPivotX = 0;
-                    if (panel.pivotEdge === 'left') {
-                        childPivotX = parentStripDimension / 2;
-                    } else {
-                        childPivotX = -parentStripDimension / 2;
-                    }
-                    
-                    childMesh.pivot.position.x = childPivotX;
-                    childMesh.pivot.position.y = 0;
-                    childMesh.pivot.position.z = 0;
-                    childMesh.pivot.rotation.x = 0;
+                // Child pivot sits on the shared crease, relative to the parent panel's center
+                childMesh.pivot.position.x = childPivot.x - parentRect.x;
+                childMesh.pivot.position.y = childPivot.y - parentRect.y;
+                childMesh.pivot.position.z = 0;
+                childMesh.pivot.rotation.x = 0;
+                if (childMesh.bend) {
+                    childMesh.bend.base.copy(childMesh.pivot.position);
                 }
                 
                 // Add to parent
@@ -517,9 +647,26 @@ export function getPanelMeshes() {
     return panelMeshes;
 }
 
+/**
+ * Get the comparison sheet group
+ * @returns {THREE.Group|null}
+ */
+export function getCompareGroup() {
+    return compareGroup;
+}
+
+/**
+ * Get the panel meshes of the comparison sheet
+ * @returns {Array} Empty when nothing is being compared
+ */
+export function getComparePanelMeshes() {
+    return comparePanelMeshes;
+}
+
 /**
  * Update textures on existing mesh
- * @param {Object} textures - { front, back }
+ * Panel images have to be the same panels the mesh was built with, since they change the UVs.
+ * @param {Object} textures - { front, back, panels }
  * @param {Object} options - { reflectFrontH, reflectBackH, reflectFrontV, reflectBackV }
  */
 export function updateTextures(textures, options = {}) {
@@ -528,19 +675,33 @@ export function updateTextures(textures, options = {}) {
     const { reflectFrontH = false, reflectBackH = true, reflectFrontV = false, reflectBackV = false } = options;
     const frontTexture = applyTextureTransforms(textures.back, reflectBackH, reflectBackV);
     const backTexture = applyTextureTransforms(textures.front, reflectFrontH, reflectFrontV);
+    
+    // Uploaded textures are owned by the caller; only the flipped clones are disposed here
+    const sources = new Set([textures.front, textures.back]);
+    ['front', 'back'].forEach(side => {
+        Object.values(textures.panels?.[side] || {}).forEach(texture => sources.add(texture));
+    });
+    const setMap = (mesh, map) => {
+        const oldMap = mesh.material.map;
+        if (oldMap && oldMap !== map && !sources.has(oldMap)) oldMap.dispose();
+        mesh.material.map = map;
+        mesh.material.needsUpdate = true;
+    };
 
     panelMeshes.forEach(meshData => {
+        const index = meshData.panel.index;
+        const frontOverride = getPanelTexture(textures, 'front', index);
+        const backOverride = getPanelTexture(textures, 'back', index);
+        
         if (meshData.frontMesh) {
-            const oldMap = meshData.frontMesh.material.map;
-            if (oldMap && oldMap !== textures.back && oldMap !== textures.front) oldMap.dispose();
-            meshData.frontMesh.material.map = frontTexture;
-            meshData.frontMesh.material.needsUpdate = true;
+            setMap(meshData.frontMesh, backOverride
+                ? applyTextureTransforms(backOverride, reflectBackH, reflectBackV)
+                : frontTexture);
         }
         if (meshData.backMesh) {
-            const oldMap = meshData.backMesh.material.map;
-            if (oldMap && oldMap !== textures.back && oldMap !== textures.front) oldMap.dispose();
-            meshData.backMesh.material.map = backTexture;
-            meshData.backMesh.material.needsUpdate = true;
+            setMap(meshData.backMesh, frontOverride
+                ? applyTextureTransforms(frontOverride, reflectFrontH, reflectFrontV)
+                : backTexture);
         }
     });
 }
@@ -566,6 +727,23 @@ export function disposeMesh() {
     paperGroup = null;
 }
 
+/**
+ * Dispose of the comparison sheet
+ * The caller removes it from the scene and owns its textures.
+ */
+export function disposeCompareMesh() {
+    comparePanelMeshes.forEach(meshData => {
+        [meshData.frontMesh, meshData.backMesh].forEach(mesh => {
+            if (!mesh) return;
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        });
+    });
+    
+    comparePanelMeshes = [];
+    compareGroup = null;
+}
+
 /**
  * Get scale factor
  * @returns {number}
@@ -573,3 +751,177 @@ export function disposeMesh() {
 export function getScaleFactor() {
     return SCALE_FACTOR;
 }
+
+/**
+ * Fold a panel around its crease
+ * The paper in the bend zone follows a circular arc from the parent's edge;
+ * the rest of the panel stays flat, turned by the fold angle and set back by
+ * the length of paper the arc uses. The flat part is carried by the pivot
+ * (so child panels follow) and the bend zone vertices are bent to match.
+ * @param {Object} meshData - Entry from getPanelMeshes()
+ * @param {number} angle - Fold angle in radians, 0 (flat) to π (closed)
+ * @param {number} side - 1 to fold toward the pivot's local +Z, -1 toward -Z
+ */
+export function bendPanel(meshData, angle, side) {
+    const bend = meshData.bend;
+    if (!bend) return;
+    
+    bend.angle = angle;
+    bend.side = side;
+    setCreaseFrame(bend);
+    
+    meshData.pivot.quaternion.setFromAxisAngle(_axis, angle);
+    meshData.pivot.position.copy(bend.base).add(_shift);
+    _unrotate.copy(meshData.pivot.quaternion).invert();
+    
+    const bendLength = bend.radius * angle;
+    bendMeshVertices(meshData.frontMesh, bend.frontFlat, bend, bendLength, side);
+    bendMeshVertices(meshData.backMesh, bend.backFlat, bend, bendLength, side);
+}
+
+/**
+ * Bend panels that are carried across another panel's crease
+ * Call after bendPanel has run for every panel: each carried panel, already
+ * in place on its own crease, is wrapped around the carrier's arc at its
+ * own height above the carrier.
+ * @param {Array} [meshes] - Panel meshes of one sheet, the current one by default
+ */
+export function bendCarriedPanels(meshes = panelMeshes) {
+    meshes.forEach(carrier => {
+        const bend = carrier.bend;
+        if (!bend || !bend.carried.length || !bend.angle) return;
+        
+        setCreaseFrame(bend);
+        _unrotate.copy(carrier.pivot.quaternion).invert();
+        
+        bend.carried.forEach(index => {
+            const meshData = meshes[index];
+            wrapCarriedVertices(meshData.frontMesh, carrier.pivot, bend);
+            wrapCarriedVertices(meshData.backMesh, carrier.pivot, bend);
+        });
+    });
+}
+
+/**
+ * Set up the crease frame scratch vectors for a bend at its current angle
+ * es runs from the crease into the panel, eh toward the fold side, and
+ * shift is where the flat part starts (end of the arc) minus where rotation
+ * alone puts it.
+ * @param {Object} bend - From createBend, with angle and side set
+ */
+function setCreaseFrame(bend) {
+    const radius = bend.radius;
+    const bendLength = radius * bend.angle;
+    const cos = Math.cos(bend.angle);
+    const sin = Math.sin(bend.angle);
+    
+    _es.copy(bend.direction);
+    _eh.set(0, 0, bend.side);
+    _axis.crossVectors(_es, _eh);
+    
+    _shift.copy(_es).multiplyScalar(radius * sin - bendLength * cos)
+        .addScaledVector(_eh, radius * (1 - cos) - bendLength * sin);
+}
+
+/**
+ * Wrap a carried mesh's vertices that sit over the carrier's bend zone
+ * Expects the carrier's crease frame scratch vectors set up.
+ * @param {THREE.Mesh} mesh - Front or back mesh of the carried panel
+ * @param {THREE.Group} pivot - The carrier's pivot
+ * @param {Object} bend - The carrier's bend
+ */
+function wrapCarriedVertices(mesh, pivot, bend) {
+    const positions = mesh.geometry.getAttribute('position');
+    const bendLength = bend.radius * bend.angle;
+    
+    // Mesh frame to the carrier's pivot frame, through the panels in between
+    _toGroup.identity();
+    for (let node = mesh; node !== pivot; node = node.parent) {
+        node.updateMatrix();
+        _toGroup.premultiply(node.matrix);
+    }
+    _fromGroup.copy(_toGroup).invert();
+    
+    for (let i = 0; i < positions.count; i++) {
+        _point.fromBufferAttribute(positions, i).applyMatrix4(_toGroup);
+        const distance = _point.dot(_es);
+        if (distance < 0 || distance >= bendLength) continue;
+        
+        placeOnArc(_point, distance, bend.radius, bend.side);
+        _point.applyMatrix4(_fromGroup);
+        positions.setXYZ(i, _point.x, _point.y, _point.z);
+    }
+    
+    positions.needsUpdate = true;
+    mesh.geometry.computeVertexNormals();
+    mesh.geometry.computeBoundingSphere();
+}
+
+/**
+ * Move a point in the pivot frame of a bending panel onto the crease arc
+ * The into-panel distance is wrapped around the arc and the surface offset
+ * (height above the flat panel) is kept along the arc's normal.
+ * @param {THREE.Vector3} point - Point in the pivot frame, replaced in place
+ * @param {number} distance - point · es
+ * @param {number} radius - Bend radius
+ * @param {number} side - Fold side (see bendPanel)
+ */
+function placeOnArc(point, distance, radius, side) {
+    const surface = point.z;
+    _across.copy(point).addScaledVector(_es, -distance).setZ(0);
+    const phi = distance / radius;
+    const sinPhi = Math.sin(phi);
+    const cosPhi = Math.cos(phi);
+    
+    point.copy(_across)
+        .addScaledVector(_es, radius * sinPhi - surface * side * sinPhi)
+        .addScaledVector(_eh, radius * (1 - cosPhi) + surface * side * cosPhi)
+        .sub(_shift)
+        .applyQuaternion(_unrotate);
+}
+
+/**
+ * Place one side's bend zone vertices on the crease arc
+ * Expects the crease frame scratch vectors set up by bendPanel.
+ * @param {THREE.Mesh} mesh - Front or back mesh of the panel
+ * @param {Float32Array} flat - Unbent vertex positions
+ * @param {Object} bend - From createBend
+ * @param {number} bendLength - Arc length of paper in the bend
+ * @param {number} side - Fold side (see bendPanel)
+ */
+function bendMeshVertices(mesh, flat, bend, bendLength, side) {
+    const positions = mesh.geometry.getAttribute('position');
+    const radius = bend.radius;
+    
+    mesh.updateMatrix();
+    _toGroup.copy(mesh.matrix);
+    _fromGroup.copy(mesh.matrix).invert();
+    
+    for (let i = 0; i < positions.count; i++) {
+        // Flat vertex in the pivot frame
+        _point.fromArray(flat, i * 3).applyMatrix4(_toGroup).add(bend.offset);
+        const distance = _point.dot(_es);
+        
+        if (distance >= bendLength) {
+            positions.setXYZ(i, flat[i * 3], flat[i * 3 + 1], flat[i * 3 + 2]);
+            continue;
+        }
+        
+        placeOnArc(_point, distance, radius, side);
+        _point.sub(bend.offset).applyMatrix4(_fromGroup);
+        
+        positions.setXYZ(i, _point.x, _point.y, _point.z);
+    }
+    
+    positions.needsUpdate = true;
+    mesh.geometry.computeVertexNormals();
+    mesh.geometry.computeBoundingSphere();
+}
+
+/**
+ * Get the sheet thickness of the current mesh
+ * @returns {number} Thickness in scene units
+ */
+export function getPaperThickness() {
+    return paperThickness;
+}
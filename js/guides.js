@@ -11,6 +11,7 @@ const GUIDE_COLORS = {
     bleed: 0xf97316,     // Orange
     safe: 0x22c55e,      // Green
     folds: 0x3b82f6,     // Blue
+    preflight: 0xdc2626, // Dark red
     ruler: 0x8b5cf6,     // Purple (dark mode)
     rulerLight: 0x4c1d95 // Dark purple (light mode only)
 };
@@ -49,6 +50,24 @@ let safeLines = null;
 let foldLines = null;
 let rulerGroup = null;
 let rulerLabelsGroup = null;
+let preflightGroup = null;
+let bleedArtworkGroup = null;
+let differenceGroup = null;
+
+// Preflight problems to mark on the sheet, and how each side's image is flipped
+let preflightMarks = [];
+let preflightReflect = {};
+
+// Artwork beyond the trim of PDFs with a TrimBox, and how each side's image is flipped
+let bleedArtwork = { front: null, back: null };
+let bleedArtworkReflect = {};
+
+// Pixels that differ from a compared version, and how each side's image is flipped
+let differenceOverlay = { front: null, back: null };
+let differenceReflect = {};
+
+// Callback when the bleed or safe margin changes
+let onMarginsChangeCallback = null;
 
 // Current configuration
 let currentSize = null;
@@ -56,8 +75,11 @@ let currentPanelConfig = null;
 
 /**
  * Initialize the guides system
+ * @param {Function} onMarginsChange - Callback when the bleed or safe margin changes
  */
-export function initGuides() {
+export function initGuides(onMarginsChange) {
+    onMarginsChangeCallback = onMarginsChange;
+    
     // Set up toggle listeners
     const trimToggle = document.getElementById('guide-trim');
     const bleedToggle = document.getElementById('guide-bleed');
@@ -94,12 +116,14 @@ export function initGuides() {
             bleedMargin = parseFloat(e.target.value);
             if (bleedValueSpan) bleedValueSpan.textContent = bleedMargin.toFixed(3);
             updateBleedSafeGuides();
+            notifyMarginsChange();
         });
         bleedSlider.addEventListener('dblclick', () => {
             bleedMargin = DEFAULT_BLEED_MARGIN;
             bleedSlider.value = bleedMargin;
             if (bleedValueSpan) bleedValueSpan.textContent = bleedMargin.toFixed(3);
             updateBleedSafeGuides();
+            notifyMarginsChange();
         });
     }
     
@@ -116,12 +140,14 @@ export function initGuides() {
             safeMargin = parseFloat(e.target.value);
             if (safeValueSpan) safeValueSpan.textContent = safeMargin.toFixed(3);
             updateBleedSafeGuides();
+            notifyMarginsChange();
         });
         safeSlider.addEventListener('dblclick', () => {
             safeMargin = DEFAULT_SAFE_MARGIN;
             safeSlider.value = safeMargin;
             if (safeValueSpan) safeValueSpan.textContent = safeMargin.toFixed(3);
             updateBleedSafeGuides();
+            notifyMarginsChange();
         });
     }
     
@@ -184,6 +210,9 @@ export function createGuides(size, panelConfig) {
         0
     );
     foldLines = createFoldGuides(panelConfig);
+    preflightGroup = createPreflightMarks(size);
+    bleedArtworkGroup = createBleedArtwork(size);
+    differenceGroup = createDifferenceOverlay(size);
     
     // Create ruler guides
     const rulerResult = createRulerGuides(size);
@@ -197,6 +226,9 @@ export function createGuides(size, panelConfig) {
     guideGroup.add(foldLines);
     guideGroup.add(rulerGroup);
     guideGroup.add(rulerLabelsGroup);
+    guideGroup.add(preflightGroup);
+    guideGroup.add(bleedArtworkGroup);
+    guideGroup.add(differenceGroup);
     
     // Position guides slightly above paper to prevent z-fighting
     guideGroup.position.y = 0.02;
@@ -253,14 +285,17 @@ function createFoldGuides(panelConfig) {
     const scaledHeight = panelConfig.totalHeight * SCALE_FACTOR;
     const isVertical = panelConfig.isVertical;
     
-    // Find fold positions from panel edges
-    const foldPositions = [];
+    // Find fold positions from panel edges (every panel start except the sheet edge)
+    // Cross folds also have creases across the sheet at each row start (offsetY)
+    const foldPositions = new Set();
+    const crossFoldPositions = new Set();
     
-    panelConfig.panels.forEach((panel, index) => {
-        // Skip the last panel - it doesn't have a fold after it
-        if (index < panelConfig.panels.length - 1) {
-            const foldOffset = (panel.offsetX + panel.width) * SCALE_FACTOR;
-            foldPositions.push(foldOffset);
+    panelConfig.panels.forEach(panel => {
+        if (panel.offsetX > 0) {
+            foldPositions.add(panel.offsetX * SCALE_FACTOR);
+        }
+        if (panel.offsetY > 0) {
+            crossFoldPositions.add(panel.offsetY * SCALE_FACTOR);
         }
     });
     
@@ -269,6 +304,13 @@ function createFoldGuides(panelConfig) {
         const line = createFoldLine(offset, scaledWidth, scaledHeight, isVertical);
         group.add(line);
     });
+    // Rows of a vertical cross fold run down from the top of the sheet
+    crossFoldPositions.forEach(offset => {
+        const line = isVertical
+            ? createFoldLine(scaledHeight - offset, scaledWidth, scaledHeight, false)
+            : createFoldLine(offset, scaledWidth, scaledHeight, true);
+        group.add(line);
+    });
     
     return group;
 }
@@ -314,6 +356,262 @@ function createFoldLine(offset, totalWidth, totalHeight, isVertical) {
     return line;
 }
 
+/**
+ * Create red marks over the preflight problems on the sheet
+ * Marks use each image's own layout (inches from its top-left trim corner)
+ * and are laid on the side of the sheet that image prints on, flipped the
+ * same way the image is.
+ * @param {Object} size - Paper size { width, height }
+ * @returns {THREE.Group}
+ */
+function createPreflightMarks(size) {
+    const group = new THREE.Group();
+    group.name = 'preflight-marks';
+    
+    const markWidth = Math.max(bleedMargin, 0.0625);
+    
+    preflightMarks.forEach(mark => {
+        const rect = mark.rect || getEdgeRect(mark.edge, size, markWidth);
+        if (!rect) return;
+        
+        const isFront = mark.side === 'front';
+        const flipH = isFront ? preflightReflect.reflectFrontH : preflightReflect.reflectBackH;
+        const flipV = isFront ? preflightReflect.reflectFrontV : preflightReflect.reflectBackV;
+        
+        // Image center to sheet position: the front image faces up, the back faces down
+        const centerX = (rect.x + rect.width / 2 - size.width / 2) * (flipH ? -1 : 1);
+        const centerZ = (rect.y + rect.height / 2 - size.height / 2) * (flipV ? -1 : 1);
+        
+        const geometry = new THREE.PlaneGeometry(rect.width * SCALE_FACTOR, rect.height * SCALE_FACTOR);
+        geometry.rotateX(-Math.PI / 2);
+        const material = new THREE.MeshBasicMaterial({
+            color: GUIDE_COLORS.preflight,
+            transparent: true,
+            opacity: 0.55,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        
+        const markMesh = new THREE.Mesh(geometry, material);
+        markMesh.position.set(centerX * SCALE_FACTOR, isFront ? 0.005 : -0.04, centerZ * SCALE_FACTOR);
+        group.add(markMesh);
+    });
+    
+    return group;
+}
+
+/**
+ * Get the strip just outside one trim edge, in image inches from the top-left trim corner
+ * @param {string} edge - 'top', 'right', 'bottom' or 'left'
+ * @param {Object} size - Paper size { width, height }
+ * @param {number} width - Strip width in inches
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+function getEdgeRect(edge, size, width) {
+    switch (edge) {
+        case 'top':
+            return { x: -width, y: -width, width: size.width + width * 2, height: width };
+        case 'bottom':
+            return { x: -width, y: size.height, width: size.width + width * 2, height: width };
+        case 'left':
+            return { x: -width, y: 0, width: width, height: size.height };
+        case 'right':
+            return { x: size.width, y: 0, width: width, height: size.height };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Set the preflight problems marked on the sheet
+ * @param {Array<Object>} marks - { side, edge } for a trim edge, or { side, rect } for an area (rect wins)
+ * @param {Object} reflect - { reflectFrontH, reflectBackH, reflectFrontV, reflectBackV }
+ */
+export function setPreflightMarks(marks, reflect) {
+    preflightMarks = marks;
+    preflightReflect = reflect;
+    rebuildPreflightMarks();
+}
+
+/**
+ * Replace the preflight marks in the current guide group
+ */
+function rebuildPreflightMarks() {
+    if (!guideGroup || !currentSize) return;
+    
+    if (preflightGroup) {
+        guideGroup.remove(preflightGroup);
+        disposeObject(preflightGroup);
+    }
+    preflightGroup = createPreflightMarks(currentSize);
+    guideGroup.add(preflightGroup);
+}
+
+/**
+ * Lay the artwork beyond the trim around the sheet, shown with the bleed guide
+ * The trim part of the image is stretched over the sheet, so the ring around it
+ * is scaled the same way to line up with the paper edge.
+ * @param {Object} size - Paper size { width, height }
+ * @returns {THREE.Group}
+ */
+function createBleedArtwork(size) {
+    const group = new THREE.Group();
+    group.name = 'bleed-artwork';
+    
+    ['front', 'back'].forEach(side => {
+        const artwork = bleedArtwork[side];
+        if (!artwork || !artwork.texture || !artwork.trim) return;
+        
+        const isFront = side === 'front';
+        const flipH = isFront ? bleedArtworkReflect.reflectFrontH : bleedArtworkReflect.reflectBackH;
+        const flipV = isFront ? bleedArtworkReflect.reflectFrontV : bleedArtworkReflect.reflectBackV;
+        const { trim } = artwork;
+        
+        // Image fractions to sheet inches from the top-left trim corner
+        const scaleX = size.width / trim.width;
+        const scaleY = size.height / trim.height;
+        const left = -trim.x * scaleX;
+        const top = -trim.y * scaleY;
+        const right = size.width + (1 - trim.x - trim.width) * scaleX;
+        const bottom = size.height + (1 - trim.y - trim.height) * scaleY;
+        
+        const strips = [
+            [left, top, right, 0],
+            [left, size.height, right, bottom],
+            [left, 0, 0, size.height],
+            [size.width, 0, right, size.height]
+        ].filter(([x1, y1, x2, y2]) => x2 - x1 > 1e-4 && y2 - y1 > 1e-4);
+        if (strips.length === 0) return;
+        
+        const positions = [];
+        const uvs = [];
+        const indices = [];
+        const y = isFront ? 0.005 : -0.04;
+        strips.forEach(([x1, y1, x2, y2]) => {
+            const base = positions.length / 3;
+            [[x1, y1], [x2, y1], [x2, y2], [x1, y2]].forEach(([px, py]) => {
+                positions.push(
+                    (px - size.width / 2) * (flipH ? -1 : 1) * SCALE_FACTOR,
+                    y,
+                    (py - size.height / 2) * (flipV ? -1 : 1) * SCALE_FACTOR
+                );
+                uvs.push(px / scaleX + trim.x, 1 - (py / scaleY + trim.y));
+            });
+            indices.push(base, base + 3, base + 1, base + 1, base + 3, base + 2);
+        });
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+        geometry.setIndex(indices);
+        
+        // The sheet's texture is cropped to the trim; the ring needs the whole image
+        const texture = artwork.texture.clone();
+        texture.offset.set(0, 0);
+        texture.repeat.set(1, 1);
+        const material = new THREE.MeshBasicMaterial({
+            map: texture,
+            transparent: true,
+            opacity: 0.6,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        group.add(new THREE.Mesh(geometry, material));
+    });
+    
+    group.visible = guideState.bleed;
+    return group;
+}
+
+/**
+ * Set the artwork shown in the bleed area around the sheet
+ * @param {Object} artwork - { front, back }, each { texture, trim } or null (trim from the PDF import)
+ * @param {Object} reflect - { reflectFrontH, reflectBackH, reflectFrontV, reflectBackV }
+ */
+export function setBleedArtwork(artwork, reflect) {
+    bleedArtwork = artwork;
+    bleedArtworkReflect = reflect;
+    if (!guideGroup || !currentSize) return;
+    
+    if (bleedArtworkGroup) {
+        guideGroup.remove(bleedArtworkGroup);
+        disposeObject(bleedArtworkGroup);
+    }
+    bleedArtworkGroup = createBleedArtwork(currentSize);
+    guideGroup.add(bleedArtworkGroup);
+}
+
+/**
+ * Lay the difference overlays over each side of the flat sheet
+ * @param {Object} size - Paper size { width, height }
+ * @returns {THREE.Group}
+ */
+function createDifferenceOverlay(size) {
+    const group = new THREE.Group();
+    group.name = 'difference-overlay';
+    
+    ['front', 'back'].forEach(side => {
+        const canvas = differenceOverlay[side];
+        if (!canvas) return;
+        
+        const isFront = side === 'front';
+        const flipH = isFront ? differenceReflect.reflectFrontH : differenceReflect.reflectBackH;
+        const flipV = isFront ? differenceReflect.reflectFrontV : differenceReflect.reflectBackV;
+        
+        // The canvas is in image layout: its top edge lies along -Z, like the sheet's image
+        const geometry = new THREE.PlaneGeometry(size.width * SCALE_FACTOR, size.height * SCALE_FACTOR);
+        geometry.rotateX(-Math.PI / 2);
+        
+        const texture = new THREE.CanvasTexture(canvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        const material = new THREE.MeshBasicMaterial({
+            map: texture,
+            transparent: true,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.position.y = isFront ? 0.005 : -0.04;
+        mesh.scale.set(flipH ? -1 : 1, 1, flipV ? -1 : 1);
+        group.add(mesh);
+    });
+    
+    return group;
+}
+
+/**
+ * Set the pixel differences marked on the sheet
+ * @param {Object|null} overlay - { front, back }, each a canvas in image layout or null; null clears both
+ * @param {Object} reflect - { reflectFrontH, reflectBackH, reflectFrontV, reflectBackV }
+ */
+export function setDifferenceOverlay(overlay, reflect) {
+    differenceOverlay = overlay || { front: null, back: null };
+    differenceReflect = reflect;
+    if (!guideGroup || !currentSize) return;
+    
+    if (differenceGroup) {
+        guideGroup.remove(differenceGroup);
+        disposeObject(differenceGroup);
+    }
+    differenceGroup = createDifferenceOverlay(currentSize);
+    guideGroup.add(differenceGroup);
+}
+
+/**
+ * Dispose geometries, materials and textures under an object
+ * @param {THREE.Object3D} object
+ */
+function disposeObject(object) {
+    object.traverse((child) => {
+        if (child.geometry) child.geometry.dispose();
+        if (child.material) {
+            if (child.material.map) child.material.map.dispose();
+            child.material.dispose();
+        }
+    });
+}
+
 /**
  * Create ruler guides with tick marks and labels
  * @param {Object} size - Paper size { width, height }
@@ -497,6 +795,7 @@ export function updateRulerColors() {
 function updateGuideVisibility() {
     if (trimLines) trimLines.visible = guideState.trim;
     if (bleedLines) bleedLines.visible = guideState.bleed;
+    if (bleedArtworkGroup) bleedArtworkGroup.visible = guideState.bleed;
     if (safeLines) safeLines.visible = guideState.safe;
     if (foldLines) foldLines.visible = guideState.folds;
     if (rulerGroup) rulerGroup.visible = guideState.ruler;
@@ -539,6 +838,86 @@ function updateBleedSafeGuides() {
     );
     safeLines.visible = guideState.safe;
     guideGroup.add(safeLines);
+    
+    // Bleed marks are drawn as wide as the bleed
+    rebuildPreflightMarks();
+}
+
+/**
+ * Notify that the bleed or safe margin changed
+ */
+function notifyMarginsChange() {
+    if (onMarginsChangeCallback) {
+        onMarginsChangeCallback({ bleed: bleedMargin, safe: safeMargin });
+    }
+}
+
+/**
+ * Get the bleed margin
+ * @returns {number} Inches
+ */
+export function getBleedMargin() {
+    return bleedMargin;
+}
+
+/**
+ * Get the safe zone margin
+ * @returns {number} Inches
+ */
+export function getSafeMargin() {
+    return safeMargin;
+}
+
+/**
+ * Get the guide settings a project saves
+ * @returns {{ visible: Object, bleedMargin: number, safeMargin: number }}
+ */
+export function getGuideState() {
+    return { visible: { ...guideState }, bleedMargin, safeMargin };
+}
+
+/**
+ * Restore guide settings saved by getGuideState
+ * @param {{ visible: Object, bleedMargin: number, safeMargin: number }} state
+ */
+export function setGuideState(state) {
+    Object.keys(guideState).forEach(key => {
+        if (typeof state.visible?.[key] === 'boolean') guideState[key] = state.visible[key];
+    });
+    if (state.bleedMargin >= 0) bleedMargin = state.bleedMargin;
+    if (state.safeMargin >= 0) safeMargin = state.safeMargin;
+    
+    const toggles = {
+        trim: 'guide-trim',
+        bleed: 'guide-bleed',
+        safe: 'guide-safe',
+        folds: 'guide-folds',
+        ruler: 'guide-ruler',
+        rulerLabels: 'guide-ruler-labels'
+    };
+    Object.entries(toggles).forEach(([key, id]) => {
+        const toggle = document.getElementById(id);
+        if (toggle) toggle.checked = guideState[key];
+    });
+    
+    const submenus = { bleed: 'bleed-submenu', safe: 'safe-submenu', ruler: 'ruler-submenu' };
+    Object.entries(submenus).forEach(([key, id]) => {
+        const submenu = document.getElementById(id);
+        if (submenu) submenu.hidden = !guideState[key];
+    });
+    
+    const bleedSlider = document.getElementById('bleed-margin');
+    const safeSlider = document.getElementById('safe-margin');
+    const bleedValueSpan = document.getElementById('bleed-value');
+    const safeValueSpan = document.getElementById('safe-value');
+    if (bleedSlider) bleedSlider.value = bleedMargin;
+    if (safeSlider) safeSlider.value = safeMargin;
+    if (bleedValueSpan) bleedValueSpan.textContent = bleedMargin.toFixed(3);
+    if (safeValueSpan) safeValueSpan.textContent = safeMargin.toFixed(3);
+    
+    updateBleedSafeGuides();
+    updateGuideVisibility();
+    notifyMarginsChange();
 }
 
 /**
@@ -569,6 +948,9 @@ export function clearGuides() {
     foldLines = null;
     rulerGroup = null;
     rulerLabelsGroup = null;
+    preflightGroup = null;
+    bleedArtworkGroup = null;
+    differenceGroup = null;
 }
 
 /**
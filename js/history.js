@@ -0,0 +1,230 @@
+/**
+ * History Module
+ * Undo and redo for settings changes: each change records a snapshot of the
+ * artwork, size, fold, flips and margins, and undoing puts an earlier one back
+ */
+
+// Oldest entries are dropped past this
+const MAX_HISTORY = 50;
+
+// Changes with the same label this close together (ms) become one entry, so a
+// slider drag is undone in one step
+const MERGE_WINDOW = 1000;
+
+// Entries: { label, state, time }; index points at the current one
+let entries = [];
+let index = -1;
+
+// Recording waits a tick so the knock-on changes of one edit (e.g. an upload
+// setting the paper size) land in the same entry
+let recordTimer = null;
+let pendingLabel = null;
+
+// Set while a snapshot or a batch is being applied, so it isn't recorded
+let suspended = false;
+
+let getStateCallback = null;
+let applyStateCallback = null;
+let describeChangeCallback = null;
+
+/**
+ * Initialize the history list and the undo/redo shortcuts
+ * @param {Function} getState - Returns a snapshot of the current settings
+ * @param {Function} applyState - Puts a snapshot back; may return a Promise
+ * @param {Function} describeChange - Called with (previous, next) snapshots; returns a label, or null when nothing changed
+ */
+export function initHistory(getState, applyState, describeChange) {
+    getStateCallback = getState;
+    applyStateCallback = applyState;
+    describeChangeCallback = describeChange;
+
+    entries = [{ label: 'Start', state: getState(), time: 0 }];
+    index = 0;
+
+    const undoBtn = document.getElementById('history-undo');
+    const redoBtn = document.getElementById('history-redo');
+    const list = document.getElementById('history-list');
+
+    if (undoBtn) {
+        undoBtn.addEventListener('click', undo);
+    }
+
+    if (redoBtn) {
+        redoBtn.addEventListener('click', redo);
+    }
+
+    if (list) {
+        list.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-history]');
+            if (item) goTo(parseInt(item.dataset.history, 10));
+        });
+    }
+
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        // Text fields keep their own undo
+        if (isTextField(e.target)) return;
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+        } else if ((key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey)) {
+            e.preventDefault();
+            redo();
+        }
+    });
+
+    updateHistoryList();
+}
+
+/**
+ * Record the current settings after a change
+ * @param {string} [label] - Entry name; worked out from the change when omitted
+ */
+export function recordHistory(label) {
+    if (suspended || !getStateCallback) return;
+    if (label) pendingLabel = label;
+
+    clearTimeout(recordTimer);
+    recordTimer = setTimeout(() => {
+        const forcedLabel = pendingLabel;
+        recordTimer = null;
+        pendingLabel = null;
+        if (!suspended) commit(forcedLabel);
+    }, 0);
+}
+
+/**
+ * Apply several changes as one entry
+ * @param {string} label - Entry name
+ * @param {Function} apply - Makes the changes; may return a Promise
+ * @returns {Promise}
+ */
+export async function batchHistory(label, apply) {
+    flushPending();
+    suspended = true;
+    try {
+        await apply();
+    } finally {
+        suspended = false;
+    }
+    recordHistory(label);
+}
+
+/**
+ * Step back one entry
+ */
+export function undo() {
+    flushPending();
+    if (index > 0) goTo(index - 1);
+}
+
+/**
+ * Step forward one entry
+ */
+export function redo() {
+    flushPending();
+    if (index < entries.length - 1) goTo(index + 1);
+}
+
+/**
+ * Push the current settings as an entry if they changed
+ * @param {string|null} forcedLabel
+ */
+function commit(forcedLabel) {
+    const current = entries[index];
+    const state = getStateCallback();
+    const changeLabel = describeChangeCallback(current.state, state);
+    if (!changeLabel) return;
+
+    const label = forcedLabel || changeLabel;
+    const now = Date.now();
+
+    // Redo entries are gone once something else changes
+    const isLatest = index === entries.length - 1;
+    entries = entries.slice(0, index + 1);
+
+    if (isLatest && index > 0 && current.label === label && now - current.time < MERGE_WINDOW) {
+        entries[index] = { label, state, time: now };
+    } else {
+        entries.push({ label, state, time: now });
+        if (entries.length > MAX_HISTORY) entries.shift();
+        index = entries.length - 1;
+    }
+
+    updateHistoryList();
+}
+
+/**
+ * Record a change still waiting for its tick, so undo starts from it
+ */
+function flushPending() {
+    if (recordTimer === null) return;
+    clearTimeout(recordTimer);
+    const forcedLabel = pendingLabel;
+    recordTimer = null;
+    pendingLabel = null;
+    if (!suspended) commit(forcedLabel);
+}
+
+/**
+ * Put back the snapshot of an entry
+ * @param {number} target - Entry index
+ */
+async function goTo(target) {
+    if (suspended || target === index || !entries[target]) return;
+
+    index = target;
+    updateHistoryList();
+
+    suspended = true;
+    try {
+        await applyStateCallback(entries[target].state);
+    } catch (error) {
+        console.error('Error restoring history:', error);
+        alert(`Error undoing the change: ${error.message}`);
+    } finally {
+        suspended = false;
+        clearTimeout(recordTimer);
+        recordTimer = null;
+        pendingLabel = null;
+    }
+}
+
+/**
+ * Redraw the history list and enable the undo/redo buttons
+ */
+function updateHistoryList() {
+    const undoBtn = document.getElementById('history-undo');
+    const redoBtn = document.getElementById('history-redo');
+    const list = document.getElementById('history-list');
+
+    if (undoBtn) undoBtn.disabled = index <= 0;
+    if (redoBtn) redoBtn.disabled = index >= entries.length - 1;
+    if (!list) return;
+
+    list.innerHTML = '';
+    // Newest first
+    for (let i = entries.length - 1; i >= 0; i--) {
+        const item = document.createElement('li');
+        item.className = 'history-item';
+        item.dataset.history = String(i);
+        item.textContent = entries[i].label;
+        item.title = i <= index ? 'Go back to this step' : 'Redo up to this step';
+        if (i === index) item.classList.add('active');
+        if (i > index) item.classList.add('undone');
+        list.appendChild(item);
+    }
+}
+
+/**
+ * Whether an element takes typed text
+ * @param {Element} el
+ * @returns {boolean}
+ */
+function isTextField(el) {
+    if (!el) return false;
+    if (el.isContentEditable || el.tagName === 'TEXTAREA') return true;
+    return el.tagName === 'INPUT' && !['checkbox', 'radio', 'range', 'button', 'file'].includes(el.type);
+}
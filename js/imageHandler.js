@@ -5,6 +5,12 @@
  */
 
 import * as THREE from 'three';
+import { readImageDpi } from './imageMetadata.js';
+import { decodeTiff } from './tiffDecoder.js';
+import { readPageBoxes } from './pdfBoxes.js';
+import { setPanelMapSource, isPanelMapActive, swapPanelMapSides } from './panelMap.js';
+import { getCurrentSize } from './sizeParser.js';
+import { calculatePanels } from './foldCalculator.js';
 
 // Supported image formats
 const SUPPORTED_IMAGE_FORMATS = [
@@ -47,11 +53,16 @@ async function initPdfJs() {
 }
 
 // Store for uploaded images
+// panels holds per-panel overrides for each side: panel index -> image data
 const uploadedImages = {
     front: null,
-    back: null
+    back: null,
+    panels: { front: {}, back: {} }
 };
 
+// Panel slot waiting on the file picker
+let pendingPanelSlot = null;
+
 // Autofit: when true, use paper size from sidebar; when false, use image dimensions
 let autofitEnabled = false;
 
@@ -61,6 +72,12 @@ let onImageChangeCallback = null;
 // Default DPI for raster images when converting pixels to inches
 const DEFAULT_IMAGE_DPI = 96;
 
+// Resolution typed in per slot, overriding what the file says
+const dpiOverrides = {
+    front: null,
+    back: null
+};
+
 /**
  * Initialize the image handler
  * @param {Function} onImageChange - Callback when images are uploaded/removed
@@ -72,6 +89,9 @@ export function initImageHandler(onImageChange) {
     setupUploadZone('back');
     setupAutofitToggle();
     setupSwapButton();
+    setupDpiField('front');
+    setupDpiField('back');
+    setupPanelImageList();
     
     // Global event delegation for remove buttons - more reliable than per-element listeners
     document.addEventListener('click', (e) => {
@@ -136,6 +156,81 @@ export function getAutofitEnabled() {
     return autofitEnabled;
 }
 
+/**
+ * Setup the DPI override field for a slot
+ * @param {string} side - 'front' or 'back'
+ */
+function setupDpiField(side) {
+    const input = document.getElementById(`${side}-dpi`);
+    if (!input) return;
+
+    input.addEventListener('change', (e) => {
+        const text = e.target.value.trim();
+        const value = parseFloat(text);
+        if (text !== '' && !(value > 0)) {
+            alert('Please enter a resolution in dots per inch. Example: 300');
+            e.target.value = dpiOverrides[side] ? String(dpiOverrides[side]) : '';
+            return;
+        }
+
+        dpiOverrides[side] = text === '' ? null : value;
+        const img = uploadedImages[side];
+        if (img && img.isRaster) {
+            // A new object, so earlier snapshots of the upload keep their resolution
+            uploadedImages[side] = { ...img };
+            applyResolution(uploadedImages[side], dpiOverrides[side]);
+            notifyImageChange();
+        }
+    });
+}
+
+/**
+ * Work out a raster upload's physical size from its resolution
+ * The typed override wins over the file's own resolution, which wins over DEFAULT_IMAGE_DPI.
+ * @param {Object} img - Entry in uploadedImages with isRaster set
+ * @param {number|null} override - DPI typed for the slot
+ */
+function applyResolution(img, override) {
+    img.dpi = override ? { x: override, y: override } : img.fileDpi;
+    img.widthInches = img.width / (img.dpi ? img.dpi.x : DEFAULT_IMAGE_DPI);
+    img.heightInches = img.height / (img.dpi ? img.dpi.y : DEFAULT_IMAGE_DPI);
+}
+
+/**
+ * Show a slot's resolution in its DPI field
+ * The field stays empty unless overridden; the placeholder shows where the resolution comes from.
+ * @param {string} side - 'front' or 'back'
+ */
+function updateDpiField(side) {
+    const input = document.getElementById(`${side}-dpi`);
+    if (!input) return;
+
+    const img = uploadedImages[side];
+    // Overrides only apply to raster uploads
+    if (!img || !img.isRaster) dpiOverrides[side] = null;
+    input.disabled = !img || !img.isRaster;
+    input.value = dpiOverrides[side] ? String(dpiOverrides[side]) : '';
+
+    if (!img || !img.isRaster) {
+        input.placeholder = img ? 'Vector' : '';
+    } else if (img.fileDpi) {
+        input.placeholder = `${formatDpi(img.fileDpi)} (from file)`;
+    } else {
+        input.placeholder = `${DEFAULT_IMAGE_DPI} (default)`;
+    }
+}
+
+/**
+ * Format a resolution pair for display
+ * @param {{ x: number, y: number }} dpi
+ * @returns {string}
+ */
+function formatDpi(dpi) {
+    const x = Math.round(dpi.x);
+    const y = Math.round(dpi.y);
+    return x === y ? String(x) : `${x} × ${y}`;
+}
+
 /**
  * Setup upload zone with drag-drop and click handlers
  * @param {string} side - 'front' or 'back'
@@ -202,12 +297,21 @@ async function handleFile(file, side) {
         return;
     }
     
+    // A new upload ends mapping the previous PDF's pages to panels
+    setPanelMapSource(null);
+    
     // Handle PDF files differently
     if (file.type === PDF_FORMAT) {
         await handlePdfFile(file, side);
         return;
     }
     
+    // Handle TIFF files (most browsers can't decode them)
+    if (file.type === 'image/tiff') {
+        await handleTiffFile(file, side);
+        return;
+    }
+    
     // Handle SVG files (parse for physical dimensions)
     if (file.type === 'image/svg+xml') {
         await handleSvgFile(file, side);
@@ -223,7 +327,15 @@ async function handleFile(file, side) {
  * @param {File} file - The image file
  * @param {string} side - 'front' or 'back'
  */
-function handleImageFile(file, side) {
+async function handleImageFile(file, side) {
+    // Resolution the file was saved at, if it says
+    let dpi = null;
+    try {
+        dpi = readImageDpi(await file.arrayBuffer());
+    } catch (err) {
+        console.error('Error reading image metadata:', err);
+    }
+
     const reader = new FileReader();
     
     reader.onload = (e) => {
@@ -232,21 +344,7 @@ function handleImageFile(file, side) {
         // Create an image to get dimensions
         const img = new Image();
         img.onload = () => {
-            const widthInches = img.width / DEFAULT_IMAGE_DPI;
-            const heightInches = img.height / DEFAULT_IMAGE_DPI;
-
-            uploadedImages[side] = {
-                dataUrl: dataUrl,
-                width: img.width,
-                height: img.height,
-                widthInches,
-                heightInches,
-                file: file,
-                isPdf: false
-            };
-            
-            updatePreview(side, dataUrl);
-            notifyImageChange();
+            setRasterImage(side, dataUrl, img.width, img.height, dpi, file);
         };
         img.src = dataUrl;
     };
@@ -258,6 +356,87 @@ function handleImageFile(file, side) {
     reader.readAsDataURL(file);
 }
 
+/**
+ * Handle TIFF file upload
+ * The file is decoded in JavaScript (LZW/ZIP, CMYK, 16-bit) and shown as a PNG.
+ * @param {File} file - The TIFF file
+ * @param {string} side - 'front' or 'back'
+ */
+async function handleTiffFile(file, side) {
+    try {
+        showLoadingState(side, 'Loading TIFF...');
+
+        const buffer = await file.arrayBuffer();
+        const decoded = await decodeTiffToDataUrl(buffer);
+
+        setRasterImage(side, decoded.dataUrl, decoded.width, decoded.height, readImageDpi(buffer), file);
+        hideLoadingState(side);
+    } catch (error) {
+        console.error('Error processing TIFF:', error);
+        hideLoadingState(side);
+        alert(`Error loading TIFF: ${error.message}. Please try a different file.`);
+    }
+}
+
+/**
+ * Decode a TIFF into a PNG data URL
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<{ dataUrl: string, width: number, height: number }>}
+ */
+async function decodeTiffToDataUrl(buffer) {
+    const decoded = await decodeTiff(buffer);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = decoded.width;
+    canvas.height = decoded.height;
+    canvas.getContext('2d').putImageData(new ImageData(decoded.data, decoded.width, decoded.height), 0, 0);
+
+    return { dataUrl: canvas.toDataURL('image/png'), width: decoded.width, height: decoded.height };
+}
+
+/**
+ * Build the image data for a decoded raster upload
+ * @param {string} dataUrl - Image data URL
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {{ x: number, y: number } | null} fileDpi - Resolution saved in the file
+ * @param {File} file - The uploaded file
+ * @returns {Object} Image data sized from the file's own resolution
+ */
+function createRasterImageData(dataUrl, width, height, fileDpi, file) {
+    const imageData = {
+        dataUrl: dataUrl,
+        width: width,
+        height: height,
+        fileDpi: fileDpi,
+        file: file,
+        isPdf: false,
+        isRaster: true
+    };
+    applyResolution(imageData, null);
+    return imageData;
+}
+
+/**
+ * Store a decoded raster upload in a slot and show it
+ * @param {string} side - 'front' or 'back'
+ * @param {string} dataUrl - Image data URL
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {{ x: number, y: number } | null} fileDpi - Resolution saved in the file
+ * @param {File} file - The uploaded file
+ */
+function setRasterImage(side, dataUrl, width, height, fileDpi, file) {
+    const imageData = createRasterImageData(dataUrl, width, height, fileDpi, file);
+    // A new file starts from its own resolution
+    dpiOverrides[side] = null;
+    uploadedImages[side] = imageData;
+
+    hidePageSelector(side);
+    updatePreview(side, dataUrl);
+    notifyImageChange();
+}
+
 /**
  * Parse SVG for width/height in physical units (in, pt)
  * @param {string} svgText - SVG file content
@@ -330,6 +509,9 @@ async function handleSvgFile(file, side) {
 
 /**
  * Render a single PDF page to image data
+ * Only the BleedBox is rendered, so printer's marks and slug are left out.
+ * When the page has a TrimBox inside that, the result carries a `trim` rect
+ * (fractions of the image, from its top-left) and the trim is what sizes the paper.
  * @param {Object} pdf - PDF.js document
  * @param {number} pageNum - 1-based page number
  * @param {File} file - Original PDF file
@@ -337,17 +519,30 @@ async function handleSvgFile(file, side) {
  */
 async function renderPdfPageToImageData(pdf, pageNum, file, options = {}) {
     const page = await pdf.getPage(pageNum);
+    const boxes = await readPageBoxes(file, page.ref);
+    const cropBox = page.view;
+    const bleedBox = clipBox(boxes.bleedBox, cropBox) || cropBox;
+    const trimBox = clipBox(boxes.trimBox, bleedBox) || bleedBox;
+
+    // Boxes are in PDF user space; the viewport takes care of page rotation
     const viewport = page.getViewport({ scale: 1 });
-    const scale = Math.min(2048 / viewport.width, 2048 / viewport.height, 3);
-    const scaledViewport = page.getViewport({ scale });
+    const bleedRect = boxToViewportRect(viewport, bleedBox);
+    const trimRect = boxToViewportRect(viewport, trimBox);
+
+    const scale = Math.min(2048 / bleedRect.width, 2048 / bleedRect.height, 3);
+    const scaledViewport = page.getViewport({
+        scale,
+        offsetX: -bleedRect.x * scale,
+        offsetY: -bleedRect.y * scale
+    });
 
-    const widthInches = viewport.width / 72;
-    const heightInches = viewport.height / 72;
+    const widthInches = bleedRect.width / 72;
+    const heightInches = bleedRect.height / 72;
 
     const canvas = document.createElement('canvas');
     const context = canvas.getContext('2d');
-    canvas.width = scaledViewport.width;
-    canvas.height = scaledViewport.height;
+    canvas.width = Math.round(bleedRect.width * scale);
+    canvas.height = Math.round(bleedRect.height * scale);
 
     await page.render({
         canvasContext: context,
@@ -366,12 +561,57 @@ async function renderPdfPageToImageData(pdf, pageNum, file, options = {}) {
         pageCount: pdf.numPages,
         currentPage: pageNum
     };
+    if (trimBox !== bleedBox) {
+        result.trim = {
+            x: (trimRect.x - bleedRect.x) / bleedRect.width,
+            y: (trimRect.y - bleedRect.y) / bleedRect.height,
+            width: trimRect.width / bleedRect.width,
+            height: trimRect.height / bleedRect.height
+        };
+    }
     if (options.storePdfDoc && pdf.numPages > 2) {
         result.pdfDoc = pdf;
     }
     return result;
 }
 
+/**
+ * Clip a PDF box to another box
+ * @param {Array<number>|null} box - [x1, y1, x2, y2], or null if the page doesn't set it
+ * @param {Array<number>} bounds - [x1, y1, x2, y2]
+ * @returns {Array<number>|null} The clipped box, or null if it's missing, empty or the same as bounds
+ */
+function clipBox(box, bounds) {
+    if (!box) return null;
+
+    const clipped = [
+        Math.max(box[0], bounds[0]),
+        Math.max(box[1], bounds[1]),
+        Math.min(box[2], bounds[2]),
+        Math.min(box[3], bounds[3])
+    ];
+    if (clipped[2] - clipped[0] < 1 || clipped[3] - clipped[1] < 1) return null;
+    if (clipped.every((value, i) => Math.abs(value - bounds[i]) < 0.01)) return null;
+    return clipped;
+}
+
+/**
+ * Convert a PDF box to a rect in viewport pixels
+ * @param {Object} viewport - PDF.js page viewport
+ * @param {Array<number>} box - [x1, y1, x2, y2] in PDF user space
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+function boxToViewportRect(viewport, box) {
+    const [x1, y1] = viewport.convertToViewportPoint(box[0], box[1]);
+    const [x2, y2] = viewport.convertToViewportPoint(box[2], box[3]);
+    return {
+        x: Math.min(x1, x2),
+        y: Math.min(y1, y2),
+        width: Math.abs(x2 - x1),
+        height: Math.abs(y2 - y1)
+    };
+}
+
 /**
  * Handle PDF file upload.
  * If the PDF has 2 pages, automatically inserts page 1 into front and page 2 into back.
@@ -424,6 +664,12 @@ async function handlePdfFile(file, side) {
             document.getElementById('back-image').value = '';
             hideLoadingState('front');
             hideLoadingState('back');
+            setPanelMapSource({
+                pdf,
+                file,
+                pageCount,
+                renderPage: (pageNum) => renderPdfPageToImageData(pdf, pageNum, file)
+            });
         } else {
             const imageData = await renderPdfPageToImageData(pdf, 1, file);
             uploadedImages[side] = imageData;
@@ -514,7 +760,7 @@ async function handlePageChange(side, pageNum) {
 function refreshPageSelectors() {
     for (const side of ['front', 'back']) {
         const img = uploadedImages[side];
-        if (img && img.pageCount > 2 && img.pdfDoc) {
+        if (img && img.pageCount > 2 && img.pdfDoc && !img.panelMapped) {
             showPageSelector(side, img.pageCount, img.currentPage || 1);
         } else {
             hidePageSelector(side);
@@ -567,17 +813,50 @@ function updatePreview(side, dataUrl) {
     preview.hidden = false;
 }
 
+/**
+ * Show an upload zone as empty
+ * @param {string} side - 'front' or 'back'
+ */
+function clearPreview(side) {
+    const zone = document.getElementById(`${side}-upload-zone`);
+    const placeholder = zone.querySelector('.upload-placeholder');
+    const preview = zone.querySelector('.upload-preview');
+    const input = document.getElementById(`${side}-image`);
+    
+    placeholder.hidden = false;
+    preview.hidden = true;
+    input.value = '';
+    hidePageSelector(side);
+    
+    // Reset loading state (text, pointer events, opacity)
+    hideLoadingState(side);
+}
+
 /**
  * Swap front and back images
  */
 function swapImages() {
     const front = uploadedImages.front;
     const back = uploadedImages.back;
-    if (!front && !back) return;
+    const panels = uploadedImages.panels;
+    if (!front && !back && !hasPanelImages()) return;
+
+    // Panel images stay with their side's artwork
+    [panels.front, panels.back] = [panels.back, panels.front];
+    updatePanelImageList();
+
+    // Mapped sheets are rebuilt from the swapped page order
+    if (isPanelMapActive()) {
+        swapPanelMapSides();
+        return;
+    }
 
     uploadedImages.front = back;
     uploadedImages.back = front;
 
+    // Overrides describe the file, so they move with it
+    [dpiOverrides.front, dpiOverrides.back] = [dpiOverrides.back, dpiOverrides.front];
+
     const frontPreview = document.getElementById('front-preview');
     const backPreview = document.getElementById('back-preview');
     const frontZone = document.getElementById('front-upload-zone');
@@ -623,20 +902,13 @@ function setupSwapButton() {
  * @param {string} side - 'front' or 'back'
  */
 function removeImage(side) {
+    const removed = uploadedImages[side];
     uploadedImages[side] = null;
+    dpiOverrides[side] = null;
+    clearPreview(side);
     
-    const zone = document.getElementById(`${side}-upload-zone`);
-    const placeholder = zone.querySelector('.upload-placeholder');
-    const preview = zone.querySelector('.upload-preview');
-    const input = document.getElementById(`${side}-image`);
-    
-    placeholder.hidden = false;
-    preview.hidden = true;
-    input.value = '';
-    hidePageSelector(side);
-    
-    // Reset loading state (text, pointer events, opacity)
-    hideLoadingState(side);
+    // Removing the PDF ends mapping its pages to panels
+    if (removed && removed.pdfDoc) setPanelMapSource(null);
     
     notifyImageChange();
 }
@@ -644,15 +916,365 @@ function removeImage(side) {
 // Expose removeImage globally for onclick handlers
 window.removeUploadedImage = removeImage;
 
+/**
+ * Setup the per-panel upload slots
+ * Each slot takes a click (file picker) or a dropped file, and has its own remove button.
+ */
+function setupPanelImageList() {
+    const list = document.getElementById('panel-images');
+    const input = document.getElementById('panel-image-input');
+    if (!list || !input) return;
+
+    list.addEventListener('click', (e) => {
+        const slot = e.target.closest('[data-panel]');
+        if (!slot) return;
+        const index = parseInt(slot.dataset.panel, 10);
+
+        if (e.target.closest('.panel-image-remove')) {
+            e.stopPropagation();
+            removePanelImage(slot.dataset.side, index);
+            return;
+        }
+        pendingPanelSlot = { side: slot.dataset.side, index };
+        input.click();
+    });
+
+    input.addEventListener('change', (e) => {
+        if (e.target.files && e.target.files[0] && pendingPanelSlot) {
+            handlePanelFile(e.target.files[0], pendingPanelSlot.side, pendingPanelSlot.index);
+        }
+        pendingPanelSlot = null;
+        input.value = '';
+    });
+
+    list.addEventListener('dragover', (e) => {
+        const slot = e.target.closest('[data-panel]');
+        if (!slot) return;
+        e.preventDefault();
+        slot.classList.add('drag-over');
+    });
+
+    list.addEventListener('dragleave', (e) => {
+        const slot = e.target.closest('[data-panel]');
+        if (slot) slot.classList.remove('drag-over');
+    });
+
+    list.addEventListener('drop', (e) => {
+        const slot = e.target.closest('[data-panel]');
+        if (!slot) return;
+        e.preventDefault();
+        slot.classList.remove('drag-over');
+
+        if (e.dataTransfer.files && e.dataTransfer.files[0]) {
+            handlePanelFile(e.dataTransfer.files[0], slot.dataset.side, parseInt(slot.dataset.panel, 10));
+        }
+    });
+
+    updatePanelImageList();
+}
+
+/**
+ * Redraw the per-panel upload slots for the current fold
+ * Panel images for panels the fold no longer has are dropped. Called on
+ * fold and size changes by main.js, before the mesh is rebuilt.
+ */
+export function updatePanelImageList() {
+    const list = document.getElementById('panel-images');
+    const panelCount = calculatePanels(getCurrentSize()).panels.length;
+
+    for (const side of ['front', 'back']) {
+        Object.keys(uploadedImages.panels[side]).forEach(key => {
+            if (Number(key) >= panelCount) delete uploadedImages.panels[side][key];
+        });
+    }
+    if (!list) return;
+
+    list.innerHTML = '';
+    for (let index = 0; index < panelCount; index++) {
+        const row = document.createElement('div');
+        row.className = 'panel-image-row';
+
+        const label = document.createElement('span');
+        label.className = 'panel-image-label';
+        label.textContent = `Panel ${index + 1}`;
+        row.appendChild(label);
+
+        for (const side of ['front', 'back']) {
+            row.appendChild(createPanelImageSlot(side, index));
+        }
+        list.appendChild(row);
+    }
+}
+
+/**
+ * Create the upload slot for one side of a panel
+ * @param {string} side - 'front' or 'back'
+ * @param {number} index - Panel index
+ * @returns {HTMLElement}
+ */
+function createPanelImageSlot(side, index) {
+    const image = uploadedImages.panels[side][index];
+    const slot = document.createElement('div');
+    slot.className = 'panel-image-slot';
+    slot.dataset.side = side;
+    slot.dataset.panel = String(index);
+    slot.title = image
+        ? `${image.file?.name || 'Panel image'} (click to replace)`
+        : `Drop or click to add an image for the ${side} of panel ${index + 1}`;
+
+    if (image) {
+        const img = document.createElement('img');
+        img.src = image.dataUrl;
+        img.alt = '';
+        slot.appendChild(img);
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'panel-image-remove';
+        remove.title = 'Remove panel image';
+        remove.textContent = '×';
+        slot.appendChild(remove);
+    } else {
+        const text = document.createElement('span');
+        text.className = 'panel-image-placeholder';
+        text.textContent = side === 'front' ? 'Front' : 'Back';
+        slot.appendChild(text);
+    }
+    return slot;
+}
+
+/**
+ * Handle a file dropped on a panel slot
+ * Any supported format works; PDFs use their first page.
+ * @param {File} file - The uploaded file
+ * @param {string} side - 'front' or 'back'
+ * @param {number} index - Panel index
+ */
+async function handlePanelFile(file, side, index) {
+    if (!SUPPORTED_FORMATS.includes(file.type)) {
+        alert(`Unsupported file format. Please use: PNG, JPG, WebP, BMP, TIFF, or PDF`);
+        return;
+    }
+    if (file.size > MAX_FILE_SIZE) {
+        alert(`File too large. Maximum size is 20MB.`);
+        return;
+    }
+
+    try {
+        uploadedImages.panels[side][index] = await loadPanelImage(file);
+        updatePanelImageList();
+        notifyImageChange();
+    } catch (error) {
+        console.error('Error loading panel image:', error);
+        alert(`Error loading image: ${error.message}. Please try a different file.`);
+    }
+}
+
+/**
+ * Decode a file for a panel slot
+ * @param {File} file - The uploaded file
+ * @returns {Promise<Object>} Image data, in the same shape as the sheet uploads
+ */
+async function loadPanelImage(file) {
+    if (file.type === PDF_FORMAT) {
+        const pdfjs = await initPdfJs();
+        if (!pdfjs) {
+            throw new Error('PDF.js library not available');
+        }
+        const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+        return renderPdfPageToImageData(pdf, 1, file);
+    }
+
+    const buffer = await file.arrayBuffer();
+    if (file.type === 'image/tiff') {
+        const decoded = await decodeTiffToDataUrl(buffer);
+        return createRasterImageData(decoded.dataUrl, decoded.width, decoded.height, readImageDpi(buffer), file);
+    }
+
+    const dataUrl = await readFileAsDataUrl(file);
+    const img = new Image();
+    img.src = dataUrl;
+    await img.decode();
+
+    if (file.type === 'image/svg+xml') {
+        const dims = parseSvgDimensions(await file.text());
+        return {
+            dataUrl: dataUrl,
+            width: img.naturalWidth,
+            height: img.naturalHeight,
+            widthInches: dims ? dims.widthInches : img.naturalWidth / DEFAULT_IMAGE_DPI,
+            heightInches: dims ? dims.heightInches : img.naturalHeight / DEFAULT_IMAGE_DPI,
+            file: file,
+            isPdf: false
+        };
+    }
+    return createRasterImageData(dataUrl, img.naturalWidth, img.naturalHeight, readImageDpi(buffer), file);
+}
+
+/**
+ * Read a file as a data URL
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(new Error('Error reading file'));
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Remove a panel image, so the panel shows its part of the sheet again
+ * @param {string} side - 'front' or 'back'
+ * @param {number} index - Panel index
+ */
+function removePanelImage(side, index) {
+    delete uploadedImages.panels[side][index];
+    updatePanelImageList();
+    notifyImageChange();
+}
+
+/**
+ * Whether any panel has its own image
+ * @returns {boolean}
+ */
+export function hasPanelImages() {
+    const { front, back } = uploadedImages.panels;
+    return Object.keys(front).length > 0 || Object.keys(back).length > 0;
+}
+
 /**
  * Notify that images have changed
  */
 function notifyImageChange() {
+    updateDpiField('front');
+    updateDpiField('back');
     if (onImageChangeCallback) {
         onImageChangeCallback(getImages());
     }
 }
 
+/**
+ * Show sheets composited from PDF pages mapped to panels
+ * @param {Object} images - { front, back } from composePanelMap
+ */
+export function setPanelMappedImages(images) {
+    for (const side of ['front', 'back']) {
+        uploadedImages[side] = images[side];
+        dpiOverrides[side] = null;
+        updatePreview(side, images[side].dataUrl);
+        hidePageSelector(side);
+    }
+    notifyImageChange();
+}
+
+/**
+ * Put the PDF's own pages back in slots showing panel-mapped sheets
+ * Each slot gets the page it showed before mapping, with its page selector.
+ */
+export async function restorePdfPages() {
+    for (const side of ['front', 'back']) {
+        const img = uploadedImages[side];
+        if (!img || !img.panelMapped) continue;
+
+        try {
+            const pageData = await renderPdfPageToImageData(img.pdfDoc, img.currentPage, img.file, { storePdfDoc: true });
+            // Skip slots that got a new upload while the page rendered
+            if (uploadedImages[side] !== img) continue;
+
+            uploadedImages[side] = pageData;
+            updatePreview(side, pageData.dataUrl);
+            showPageSelector(side, pageData.pageCount, pageData.currentPage);
+        } catch (err) {
+            console.error('Error rendering PDF page:', err);
+        }
+    }
+    notifyImageChange();
+}
+
+/**
+ * Get everything about the uploads that a project saves
+ * @returns {Object} { front, back, panels, dpiOverrides, autofit } with image data as getImages() gives it
+ */
+export function getImageState() {
+    return {
+        ...getImages(),
+        dpiOverrides: { ...dpiOverrides },
+        autofit: autofitEnabled
+    };
+}
+
+/**
+ * Replace every upload with ones restored from a project
+ * PDFs with more than two pages are opened again unless they're still open
+ * (undo), so the page selectors and the panel map work as they did before.
+ * @param {Object} state - As getImageState() gives it; pdfDoc is not needed
+ */
+export async function restoreImages(state) {
+    setPanelMapSource(null);
+    
+    const pdfjs = await initPdfJs();
+    const pdfDocs = new Map();
+    const openPdf = (file) => {
+        if (!pdfDocs.has(file)) {
+            pdfDocs.set(file, file.arrayBuffer().then(data => pdfjs.getDocument({ data }).promise));
+        }
+        return pdfDocs.get(file);
+    };
+    
+    for (const side of ['front', 'back']) {
+        const img = state[side] ? { ...state[side] } : null;
+        if (img && !img.pdfDoc && img.isPdf && img.pageCount > 2 && img.file && pdfjs) {
+            try {
+                img.pdfDoc = await openPdf(img.file);
+            } catch (error) {
+                console.error('Error opening PDF:', error);
+            }
+        }
+        
+        uploadedImages[side] = img;
+        dpiOverrides[side] = state.dpiOverrides?.[side] ?? null;
+        
+        if (!img) {
+            clearPreview(side);
+            continue;
+        }
+        hideLoadingState(side);
+        updatePreview(side, img.dataUrl);
+        if (img.pdfDoc && !img.panelMapped) {
+            showPageSelector(side, img.pageCount, img.currentPage);
+        } else {
+            hidePageSelector(side);
+        }
+    }
+    
+    uploadedImages.panels = {
+        front: { ...state.panels?.front },
+        back: { ...state.panels?.back }
+    };
+    
+    autofitEnabled = !!state.autofit;
+    const autofitCheckbox = document.getElementById('autofit-image');
+    if (autofitCheckbox) autofitCheckbox.checked = autofitEnabled;
+    
+    // The pages of a multi-page PDF can be mapped to panels again
+    const source = [uploadedImages.front, uploadedImages.back].find(img => img && img.pdfDoc);
+    if (source) {
+        const { pdfDoc, file, pageCount } = source;
+        setPanelMapSource({
+            pdf: pdfDoc,
+            file,
+            pageCount,
+            renderPage: (pageNum) => renderPdfPageToImageData(pdfDoc, pageNum, file)
+        });
+    }
+    
+    updatePanelImageList();
+    notifyImageChange();
+}
+
 /**
  * Get the current uploaded images
  * @returns {Object} Object with front and back image data
@@ -660,17 +1282,27 @@ function notifyImageChange() {
 export function getImages() {
     return {
         front: uploadedImages.front,
-        back: uploadedImages.back
+        back: uploadedImages.back,
+        panels: {
+            front: { ...uploadedImages.panels.front },
+            back: { ...uploadedImages.panels.back }
+        }
     };
 }
 
 /**
  * Get physical dimensions (in inches) from the first available image
+ * PDFs with a TrimBox give their trim size rather than their full size.
  * @returns {{ width: number, height: number } | null}
  */
 export function getImageDimensionsInInches() {
     const img = uploadedImages.front || uploadedImages.back;
     if (!img || img.widthInches == null || img.heightInches == null) return null;
+    // Panel-mapped sheets are drawn at the paper size, not the other way round
+    if (img.panelMapped) return null;
+    if (img.trim) {
+        return { width: img.widthInches * img.trim.width, height: img.heightInches * img.trim.height };
+    }
     return { width: img.widthInches, height: img.heightInches };
 }
 
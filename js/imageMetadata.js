@@ -0,0 +1,198 @@
+/**
+ * Image Metadata Module
+ * Reads the resolution raster files were saved at (PNG pHYs, JPEG JFIF and EXIF,
+ * TIFF tags, WebP EXIF)
+ */
+
+// TIFF/EXIF tags
+const TAG_X_RESOLUTION = 0x011a;
+const TAG_Y_RESOLUTION = 0x011b;
+const TAG_RESOLUTION_UNIT = 0x0128;
+
+// TIFF/EXIF resolution units
+const UNIT_INCH = 2;
+const UNIT_CENTIMETER = 3;
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * Read the resolution stored in an image file
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {{ x: number, y: number } | null} Dots per inch, or null if the file has none
+ */
+export function readImageDpi(buffer) {
+    const view = new DataView(buffer);
+
+    try {
+        if (isPng(view)) return readPngDpi(view);
+        if (view.byteLength > 2 && view.getUint16(0) === 0xffd8) return readJpegDpi(view);
+        if (readAscii(view, 0, 4) === 'RIFF' && readAscii(view, 8, 4) === 'WEBP') return readWebpDpi(view);
+        if (readAscii(view, 0, 2) === 'II' || readAscii(view, 0, 2) === 'MM') return readTiffDpi(view, 0);
+    } catch (error) {
+        // Truncated or malformed metadata is treated as missing
+        console.error('Could not read image resolution:', error);
+    }
+    return null;
+}
+
+/**
+ * Check for the PNG file signature
+ * @param {DataView} view
+ * @returns {boolean}
+ */
+function isPng(view) {
+    if (view.byteLength < PNG_SIGNATURE.length) return false;
+    return PNG_SIGNATURE.every((byte, i) => view.getUint8(i) === byte);
+}
+
+/**
+ * Read the pHYs chunk of a PNG
+ * Only pixels per meter can be converted; the "unknown" unit is an aspect ratio.
+ * @param {DataView} view
+ * @returns {{ x: number, y: number } | null}
+ */
+function readPngDpi(view) {
+    let offset = PNG_SIGNATURE.length;
+
+    while (offset + 8 <= view.byteLength) {
+        const length = view.getUint32(offset);
+        const type = readAscii(view, offset + 4, 4);
+
+        if (type === 'pHYs' && length >= 9) {
+            const unit = view.getUint8(offset + 16);
+            if (unit !== 1) return null;
+            return toDpi(view.getUint32(offset + 8) * 0.0254, view.getUint32(offset + 12) * 0.0254);
+        }
+        // pHYs has to come before the image data
+        if (type === 'IDAT' || type === 'IEND') return null;
+
+        offset += length + 12;
+    }
+    return null;
+}
+
+/**
+ * Read the JFIF density or EXIF resolution of a JPEG
+ * JFIF wins when it has real units; EXIF fills in when JFIF only gives an aspect ratio.
+ * @param {DataView} view
+ * @returns {{ x: number, y: number } | null}
+ */
+function readJpegDpi(view) {
+    let offset = 2;
+    let exifDpi = null;
+
+    while (offset + 4 <= view.byteLength) {
+        if (view.getUint8(offset) !== 0xff) break;
+        const marker = view.getUint8(offset + 1);
+
+        // Start of scan: no more metadata segments
+        if (marker === 0xda || marker === 0xd9) break;
+
+        const length = view.getUint16(offset + 2);
+        const start = offset + 4;
+
+        if (marker === 0xe0 && readAscii(view, start, 5) === 'JFIF\0') {
+            const units = view.getUint8(start + 7);
+            const x = view.getUint16(start + 8);
+            const y = view.getUint16(start + 10);
+            if (units === 1) return toDpi(x, y);
+            if (units === 2) return toDpi(x * 2.54, y * 2.54);
+        } else if (marker === 0xe1 && readAscii(view, start, 6) === 'Exif\0\0') {
+            exifDpi = readTiffDpi(view, start + 6);
+        }
+
+        offset += 2 + length;
+    }
+    return exifDpi;
+}
+
+/**
+ * Read the EXIF chunk of a WebP
+ * The chunk holds a TIFF structure, sometimes behind a JPEG-style "Exif" header.
+ * @param {DataView} view
+ * @returns {{ x: number, y: number } | null}
+ */
+function readWebpDpi(view) {
+    let offset = 12;
+
+    while (offset + 8 <= view.byteLength) {
+        const type = readAscii(view, offset, 4);
+        const length = view.getUint32(offset + 4, true);
+
+        if (type === 'EXIF') {
+            const start = offset + 8;
+            return readTiffDpi(view, readAscii(view, start, 6) === 'Exif\0\0' ? start + 6 : start);
+        }
+
+        // Chunks are padded to an even length
+        offset += 8 + length + (length % 2);
+    }
+    return null;
+}
+
+/**
+ * Read XResolution/YResolution from the first IFD of a TIFF structure (TIFF files and EXIF blocks)
+ * @param {DataView} view
+ * @param {number} base - Offset of the TIFF header
+ * @returns {{ x: number, y: number } | null}
+ */
+function readTiffDpi(view, base) {
+    const order = readAscii(view, base, 2);
+    if (order !== 'II' && order !== 'MM') return null;
+    const little = order === 'II';
+    if (view.getUint16(base + 2, little) !== 42) return null;
+
+    const ifd = base + view.getUint32(base + 4, little);
+    const count = view.getUint16(ifd, little);
+    let x = null;
+    let y = null;
+    let unit = UNIT_INCH;
+
+    for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        const tag = view.getUint16(entry, little);
+
+        if (tag === TAG_X_RESOLUTION || tag === TAG_Y_RESOLUTION) {
+            // RATIONAL values don't fit in the entry, so it holds an offset
+            const valueOffset = base + view.getUint32(entry + 8, little);
+            const value = view.getUint32(valueOffset, little) / view.getUint32(valueOffset + 4, little);
+            if (tag === TAG_X_RESOLUTION) x = value;
+            else y = value;
+        } else if (tag === TAG_RESOLUTION_UNIT) {
+            unit = view.getUint16(entry + 8, little);
+        }
+    }
+
+    if (x === null) return null;
+    if (y === null) y = x;
+    if (unit === UNIT_CENTIMETER) return toDpi(x * 2.54, y * 2.54);
+    if (unit === UNIT_INCH) return toDpi(x, y);
+    return null;
+}
+
+/**
+ * Round and validate a resolution pair
+ * @param {number} x
+ * @param {number} y
+ * @returns {{ x: number, y: number } | null}
+ */
+function toDpi(x, y) {
+    if (!(x > 0) || !(y > 0) || !isFinite(x) || !isFinite(y)) return null;
+    return { x: Math.round(x * 100) / 100, y: Math.round(y * 100) / 100 };
+}
+
+/**
+ * Read a fixed-length ASCII string
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} length
+ * @returns {string}
+ */
+function readAscii(view, offset, length) {
+    if (offset + length > view.byteLength) return '';
+    let text = '';
+    for (let i = 0; i < length; i++) {
+        text += String.fromCharCode(view.getUint8(offset + i));
+    }
+    return text;
+}
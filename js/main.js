@@ -4,20 +4,36 @@
  */
 
 import * as THREE from 'three';
-import { initImageHandler, getImages, hasAllImages, createTexture, getAutofitEnabled, getImageDimensionsInInches } from './imageHandler.js';
-import { initSizeParser, getCurrentSize, setSizeFromDimensions } from './sizeParser.js';
-import { initFoldCalculator, getCurrentFoldType, setFoldType, setOrientation, getCurrentOrientation } from './foldCalculator.js';
-import { initScene, getScene, addToScene, removeFromScene, clearMeshes, updateBackgroundColor, getGridHelper } from './scene.js';
-import { createFoldMesh, getPaperGroup, disposeMesh, updateTextures, recalculatePaperCenter } from './foldMesh.js';
-import { initAnimations, resetAnimation, setFoldProgress } from './animations.js';
-import { initGuides, createGuides, clearGuides, updateRulerColors } from './guides.js';
+import { initImageHandler, getImages, hasAllImages, createTexture, getAutofitEnabled, getImageDimensionsInInches, setPanelMappedImages, restorePdfPages, updatePanelImageList, hasPanelImages, getImageState, restoreImages } from './imageHandler.js';
+import { initSizeParser, getCurrentSize, setSizeFromDimensions, getSizeState, setSizeState, getPresets } from './sizeParser.js';
+import { initFoldCalculator, getCurrentFoldType, getFoldTypeInfo, setFoldType, setOrientation, getCurrentOrientation, updatePanelWidthEditor, getFoldState, setFoldState, getPanelCount } from './foldCalculator.js';
+import { initScene, getScene, addToScene, removeFromScene, clearMeshes, updateBackgroundColor, getGridHelper, getViewState, setViewState } from './scene.js';
+import { createFoldMesh, getPaperGroup, disposeMesh, updateTextures, recalculatePaperCenter, createCompareMesh, getCompareGroup, disposeCompareMesh } from './foldMesh.js';
+import { initAnimations, resetAnimation, setFoldProgress, getFoldProgress, pause } from './animations.js';
+import { initGuides, createGuides, clearGuides, updateRulerColors, setPreflightMarks, setBleedArtwork, setDifferenceOverlay, getGuideState, setGuideState } from './guides.js';
 import { initExport } from './exportViewport.js';
+import { checkFolds } from './foldCheck.js';
+import { initPreflight, runPreflight, getPreflightState, setPreflightState } from './preflight.js';
+import { initSoftProof, isSoftProofEnabled, isGamutWarningEnabled, proofImage, getSoftProofState, setSoftProofState } from './softProof.js';
+import { initPanelMap, isPanelMapActive, composePanelMap, updatePanelMapList, getPanelMapState, setPanelMapState } from './panelMap.js';
+import { initCompare, getCompareMode, getCompareVersion, isShowingVersion, computeDifference } from './compare.js';
+import { initProject } from './project.js';
+import { initAutosave, scheduleAutosave, beginNewSession } from './autosave.js';
+import { initHistory, recordHistory, batchHistory } from './history.js';
+import { initShareLink, scheduleShareLinkUpdate } from './shareLink.js';
+
+// Space between the sheets when comparing side by side (world units)
+const COMPARE_GAP = 1;
 
 // Application state
 let isInitialized = false;
-let currentTextures = { front: null, back: null };
+let currentTextures = { front: null, back: null, panels: { front: {}, back: {} } };
 let currentGuideGroup = null;
 
+// Textures of the version being compared, and how far the current sheet moved to make room for it
+let compareTextures = null;
+let compareShift = 0;
+
 /**
  * Initialize the application
  */
@@ -32,7 +48,16 @@ async function init() {
     initSizeParser(onSizeChanged);
     initFoldCalculator(onFoldTypeChanged);
     initAnimations(onProgressUpdate);
-    initGuides();
+    initGuides(onMarginsChanged);
+    initPreflight(onPreflightChanged);
+    initSoftProof(onSoftProofChanged);
+    initPanelMap(onPanelMapChanged);
+    initCompare(onCompareChanged);
+    initProject(getProjectState, openProjectFile);
+    initAutosave(getProjectState, applyProjectState);
+    // A shared link's layout is applied before history starts, so it's the starting point
+    initShareLink(getShareState, applyShareState);
+    initHistory(getHistoryState, applyHistoryState, describeHistoryChange);
     initExport();
     setupReflectToggles();
     setupGridToggle();
@@ -133,12 +158,15 @@ function setupHelpModal() {
  */
 function onImagesChanged(images) {
     console.log('Images changed:', images);
+    scheduleAutosave();
+    recordHistory();
     
     // Stop upload zone pulse when images are added
     if (images.front || images.back) {
         document.getElementById('front-upload-zone')?.classList.remove('pulse');
         document.getElementById('back-upload-zone')?.classList.remove('pulse');
     }
+    updateSoftProofNote();
 
     // Update viewport overlay visibility
     const overlay = document.getElementById('viewport-overlay');
@@ -146,8 +174,7 @@ function onImagesChanged(images) {
     if (images.front && images.back) {
         overlay.hidden = true;
 
-        currentTextures.front = createTextureFromImage(images.front);
-        currentTextures.back = createTextureFromImage(images.back);
+        currentTextures = createTextures(images);
 
         let didSetSizeFromImage = false;
         if (!getAutofitEnabled()) {
@@ -160,11 +187,10 @@ function onImagesChanged(images) {
 
         if (!didSetSizeFromImage) rebuildMesh();
         document.getElementById('controls-bar')?.classList.remove('controls-disabled');
-    } else if (images.front || images.back) {
+    } else if (hasAnyImages()) {
         overlay.hidden = true;
 
-        currentTextures.front = images.front ? createTextureFromImage(images.front) : null;
-        currentTextures.back = images.back ? createTextureFromImage(images.back) : null;
+        currentTextures = createTextures(images);
 
         let didSetSizeFromImage = false;
         if (!getAutofitEnabled()) {
@@ -180,7 +206,8 @@ function onImagesChanged(images) {
     } else {
         // No images
         overlay.hidden = false;
-        currentTextures = { front: null, back: null };
+        currentTextures = { front: null, back: null, panels: { front: {}, back: {} } };
+        clearComparison();
         clearMeshes();
         document.getElementById('controls-bar')?.classList.add('controls-disabled');
         
@@ -190,6 +217,8 @@ function onImagesChanged(images) {
             clearGuides();
             currentGuideGroup = null;
         }
+        
+        runPreflight(getReflectState());
     }
 }
 
@@ -201,23 +230,82 @@ function onImagesChanged(images) {
 function createTextureFromImage(imageData) {
     if (!imageData || !imageData.dataUrl) return null;
     
-    const texture = new THREE.TextureLoader().load(imageData.dataUrl);
+    let texture;
+    if (isSoftProofEnabled()) {
+        // The proof fills in the image once it's rendered, the same way TextureLoader does
+        texture = new THREE.Texture();
+        proofImage(imageData, isGamutWarningEnabled())
+            .then(proof => {
+                texture.image = proof.canvas;
+                texture.needsUpdate = true;
+            })
+            .catch(error => console.error('Soft proof failed:', error));
+    } else {
+        texture = new THREE.TextureLoader().load(imageData.dataUrl);
+    }
     texture.minFilter = THREE.LinearFilter;
     texture.magFilter = THREE.LinearFilter;
     texture.colorSpace = THREE.SRGBColorSpace;
     
+    // PDFs with a TrimBox show the trim on the sheet; the bleed is drawn with the guides
+    const trim = imageData.trim;
+    if (trim) {
+        texture.repeat.set(trim.width, trim.height);
+        texture.offset.set(trim.x, 1 - trim.y - trim.height);
+    }
+    
     return texture;
 }
 
+/**
+ * Create textures for the sheet uploads and any panel images
+ * @param {Object} images - From getImages()
+ * @returns {Object} { front, back, panels: { front, back } } as createFoldMesh takes them
+ */
+function createTextures(images) {
+    const panels = { front: {}, back: {} };
+    ['front', 'back'].forEach(side => {
+        Object.entries(images.panels[side]).forEach(([index, image]) => {
+            panels[side][index] = createTextureFromImage(image);
+        });
+    });
+    
+    return {
+        front: createTextureFromImage(images.front),
+        back: createTextureFromImage(images.back),
+        panels
+    };
+}
+
+/**
+ * Dispose textures made by createTextures
+ * @param {Object} textures
+ */
+function disposeTextures(textures) {
+    if (textures.front) textures.front.dispose();
+    if (textures.back) textures.back.dispose();
+    ['front', 'back'].forEach(side => {
+        Object.values(textures.panels[side]).forEach(texture => texture.dispose());
+    });
+}
+
 /**
  * Handle size changes
  * @param {Object} size - { width, height, aspectRatio }
  */
 function onSizeChanged(size) {
     console.log('Size changed:', size);
+    scheduleAutosave();
+    scheduleShareLinkUpdate();
+    recordHistory();
     
-    // Rebuild mesh with new size
-    if (hasAnyImages()) {
+    // Panel widths follow the sheet length
+    updatePanelWidthEditor();
+    
+    // Mapped pages are composited at the new size, which rebuilds the mesh
+    if (isPanelMapActive()) {
+        applyPanelMap();
+    } else if (hasAnyImages()) {
         rebuildMesh();
     }
 }
@@ -228,15 +316,282 @@ function onSizeChanged(size) {
  */
 function onFoldTypeChanged(foldType) {
     console.log('Fold type changed:', foldType);
+    scheduleAutosave();
+    scheduleShareLinkUpdate();
+    recordHistory();
     updateFoldTypeToolbarActive(foldType);
     updateOrientationToolbarActive(getCurrentOrientation());
 
+    // The panel map and panel image slots follow the panel count
+    updatePanelMapList();
+    updatePanelImageList();
+    
     // Rebuild mesh with new fold configuration
-    if (hasAnyImages()) {
+    if (isPanelMapActive()) {
+        applyPanelMap();
+    } else if (hasAnyImages()) {
         rebuildMesh();
     }
 }
 
+/**
+ * Handle panel map changes
+ * @param {boolean} active - Whether PDF pages are mapped to panels
+ */
+function onPanelMapChanged(active) {
+    recordHistory();
+    if (active) {
+        applyPanelMap();
+    } else {
+        restorePdfPages();
+    }
+}
+
+/**
+ * Composite the mapped PDF pages for the current size, fold and flips
+ */
+async function applyPanelMap() {
+    try {
+        const images = await composePanelMap(getReflectState());
+        if (images) setPanelMappedImages(images);
+    } catch (error) {
+        console.error('Error compositing panel map:', error);
+        alert(`Error mapping PDF pages to panels: ${error.message}`);
+    }
+}
+
+/**
+ * Collect everything a project file saves
+ * @returns {Object}
+ */
+function getProjectState() {
+    return {
+        images: getImageState(),
+        size: getSizeState(),
+        fold: getFoldState(),
+        reflect: getReflectState(),
+        guides: getGuideState(),
+        preflight: getPreflightState(),
+        softProof: getSoftProofState(),
+        panelMap: getPanelMapState(),
+        foldProgress: getFoldProgress(),
+        view: getViewState()
+    };
+}
+
+/**
+ * Open a project file as a new session, kept apart from the autosaved one
+ * @param {Object} state - Read from the file
+ */
+function openProjectFile(state) {
+    beginNewSession();
+    return applyProjectState(state);
+}
+
+/**
+ * Restore an opened project
+ * The fold goes first so panel images aren't dropped for panels the current
+ * fold lacks, and the size goes after the images since uploads can set it.
+ * The whole restore is one history entry.
+ * @param {Object} state - From getProjectState, read back from a file
+ * @returns {Promise}
+ */
+function applyProjectState(state) {
+    return batchHistory('Open project', async () => {
+        pause();
+        if (state.fold) setFoldState(state.fold);
+        if (state.reflect) setReflectState(state.reflect);
+        if (state.guides) setGuideState(state.guides);
+        if (state.preflight) setPreflightState(state.preflight);
+        if (state.softProof) setSoftProofState(state.softProof);
+        
+        await restoreImages(state.images);
+        setPanelMapState(state.panelMap);
+        if (state.size) setSizeState(state.size);
+        
+        if (typeof state.foldProgress === 'number') setFoldProgress(state.foldProgress);
+        if (state.view) setViewState(state.view);
+    });
+}
+
+/**
+ * Collect the layout settings a share link carries
+ * @returns {Object} As encodeShareState takes it
+ */
+function getShareState() {
+    const { foldType, orientation } = getFoldState();
+    return {
+        size: getCurrentSize(),
+        stock: getSizeState().stock,
+        fold: {
+            foldType,
+            orientation,
+            panelCount: getFoldTypeInfo(foldType).panelCounts ? getPanelCount() : null
+        },
+        guides: getGuideState(),
+        view: getViewState()
+    };
+}
+
+/**
+ * Apply the layout from a share link
+ * Anything the link leaves out keeps its current value. A size matching a
+ * preset selects the preset.
+ * @param {Object} state - From decodeShareState
+ */
+function applyShareState(state) {
+    if (state.fold) {
+        const fold = getFoldState();
+        if (state.fold.foldType) fold.foldType = state.fold.foldType;
+        if (state.fold.orientation) fold.orientation = state.fold.orientation;
+        if (state.fold.panelCount) fold.panelCounts[fold.foldType] = state.fold.panelCount;
+        setFoldState(fold);
+    }
+    
+    if (state.size || state.stock) {
+        const size = getSizeState();
+        if (state.stock) size.stock = state.stock;
+        if (state.size) {
+            const { width, height } = state.size;
+            const presets = getPresets();
+            size.width = width;
+            size.height = height;
+            size.preset = Object.keys(presets).find(key =>
+                Math.abs(presets[key].width - width) < 0.01 && Math.abs(presets[key].height - height) < 0.01
+            ) || 'custom';
+        }
+        setSizeState(size);
+    }
+    
+    if (state.guides) setGuideState(state.guides);
+    if (state.view) setViewState(state.view);
+}
+
+/**
+ * Collect the settings undo and redo step through
+ * Guide visibility, preflight and soft proof are view settings and are left out.
+ * @returns {Object}
+ */
+function getHistoryState() {
+    const { bleedMargin, safeMargin } = getGuideState();
+    return {
+        images: getImageState(),
+        size: getSizeState(),
+        fold: getFoldState(),
+        reflect: getReflectState(),
+        margins: { bleedMargin, safeMargin },
+        panelMap: getPanelMapState()
+    };
+}
+
+/**
+ * Put back a history snapshot
+ * Only the parts that differ from now are applied, so undoing a margin change
+ * doesn't rebuild the sheet. Order follows applyProjectState.
+ * @param {Object} state - From getHistoryState
+ */
+async function applyHistoryState(state) {
+    const current = getHistoryState();
+    const imagesChanged = !isSameImages(current.images, state.images);
+    const reflectChanged = !isSameSetting(current.reflect, state.reflect);
+    
+    if (!isSameSetting(current.fold, state.fold)) setFoldState(state.fold);
+    if (reflectChanged) setReflectState(state.reflect);
+    if (!isSameSetting(current.margins, state.margins)) setGuideState(state.margins);
+    
+    if (imagesChanged) {
+        await restoreImages(state.images);
+        setPanelMapState(state.panelMap);
+    } else if (!isSameSetting(current.panelMap, state.panelMap)) {
+        setPanelMapState(state.panelMap);
+        onPanelMapChanged(isPanelMapActive());
+    } else if (reflectChanged) {
+        onReflectChanged();
+    }
+    
+    if (!isSameSetting(getSizeState(), state.size)) setSizeState(state.size);
+}
+
+/**
+ * Name the change between two history snapshots
+ * @param {Object} previous - From getHistoryState
+ * @param {Object} next - From getHistoryState
+ * @returns {string|null} Label for the history list, or null when nothing changed
+ */
+function describeHistoryChange(previous, next) {
+    if (!isSameImages(previous.images, next.images)) {
+        const before = previous.images;
+        const after = next.images;
+        const swapped = {
+            ...before,
+            front: before.back,
+            back: before.front,
+            panels: { front: before.panels.back, back: before.panels.front },
+            dpiOverrides: { front: before.dpiOverrides.back, back: before.dpiOverrides.front }
+        };
+        if (isSameImages(swapped, after)) return 'Swap images';
+        if (!isSameSetting(before.dpiOverrides, after.dpiOverrides)) return 'Image resolution';
+        if (before.autofit !== after.autofit) return 'Autofit image';
+        if (!isSamePanelImages(before.panels, after.panels)) return 'Panel images';
+        return 'Change artwork';
+    }
+    if (!isSameSetting(previous.fold, next.fold)) {
+        const before = previous.fold;
+        const after = next.fold;
+        if (before.foldType !== after.foldType) return `Fold: ${getFoldTypeInfo(after.foldType).name}`;
+        if (before.orientation !== after.orientation) return `Orientation: ${after.orientation === 'vertical' ? 'Vertical' : 'Horizontal'}`;
+        if (!isSameSetting(before.panelCounts, after.panelCounts)) return 'Panel count';
+        return 'Panel widths';
+    }
+    if (!isSameSetting(previous.panelMap, next.panelMap)) return 'Panel map';
+    if (!isSameSetting(previous.reflect, next.reflect)) return 'Flip images';
+    if (!isSameSetting(previous.size, next.size)) {
+        return previous.size.stock !== next.size.stock ? 'Paper stock' : 'Paper size';
+    }
+    if (previous.margins.bleedMargin !== next.margins.bleedMargin) return 'Bleed margin';
+    if (previous.margins.safeMargin !== next.margins.safeMargin) return 'Safe margin';
+    return null;
+}
+
+/**
+ * Whether two settings objects hold the same values
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function isSameSetting(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Whether two image states show the same uploads
+ * Sheets composited by the panel map are rebuilt from its state, so any two count as the same.
+ * @param {Object} a - From getImageState
+ * @param {Object} b - From getImageState
+ * @returns {boolean}
+ */
+function isSameImages(a, b) {
+    const isSameImage = (x, y) => x === y || (!!x?.panelMapped && !!y?.panelMapped);
+    return isSameImage(a.front, b.front) &&
+        isSameImage(a.back, b.back) &&
+        isSamePanelImages(a.panels, b.panels) &&
+        isSameSetting(a.dpiOverrides, b.dpiOverrides) &&
+        a.autofit === b.autofit;
+}
+
+/**
+ * Whether two sets of panel images are the same uploads
+ * @param {Object} a - { front, back } keyed by panel index
+ * @param {Object} b - { front, back } keyed by panel index
+ * @returns {boolean}
+ */
+function isSamePanelImages(a, b) {
+    return ['front', 'back'].every(side => {
+        const keys = Object.keys(a[side]);
+        return keys.length === Object.keys(b[side]).length && keys.every(key => a[side][key] === b[side][key]);
+    });
+}
+
 function getReflectState() {
     return {
         reflectFrontH: document.getElementById('reflect-front-h')?.checked ?? false,
@@ -246,6 +601,23 @@ function getReflectState() {
     };
 }
 
+/**
+ * Set the flip toggles without notifying
+ * @param {Object} reflect - { reflectFrontH, reflectBackH, reflectFrontV, reflectBackV }
+ */
+function setReflectState(reflect) {
+    const reflectIds = {
+        reflectFrontH: 'reflect-front-h',
+        reflectBackH: 'reflect-back-h',
+        reflectFrontV: 'reflect-front-v',
+        reflectBackV: 'reflect-back-v'
+    };
+    Object.entries(reflectIds).forEach(([key, id]) => {
+        const el = document.getElementById(id);
+        if (el && typeof reflect[key] === 'boolean') el.checked = reflect[key];
+    });
+}
+
 function setupAboutToggle() {
     const toggle = document.getElementById('about-toggle');
     const content = document.getElementById('about-content');
@@ -376,14 +748,28 @@ function setupReflectToggles() {
         const el = document.getElementById(id);
         if (el) {
             el.addEventListener('change', () => {
-                if (hasAnyImages()) {
-                    updateTextures(currentTextures, getReflectState());
-                }
+                recordHistory();
+                onReflectChanged();
             });
         }
     });
 }
 
+/**
+ * Redraw the sheet for the current flips
+ */
+function onReflectChanged() {
+    // Mapped pages are placed for each side's flip, so they're composited again
+    if (isPanelMapActive()) {
+        applyPanelMap();
+    } else if (hasAnyImages()) {
+        updateTextures(currentTextures, getReflectState());
+        updateBleedArtwork();
+        runPreflight(getReflectState());
+        updateComparison();
+    }
+}
+
 /**
  * Handle animation progress updates
  * @param {number} progress 
@@ -392,13 +778,173 @@ function onProgressUpdate(progress) {
     // Could add visual feedback here if needed
 }
 
+/**
+ * Handle bleed or safe margin changes
+ */
+function onMarginsChanged() {
+    recordHistory();
+    if (hasAnyImages()) {
+        runPreflight(getReflectState());
+    }
+}
+
+/**
+ * Handle soft proof or gamut warning changes
+ * Textures are rebuilt from the uploads and swapped onto the existing panels.
+ */
+function onSoftProofChanged() {
+    updateSoftProofNote();
+    if (!hasAnyImages()) return;
+    
+    const images = getImages();
+    const previous = currentTextures;
+    currentTextures = createTextures(images);
+    updateTextures(currentTextures, getReflectState());
+    updateBleedArtwork();
+    disposeTextures(previous);
+    updateComparison();
+}
+
+/**
+ * Show how much of each upload falls outside the press gamut
+ */
+async function updateSoftProofNote() {
+    const note = document.getElementById('soft-proof-note');
+    if (!note) return;
+    
+    const images = getImages();
+    if (!isSoftProofEnabled() || (!images.front && !images.back)) {
+        note.textContent = '';
+        return;
+    }
+    
+    const parts = [];
+    for (const side of ['front', 'back']) {
+        if (!images[side]) continue;
+        try {
+            const proof = await proofImage(images[side], isGamutWarningEnabled());
+            const label = side === 'front' ? 'Front' : 'Back';
+            parts.push(`${label}: ${Math.round(proof.outOfGamut * 100)}% out of gamut`);
+        } catch (error) {
+            console.error('Soft proof failed:', error);
+        }
+    }
+    note.textContent = parts.join(' · ');
+}
+
+/**
+ * Mark preflight issues on the sheet
+ * @param {Array<Object>} issues - From runPreflight
+ */
+function onPreflightChanged(issues) {
+    setPreflightMarks(issues.map(issue => ({ side: issue.side, edge: issue.edge, rect: issue.rect })), getReflectState());
+}
+
+/**
+ * Show the bleed of PDFs with a TrimBox around the sheet
+ */
+function updateBleedArtwork() {
+    const images = getImages();
+    const artwork = {};
+    ['front', 'back'].forEach(side => {
+        const image = images[side];
+        artwork[side] = image && image.trim && currentTextures[side]
+            ? { texture: currentTextures[side], trim: image.trim }
+            : null;
+    });
+    setBleedArtwork(artwork, getReflectState());
+}
+
+/**
+ * Handle compare version or mode changes
+ */
+function onCompareChanged() {
+    updateComparison();
+}
+
+/**
+ * Show the current artwork against the version picked for comparison
+ * Side by side and A/B build a second sheet that folds along with the
+ * current one; difference marks the changed pixels on the flat sheet.
+ */
+async function updateComparison() {
+    clearComparison();
+    
+    const paperGroup = getPaperGroup();
+    const version = getCompareVersion();
+    const mode = getCompareMode();
+    if (!paperGroup || mode === 'off') return;
+    
+    if (mode === 'difference') {
+        try {
+            const reflect = getReflectState();
+            const difference = await computeDifference(getImages(), version.images, reflect);
+            if (!difference || getCompareMode() !== 'difference') return;
+            setDifferenceOverlay({ front: difference.front?.canvas, back: difference.back?.canvas }, reflect);
+        } catch (error) {
+            console.error('Error comparing versions:', error);
+        }
+        return;
+    }
+    
+    compareTextures = createTextures(version.images);
+    const compareGroup = createCompareMesh(getCurrentSize(), compareTextures, getReflectState());
+    addToScene(compareGroup);
+    recalculatePaperCenter(compareGroup);
+    
+    if (mode === 'side-by-side') {
+        // The version is still flat here, so its box is the full sheet
+        const box = new THREE.Box3().setFromObject(compareGroup);
+        compareShift = (box.max.x - box.min.x + COMPARE_GAP) / 2;
+        paperGroup.position.x -= compareShift;
+        compareGroup.position.x += compareShift;
+        if (currentGuideGroup) currentGuideGroup.position.x -= compareShift;
+    } else {
+        const showVersion = isShowingVersion();
+        paperGroup.visible = !showVersion;
+        compareGroup.visible = showVersion;
+        if (currentGuideGroup) currentGuideGroup.visible = !showVersion;
+    }
+    
+    // Match the current sheet's fold
+    setFoldProgress(getFoldProgress(), false);
+}
+
+/**
+ * Remove the comparison sheet or overlay and put the current sheet back in place
+ */
+function clearComparison() {
+    const compareGroup = getCompareGroup();
+    if (compareGroup) {
+        removeFromScene(compareGroup);
+        disposeCompareMesh();
+    }
+    if (compareTextures) {
+        disposeTextures(compareTextures);
+        compareTextures = null;
+    }
+    
+    const paperGroup = getPaperGroup();
+    if (paperGroup) {
+        paperGroup.position.x += compareShift;
+        paperGroup.visible = true;
+    }
+    if (currentGuideGroup) {
+        currentGuideGroup.position.x += compareShift;
+        currentGuideGroup.visible = true;
+    }
+    compareShift = 0;
+    
+    setDifferenceOverlay(null, getReflectState());
+}
+
 /**
  * Check if any images are uploaded
  * @returns {boolean}
  */
 function hasAnyImages() {
     const images = getImages();
-    return images.front !== null || images.back !== null;
+    return images.front !== null || images.back !== null || hasPanelImages();
 }
 
 /**
@@ -408,6 +954,9 @@ function rebuildMesh() {
     const scene = getScene();
     if (!scene) return;
     
+    // The comparison is rebuilt for the new sheet below
+    clearComparison();
+    
     // Clear existing mesh
     const existingGroup = getPaperGroup();
     if (existingGroup) {
@@ -439,12 +988,21 @@ function rebuildMesh() {
             currentGuideGroup = createGuides(size, panelConfig);
             if (currentGuideGroup) {
                 addToScene(currentGuideGroup);
+                updateBleedArtwork();
             }
         }
         
         // Reset animation to unfolded state
         resetAnimation();
+        
+        // Flag panels that bind or intersect once folded
+        checkFolds();
+        
+        updateComparison();
     }
+    
+    // Check the artwork against the new size
+    runPreflight(getReflectState());
 }
 
 /**
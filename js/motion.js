@@ -0,0 +1,164 @@
+/**
+ * Motion Module
+ * Camera and fold keyframes for animated exports: preset moves (fold cycle,
+ * turntable, turntable then unfold) or keys captured from the viewport, which
+ * the GIF and video exporters render and the viewport can preview
+ */
+
+import {
+    getCameraPose,
+    setCameraPose,
+    createCameraPath,
+    createTurntablePath,
+    sampleCameraPath,
+    playCameraPath,
+    stopCameraPath,
+    isCameraPathPlaying
+} from './scene.js';
+import { setFoldProgress, getFoldProgress, pause } from './animations.js';
+
+// Share of a turntable-then-unfold spent turning; the rest unfolds
+const TURNTABLE_SHARE = 0.6;
+
+// Keys captured from the viewport: { pose, progress }
+let motionKeys = [];
+
+/**
+ * Create a motion
+ * @param {string} name - 'fold' | 'fold-orbit' | 'turntable' | 'turntable-unfold' | 'keys'
+ * @returns {{ camera: Object|null, fold: Array<{ time: number, progress: number }> }|null}
+ *     null for 'keys' with fewer than two keys captured
+ */
+export function createMotion(name) {
+    switch (name) {
+        case 'fold-orbit':
+            return {
+                camera: createTurntablePath(),
+                fold: [{ time: 0, progress: -1 }, { time: 1, progress: 1 }]
+            };
+        case 'turntable': {
+            const progress = getFoldProgress();
+            return {
+                camera: createTurntablePath(),
+                fold: [{ time: 0, progress }, { time: 1, progress }]
+            };
+        }
+        case 'turntable-unfold':
+            return {
+                camera: createTurntablePath({ end: TURNTABLE_SHARE }),
+                fold: [
+                    { time: 0, progress: 1 },
+                    { time: TURNTABLE_SHARE, progress: 1 },
+                    { time: 1, progress: 0 }
+                ]
+            };
+        case 'keys': {
+            if (motionKeys.length < 2) return null;
+            const camera = createCameraPath(motionKeys.map(key => key.pose));
+            return {
+                camera,
+                fold: motionKeys.map((key, i) => ({ time: camera.keys[i].time, progress: key.progress }))
+            };
+        }
+        default:
+            // The full fold cycle (-100% to 100%) from the current view
+            return {
+                camera: null,
+                fold: [{ time: 0, progress: -1 }, { time: 1, progress: 1 }]
+            };
+    }
+}
+
+/**
+ * Pose the camera and fold for a point in a motion
+ * @param {Object} motion - From createMotion
+ * @param {number} t - 0 to 1
+ */
+export function applyMotion(motion, t) {
+    if (motion.camera) setCameraPose(sampleCameraPath(motion.camera, t));
+    setFoldProgress(sampleFold(motion.fold, t), false);
+}
+
+/**
+ * Play a motion in the viewport, then put the view and fold back
+ * @param {Object} motion - From createMotion
+ * @param {number} duration - Seconds
+ * @param {Function} [onEnd] - Called when it finishes or is stopped
+ */
+export function previewMotion(motion, duration, onEnd) {
+    stopCameraPath();
+    pause();
+
+    const pose = getCameraPose();
+    const progress = getFoldProgress();
+
+    playCameraPath(motion.camera, {
+        duration,
+        onFrame: (t) => setFoldProgress(sampleFold(motion.fold, t), false),
+        onEnd: () => {
+            setCameraPose(pose);
+            setFoldProgress(progress, true);
+            if (onEnd) onEnd();
+        }
+    });
+}
+
+/**
+ * Stop a preview started by previewMotion
+ */
+export function stopMotionPreview() {
+    stopCameraPath();
+}
+
+/**
+ * Whether a motion preview is playing
+ * @returns {boolean}
+ */
+export function isMotionPreviewPlaying() {
+    return isCameraPathPlaying();
+}
+
+/**
+ * Capture the current view and fold as the next key
+ * @returns {number} Number of keys
+ */
+export function addMotionKey() {
+    motionKeys.push({ pose: getCameraPose(), progress: getFoldProgress() });
+    return motionKeys.length;
+}
+
+/**
+ * Remove all captured keys
+ */
+export function clearMotionKeys() {
+    motionKeys = [];
+}
+
+/**
+ * Get the number of captured keys
+ * @returns {number}
+ */
+export function getMotionKeyCount() {
+    return motionKeys.length;
+}
+
+/**
+ * Get the fold progress at a point between fold keys
+ * @param {Array<{ time: number, progress: number }>} keys - In time order
+ * @param {number} t - 0 to 1
+ * @returns {number}
+ */
+function sampleFold(keys, t) {
+    if (t <= keys[0].time) return keys[0].progress;
+    for (let i = 1; i < keys.length; i++) {
+        const from = keys[i - 1];
+        const to = keys[i];
+        if (t <= to.time) {
+            const span = to.time - from.time;
+            return span > 0
+                ? from.progress + (to.progress - from.progress) * (t - from.time) / span
+                : to.progress;
+        }
+    }
+    return keys[keys.length - 1].progress;
+}
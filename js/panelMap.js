@@ -0,0 +1,358 @@
+/**
+ * Panel Map Module
+ * Maps the pages of a multi-page PDF onto individual panels (one page per
+ * panel and side) and composites them into the front and back images
+ */
+
+import { getCurrentSize } from './sizeParser.js';
+import { calculatePanels, getPanelImageRect } from './foldCalculator.js';
+
+// Resolution of the composited sheet images, capped for large sheets
+const COMPOSITE_PPI = 200;
+const COMPOSITE_MAX_SIZE = 4096;
+
+// The PDF being mapped: { pdf, file, pageCount, renderPage(pageNum) }
+let source = null;
+let enabled = false;
+
+// Page number (or null for a blank) in each slot: front panels, then back panels, then unused pages
+let order = [];
+
+// Rendered pages of the current source: page number -> Promise<{ dataUrl, trim, element }>
+let pageCache = new Map();
+
+// Bumped by every composite so a slow one can't overwrite a newer one
+let composeCount = 0;
+
+// Slot being dragged
+let dragSlot = null;
+
+let onPanelMapChangeCallback = null;
+
+/**
+ * Initialize the panel map controls
+ * @param {Function} onPanelMapChange - Called with whether mapping is on when it or the page order changes
+ */
+export function initPanelMap(onPanelMapChange) {
+    onPanelMapChangeCallback = onPanelMapChange;
+
+    const toggle = document.getElementById('panel-map-toggle');
+    const list = document.getElementById('panel-map');
+
+    if (toggle) {
+        toggle.addEventListener('change', (e) => {
+            enabled = e.target.checked && source !== null;
+            updatePanelMapList();
+            notifyPanelMapChange();
+        });
+    }
+
+    if (list) {
+        list.addEventListener('dragstart', (e) => {
+            const slot = e.target.closest('[data-slot]');
+            if (!slot) return;
+            dragSlot = parseInt(slot.dataset.slot, 10);
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', slot.dataset.slot);
+        });
+        list.addEventListener('dragover', (e) => {
+            const slot = e.target.closest('[data-slot]');
+            if (!slot || dragSlot === null) return;
+            e.preventDefault();
+            slot.classList.add('drag-over');
+        });
+        list.addEventListener('dragleave', (e) => {
+            const slot = e.target.closest('[data-slot]');
+            if (slot) slot.classList.remove('drag-over');
+        });
+        list.addEventListener('drop', (e) => {
+            const slot = e.target.closest('[data-slot]');
+            if (!slot || dragSlot === null) return;
+            e.preventDefault();
+            swapSlots(dragSlot, parseInt(slot.dataset.slot, 10));
+            dragSlot = null;
+        });
+        list.addEventListener('dragend', () => {
+            dragSlot = null;
+            list.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+        });
+    }
+}
+
+/**
+ * Set the PDF whose pages can be mapped to panels
+ * A new source starts with mapping off and its pages in document order.
+ * @param {Object|null} pdfSource - { pdf, file, pageCount, renderPage(pageNum) }, or null when there's no multi-page PDF
+ */
+export function setPanelMapSource(pdfSource) {
+    const wasEnabled = enabled;
+    source = pdfSource;
+    enabled = false;
+    pageCache = new Map();
+    order = source ? Array.from({ length: source.pageCount }, (_, i) => i + 1) : [];
+
+    const subsection = document.getElementById('panel-map-subsection');
+    const toggle = document.getElementById('panel-map-toggle');
+    if (subsection) subsection.hidden = !source;
+    if (toggle) toggle.checked = false;
+
+    updatePanelMapList();
+    if (wasEnabled) notifyPanelMapChange();
+}
+
+/**
+ * Whether the uploads are currently composited from mapped pages
+ * @returns {boolean}
+ */
+export function isPanelMapActive() {
+    return enabled && source !== null;
+}
+
+/**
+ * Get the mapping a project saves
+ * @returns {{ enabled: boolean, order: Array<number|null> }}
+ */
+export function getPanelMapState() {
+    return { enabled: isPanelMapActive(), order: [...order] };
+}
+
+/**
+ * Restore a saved mapping onto the current source
+ * The uploads are expected to already hold the matching composites, so
+ * listeners aren't notified.
+ * @param {{ enabled: boolean, order: Array<number|null> }} state - From getPanelMapState
+ */
+export function setPanelMapState(state) {
+    if (!source || !state) return;
+    order = (state.order || []).map(page => (page >= 1 && page <= source.pageCount ? page : null));
+    enabled = !!state.enabled;
+
+    const toggle = document.getElementById('panel-map-toggle');
+    if (toggle) toggle.checked = enabled;
+    updatePanelMapList();
+}
+
+/**
+ * Swap the pages mapped to the front and back panels
+ */
+export function swapPanelMapSides() {
+    const count = getPanelCount();
+    normalizeOrder(count);
+    const front = order.slice(0, count);
+    const back = order.slice(count, count * 2);
+    order.splice(0, count * 2, ...back, ...front);
+
+    updatePanelMapList();
+    notifyPanelMapChange();
+}
+
+/**
+ * Composite the mapped pages into front and back images for the current size and fold
+ * Each page's trim is stretched over its panel, placed the way that side's image is flipped.
+ * @param {Object} reflect - { reflectFrontH, reflectBackH, reflectFrontV, reflectBackV }
+ * @returns {Promise<Object|null>} { front, back } image data for imageHandler, or null if mapping is
+ *     off or a newer composite started
+ */
+export async function composePanelMap(reflect) {
+    if (!isPanelMapActive()) return null;
+    const run = ++composeCount;
+    const current = source;
+
+    const size = getCurrentSize();
+    const panelConfig = calculatePanels(size);
+    const count = panelConfig.panels.length;
+    normalizeOrder(count);
+
+    const ppi = Math.min(COMPOSITE_PPI, COMPOSITE_MAX_SIZE / Math.max(size.width, size.height));
+    const result = {};
+
+    for (const side of ['front', 'back']) {
+        const isFront = side === 'front';
+        const flip = {
+            h: isFront ? reflect.reflectFrontH : reflect.reflectBackH,
+            v: isFront ? reflect.reflectFrontV : reflect.reflectBackV
+        };
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(size.width * ppi));
+        canvas.height = Math.max(1, Math.round(size.height * ppi));
+        const context = canvas.getContext('2d');
+
+        // Blank panels print as bare paper
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+
+        for (let i = 0; i < count; i++) {
+            const pageNum = order[(isFront ? 0 : count) + i];
+            if (!pageNum) continue;
+
+            const page = await getPage(pageNum);
+            if (run !== composeCount || current !== source) return null;
+
+            const rect = getPanelImageRect(panelConfig.panels[i], panelConfig, size, flip);
+            const trim = page.trim || { x: 0, y: 0, width: 1, height: 1 };
+            const { naturalWidth, naturalHeight } = page.element;
+            context.drawImage(
+                page.element,
+                trim.x * naturalWidth, trim.y * naturalHeight,
+                trim.width * naturalWidth, trim.height * naturalHeight,
+                rect.x * ppi, rect.y * ppi, rect.width * ppi, rect.height * ppi
+            );
+        }
+
+        result[side] = {
+            dataUrl: canvas.toDataURL('image/png'),
+            width: canvas.width,
+            height: canvas.height,
+            widthInches: size.width,
+            heightInches: size.height,
+            file: current.file,
+            isPdf: true,
+            panelMapped: true,
+            pdfDoc: current.pdf,
+            pageCount: current.pageCount,
+            currentPage: isFront ? 1 : 2
+        };
+    }
+
+    if (run !== composeCount) return null;
+    return result;
+}
+
+/**
+ * Redraw the panel map for the current fold
+ * Called on fold and size changes, since those change the panel count.
+ */
+export function updatePanelMapList() {
+    const list = document.getElementById('panel-map');
+    if (!list) return;
+
+    list.hidden = !isPanelMapActive();
+    list.innerHTML = '';
+    if (list.hidden) return;
+
+    const count = getPanelCount();
+    normalizeOrder(count);
+
+    const rows = [
+        { label: 'Front', start: 0, end: count },
+        { label: 'Back', start: count, end: count * 2 },
+        { label: 'Unused', start: count * 2, end: order.length }
+    ];
+
+    rows.forEach(row => {
+        const rowEl = document.createElement('div');
+        rowEl.className = 'panel-map-row';
+
+        const label = document.createElement('span');
+        label.className = 'panel-map-row-label';
+        label.textContent = row.label;
+        rowEl.appendChild(label);
+
+        const slots = document.createElement('div');
+        slots.className = 'panel-map-slots';
+        for (let slot = row.start; slot < row.end; slot++) {
+            const caption = row.label === 'Unused' ? '' : `Panel ${slot - row.start + 1}`;
+            slots.appendChild(createSlot(slot, caption));
+        }
+        rowEl.appendChild(slots);
+        list.appendChild(rowEl);
+    });
+}
+
+/**
+ * Create the tile for one slot of the map
+ * @param {number} slot - Index into order
+ * @param {string} caption - Panel name, or empty for unused pages
+ * @returns {HTMLElement}
+ */
+function createSlot(slot, caption) {
+    const pageNum = order[slot];
+    const tile = document.createElement('div');
+    tile.className = 'panel-map-slot';
+    tile.dataset.slot = String(slot);
+    tile.draggable = true;
+    tile.title = 'Drag onto another slot to swap';
+
+    const thumb = document.createElement('div');
+    thumb.className = 'panel-map-thumb';
+    if (pageNum) {
+        const img = document.createElement('img');
+        img.alt = `Page ${pageNum}`;
+        img.draggable = false;
+        getPage(pageNum)
+            .then(page => { img.src = page.dataUrl; })
+            .catch(error => console.error('Could not render PDF page:', error));
+        thumb.appendChild(img);
+    }
+    tile.appendChild(thumb);
+
+    const text = document.createElement('span');
+    text.className = 'panel-map-caption';
+    text.textContent = [caption, pageNum ? `p. ${pageNum}` : 'Blank'].filter(Boolean).join(' · ');
+    tile.appendChild(text);
+
+    return tile;
+}
+
+/**
+ * Swap the pages in two slots
+ * @param {number} a - Slot index
+ * @param {number} b - Slot index
+ */
+function swapSlots(a, b) {
+    if (a === b || !(a >= 0) || !(b >= 0)) return;
+    [order[a], order[b]] = [order[b], order[a]];
+    updatePanelMapList();
+    notifyPanelMapChange();
+}
+
+/**
+ * Size the page order for a panel count
+ * There's always a slot for each panel on both sides, and one blank unused slot
+ * so a page can be taken off a panel.
+ * @param {number} count - Panels per side
+ */
+function normalizeOrder(count) {
+    while (order.length < count * 2) order.push(null);
+    while (order.length > count * 2 && order[order.length - 1] === null) order.pop();
+    order.push(null);
+}
+
+/**
+ * Number of panels in the current fold
+ * @returns {number}
+ */
+function getPanelCount() {
+    return calculatePanels(getCurrentSize()).panels.length;
+}
+
+/**
+ * Render a page of the source PDF, once
+ * @param {number} pageNum - 1-based page number
+ * @returns {Promise<{ dataUrl: string, trim: Object|undefined, element: HTMLImageElement }>}
+ */
+function getPage(pageNum) {
+    if (!pageCache.has(pageNum)) {
+        const cache = pageCache;
+        const promise = source.renderPage(pageNum).then(async (data) => {
+            const element = new Image();
+            element.src = data.dataUrl;
+            await element.decode();
+            return { dataUrl: data.dataUrl, trim: data.trim, element };
+        });
+        // A failed render can be tried again
+        promise.catch(() => cache.delete(pageNum));
+        pageCache.set(pageNum, promise);
+    }
+    return pageCache.get(pageNum);
+}
+
+/**
+ * Notify that mapping was turned on or off or the page order changed
+ */
+function notifyPanelMapChange() {
+    if (onPanelMapChangeCallback) {
+        onPanelMapChangeCallback(isPanelMapActive());
+    }
+}
@@ -0,0 +1,224 @@
+/**
+ * PDF Boxes Module
+ * Reads the TrimBox and BleedBox of PDF pages, which PDF.js doesn't expose.
+ * Page objects are found by their reference, either as plain objects or
+ * inside compressed object streams.
+ */
+
+// Raw file text per uploaded PDF
+const textCache = new WeakMap();
+
+// Decompressed object streams per uploaded PDF
+const objectStreamCache = new WeakMap();
+
+/**
+ * Read the print boxes of a page
+ * TrimBox and BleedBox default to the CropBox when a page doesn't set them.
+ * @param {File} file - The uploaded PDF
+ * @param {{ num: number, gen: number }} ref - The page's object reference (PDFPageProxy.ref)
+ * @returns {Promise<{ trimBox: Array<number>|null, bleedBox: Array<number>|null }>} Boxes in PDF user space
+ */
+export async function readPageBoxes(file, ref) {
+    const none = { trimBox: null, bleedBox: null };
+    if (!ref) return none;
+
+    try {
+        const text = await getPdfText(file);
+        const page = await findObject(file, text, ref.num, ref.gen);
+        if (!page) return none;
+
+        return {
+            trimBox: await readBox(file, text, page, 'TrimBox'),
+            bleedBox: await readBox(file, text, page, 'BleedBox')
+        };
+    } catch (error) {
+        console.error('Could not read PDF page boxes:', error);
+        return none;
+    }
+}
+
+/**
+ * Get the raw bytes of a PDF as a string, one character per byte
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+function getPdfText(file) {
+    if (!textCache.has(file)) {
+        textCache.set(file, file.arrayBuffer().then(buffer => bytesToLatin1(new Uint8Array(buffer))));
+    }
+    return textCache.get(file);
+}
+
+/**
+ * Convert bytes to a one-character-per-byte string
+ * TextDecoder's 'latin1' is really windows-1252, which remaps 0x80-0x9F,
+ * so binary stream data wouldn't survive the round trip.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToLatin1(bytes) {
+    const chunks = [];
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        chunks.push(String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000)));
+    }
+    return chunks.join('');
+}
+
+/**
+ * Find the body of an object by number
+ * The last definition wins, since incremental updates append new versions.
+ * @param {File} file
+ * @param {string} text - From getPdfText
+ * @param {number} num - Object number
+ * @param {number} gen - Generation number
+ * @returns {Promise<string|null>}
+ */
+async function findObject(file, text, num, gen) {
+    const pattern = new RegExp(`(?:^|[^0-9])${num}\\s+${gen}\\s+obj\\b`, 'g');
+    let start = -1;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        start = match.index + match[0].length;
+    }
+
+    if (start >= 0) {
+        const end = text.indexOf('endobj', start);
+        return text.slice(start, end >= 0 ? end : undefined);
+    }
+
+    // Not a plain object: look in the compressed object streams
+    const streams = await getObjectStreams(file, text);
+    for (const stream of streams) {
+        if (stream.objects.has(num)) return stream.objects.get(num);
+    }
+    return null;
+}
+
+/**
+ * Read a box array from a page dictionary, following an indirect reference if needed
+ * @param {File} file
+ * @param {string} text - From getPdfText
+ * @param {string} page - Page object body
+ * @param {string} name - 'TrimBox' or 'BleedBox'
+ * @returns {Promise<Array<number>|null>} [x1, y1, x2, y2], normalized so x1 < x2 and y1 < y2
+ */
+async function readBox(file, text, page, name) {
+    const direct = page.match(new RegExp(`/${name}\\s*\\[([^\\]]*)\\]`));
+    if (direct) return parseBox(direct[1]);
+
+    const indirect = page.match(new RegExp(`/${name}\\s+(\\d+)\\s+(\\d+)\\s+R`));
+    if (indirect) {
+        const body = await findObject(file, text, Number(indirect[1]), Number(indirect[2]));
+        const array = body && body.match(/\[([^\]]*)\]/);
+        if (array) return parseBox(array[1]);
+    }
+    return null;
+}
+
+/**
+ * Parse the four numbers of a box array
+ * @param {string} content - Text between the brackets
+ * @returns {Array<number>|null}
+ */
+function parseBox(content) {
+    const values = content.trim().split(/\s+/).map(Number);
+    if (values.length !== 4 || values.some(v => !isFinite(v))) return null;
+
+    const [a, b, c, d] = values;
+    if (a === c || b === d) return null;
+    return [Math.min(a, c), Math.min(b, d), Math.max(a, c), Math.max(b, d)];
+}
+
+/**
+ * Decompress every object stream in a PDF
+ * @param {File} file
+ * @param {string} text - From getPdfText
+ * @returns {Promise<Array<{ objects: Map<number, string> }>>}
+ */
+function getObjectStreams(file, text) {
+    if (!objectStreamCache.has(file)) {
+        objectStreamCache.set(file, readObjectStreams(text));
+    }
+    return objectStreamCache.get(file);
+}
+
+/**
+ * Find and unpack the object streams (/Type /ObjStm) in a PDF
+ * Only unfiltered and Flate-compressed streams can be read.
+ * @param {string} text - From getPdfText
+ * @returns {Promise<Array<{ objects: Map<number, string> }>>}
+ */
+async function readObjectStreams(text) {
+    const streams = [];
+    const pattern = /\d+\s+\d+\s+obj\s*<<((?:(?!>>\s*stream)[\s\S])*?\/Type\s*\/ObjStm[\s\S]*?)>>\s*stream\r?\n/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const dict = match[1];
+        const start = match.index + match[0].length;
+        const end = text.indexOf('endstream', start);
+        if (end < 0) continue;
+
+        const filter = dict.match(/\/Filter\s*\/(\w+)/);
+        if (filter && filter[1] !== 'FlateDecode') continue;
+        if (/\/DecodeParms/.test(dict)) continue;
+
+        const first = Number((dict.match(/\/First\s+(\d+)/) || [])[1]);
+        const count = Number((dict.match(/\/N\s+(\d+)/) || [])[1]);
+        if (!(first >= 0) || !(count > 0)) continue;
+
+        try {
+            const raw = latin1ToBytes(text.slice(start, end));
+            const content = filter ? await inflate(raw) : text.slice(start, end);
+            streams.push({ objects: splitObjectStream(content, first, count) });
+        } catch (error) {
+            console.error('Could not read PDF object stream:', error);
+        }
+    }
+    return streams;
+}
+
+/**
+ * Split an object stream into its objects
+ * The stream starts with pairs of object number and offset (from /First).
+ * @param {string} content - Decompressed stream
+ * @param {number} first - Offset of the first object
+ * @param {number} count - Number of objects
+ * @returns {Map<number, string>}
+ */
+function splitObjectStream(content, first, count) {
+    const header = content.slice(0, first).trim().split(/\s+/).map(Number);
+    const objects = new Map();
+
+    for (let i = 0; i < count; i++) {
+        const num = header[i * 2];
+        const offset = header[i * 2 + 1];
+        const next = i + 1 < count ? header[i * 2 + 3] : content.length - first;
+        objects.set(num, content.slice(first + offset, first + next));
+    }
+    return objects;
+}
+
+/**
+ * Convert a one-character-per-byte string back to bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function latin1ToBytes(text) {
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+        bytes[i] = text.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Inflate zlib-wrapped Flate data and return it as a one-character-per-byte string
+ * @param {Uint8Array} input
+ * @returns {Promise<string>}
+ */
+async function inflate(input) {
+    const stream = new Blob([input]).stream().pipeThrough(new DecompressionStream('deflate'));
+    const buffer = await new Response(stream).arrayBuffer();
+    return bytesToLatin1(new Uint8Array(buffer));
+}
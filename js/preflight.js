@@ -0,0 +1,650 @@
+/**
+ * Preflight Module
+ * Checks uploaded artwork against the print specs before it goes to press
+ */
+
+import { getImages, getAutofitEnabled } from './imageHandler.js';
+import { getCurrentSize, formatFractionalMeasurement } from './sizeParser.js';
+import { calculatePanels, getPanelImageRect } from './foldCalculator.js';
+import { getBleedMargin, getSafeMargin } from './guides.js';
+
+// Longest side (px) images are scaled to for analysis
+const ANALYSIS_MAX_SIZE = 1024;
+
+// Pixels lighter than this on every channel, or more transparent, count as bare paper
+const BLANK_LEVEL = 245;
+const BLANK_ALPHA = 16;
+
+// Share of an edge that has to be affected before it is flagged
+const EDGE_THRESHOLD = 0.02;
+
+// Size differences below this (inches) count as a match
+const SIZE_TOLERANCE = 1 / 64;
+
+// Luminance step between neighbouring pixels that counts as a hard edge (type, line art)
+const CONTRAST_LEVEL = 80;
+
+// Share of a band's pixels that must be hard edges, and the fewest edge pixels, to flag it
+const EDGE_DENSITY = 0.004;
+const MIN_EDGE_PIXELS = 12;
+
+// Default distance (inches) kept clear on each side of a fold
+const DEFAULT_FOLD_GUTTER = 0.125;
+
+// Longest side (px) of the thumbnails shown with each hit
+const THUMBNAIL_SIZE = 96;
+
+// Default lowest effective resolution (pixels per inch) accepted for print
+const DEFAULT_MINIMUM_PPI = 300;
+
+const SIDES = ['front', 'back'];
+const EDGES = ['top', 'right', 'bottom', 'left'];
+
+// Decoded pixels per uploaded image (entries are replaced when an upload changes)
+const pixelCache = new WeakMap();
+
+// Hard-edge masks per decoded image
+const edgeCache = new WeakMap();
+
+// Issues found by the last run
+let currentIssues = [];
+let runCount = 0;
+
+// Clear distance either side of each fold, in inches
+let foldGutter = DEFAULT_FOLD_GUTTER;
+
+// Effective resolution below which uploads are flagged
+let minimumPpi = DEFAULT_MINIMUM_PPI;
+
+// Reflect state of the last run, reused when the gutter changes
+let currentReflect = { reflectFrontH: false, reflectBackH: true, reflectFrontV: false, reflectBackV: false };
+
+// Callback when a run finishes
+let onPreflightCallback = null;
+
+/**
+ * Initialize the preflight checks
+ * @param {Function} onPreflight - Callback with the issue list after every run
+ */
+export function initPreflight(onPreflight) {
+    onPreflightCallback = onPreflight;
+
+    const gutterSlider = document.getElementById('fold-gutter');
+    const gutterValueSpan = document.getElementById('fold-gutter-value');
+
+    if (gutterSlider) {
+        gutterSlider.addEventListener('input', (e) => {
+            foldGutter = parseFloat(e.target.value);
+            if (gutterValueSpan) gutterValueSpan.textContent = foldGutter.toFixed(3);
+            runPreflight();
+        });
+        gutterSlider.addEventListener('dblclick', () => {
+            foldGutter = DEFAULT_FOLD_GUTTER;
+            gutterSlider.value = foldGutter;
+            if (gutterValueSpan) gutterValueSpan.textContent = foldGutter.toFixed(3);
+            runPreflight();
+        });
+    }
+
+    const ppiInput = document.getElementById('minimum-ppi');
+    if (ppiInput) {
+        ppiInput.addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            if (!(value > 0)) {
+                alert('Please enter a resolution in pixels per inch. Example: 300');
+                e.target.value = minimumPpi;
+                return;
+            }
+            minimumPpi = value;
+            runPreflight();
+        });
+    }
+}
+
+/**
+ * Check the current uploads against the current paper size, folds and margins
+ * Runs that are overtaken by a newer run are dropped.
+ * @param {Object} [reflect] - { reflectFrontH, reflectBackH, reflectFrontV, reflectBackV }, defaults to the last run's
+ * @returns {Promise<Array<Object>>} Issues: { check, side, edge, panel, rect, thumbnail, message }
+ */
+export async function runPreflight(reflect = currentReflect) {
+    const run = ++runCount;
+    const images = getImages();
+    const autofit = getAutofitEnabled();
+    const size = getCurrentSize();
+    const bleed = getBleedMargin();
+    const safe = getSafeMargin();
+    const issues = [];
+    currentReflect = reflect;
+
+    for (const side of SIDES) {
+        const image = images[side];
+        if (!image) continue;
+
+        try {
+            const pixels = await getPixels(image);
+            issues.push(...checkBleed(side, image, pixels, size, bleed));
+            issues.push(...checkResolution(side, image, size, autofit));
+
+            const isFront = side === 'front';
+            const flip = {
+                h: isFront ? reflect.reflectFrontH : reflect.reflectBackH,
+                v: isFront ? reflect.reflectFrontV : reflect.reflectBackV
+            };
+            // Panels with their own image don't show this part of the sheet
+            issues.push(...checkIntrusions(side, image, pixels, size, flip, safe)
+                .filter(issue => !images.panels[side][issue.panel]));
+        } catch (error) {
+            console.error(`Preflight failed for ${side} image:`, error);
+        }
+    }
+
+    // Panel images are stretched over their panel
+    const panelConfig = calculatePanels(size);
+    for (const side of SIDES) {
+        Object.entries(images.panels[side]).forEach(([key, image]) => {
+            const index = Number(key);
+            const panel = panelConfig.panels[index];
+            if (!panel) return;
+            const rect = getPanelImageRect(panel, panelConfig, size, { h: false, v: false });
+            issues.push(...checkResolution(side, image, { width: rect.width, height: rect.height }, true, index));
+        });
+    }
+
+    if (run !== runCount) return currentIssues;
+
+    currentIssues = issues;
+    updatePreflightList(images, issues);
+    if (onPreflightCallback) {
+        onPreflightCallback(issues);
+    }
+    return issues;
+}
+
+/**
+ * Get the issues found by the last run
+ * @returns {Array<Object>}
+ */
+export function getPreflightIssues() {
+    return currentIssues;
+}
+
+/**
+ * Get the lowest effective resolution accepted for print
+ * @returns {number} Pixels per inch
+ */
+export function getMinimumPpi() {
+    return minimumPpi;
+}
+
+/**
+ * Get the clear distance kept either side of each fold
+ * @returns {number} Inches
+ */
+export function getFoldGutter() {
+    return foldGutter;
+}
+
+/**
+ * Get the preflight settings a project saves
+ * @returns {{ foldGutter: number, minimumPpi: number }}
+ */
+export function getPreflightState() {
+    return { foldGutter, minimumPpi };
+}
+
+/**
+ * Restore preflight settings saved by getPreflightState
+ * The checks run again with the next runPreflight.
+ * @param {{ foldGutter: number, minimumPpi: number }} state
+ */
+export function setPreflightState(state) {
+    if (state.foldGutter >= 0) foldGutter = state.foldGutter;
+    if (state.minimumPpi > 0) minimumPpi = state.minimumPpi;
+
+    const gutterSlider = document.getElementById('fold-gutter');
+    const gutterValueSpan = document.getElementById('fold-gutter-value');
+    const ppiInput = document.getElementById('minimum-ppi');
+    if (gutterSlider) gutterSlider.value = foldGutter;
+    if (gutterValueSpan) gutterValueSpan.textContent = foldGutter.toFixed(3);
+    if (ppiInput) ppiInput.value = minimumPpi;
+}
+
+/**
+ * Decode an upload into pixels small enough to scan quickly
+ * @param {Object} image - Entry from getImages()
+ * @returns {Promise<ImageData>}
+ */
+async function getPixels(image) {
+    if (pixelCache.has(image)) return pixelCache.get(image);
+
+    const img = new Image();
+    img.src = image.dataUrl;
+    await img.decode();
+
+    const scale = Math.min(1, ANALYSIS_MAX_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+    const pixels = context.getImageData(0, 0, canvas.width, canvas.height);
+    pixelCache.set(image, pixels);
+    return pixels;
+}
+
+/**
+ * Check each edge of an upload for artwork that does not reach the bleed
+ * Whatever the file has beyond the trim (see getTrimOffset) is its bleed.
+ * Edges that are bare paper at the trim need no bleed and are not flagged.
+ * @param {string} side - 'front' or 'back'
+ * @param {Object} image - Entry from getImages()
+ * @param {ImageData} pixels - From getPixels
+ * @param {Object} size - Trim size { width, height } in inches
+ * @param {number} bleed - Required bleed in inches
+ * @returns {Array<Object>} Bleed issues, at most one per edge
+ */
+function checkBleed(side, image, pixels, size, bleed) {
+    const issues = [];
+    const offset = getTrimOffset(image, size);
+    const available = {
+        top: offset.y,
+        right: image.widthInches - size.width - offset.x,
+        bottom: image.heightInches - size.height - offset.y,
+        left: offset.x
+    };
+    const pixelsPerInch = {
+        horizontal: pixels.width / image.widthInches,
+        vertical: pixels.height / image.heightInches
+    };
+
+    EDGES.forEach(edge => {
+        const axis = edge === 'left' || edge === 'right' ? 'horizontal' : 'vertical';
+        const extra = available[edge];
+        const trimDepth = Math.max(0, extra) * pixelsPerInch[axis];
+        const bleedDepth = Math.max(0, extra - bleed) * pixelsPerInch[axis];
+
+        // Artwork just inside the trim line, and at the outside of the required bleed
+        const atTrim = sampleEdge(pixels, edge, trimDepth + 1);
+        if (inkedShare(atTrim) < EDGE_THRESHOLD) return;
+
+        let message = null;
+        if (extra < -SIZE_TOLERANCE) {
+            message = `artwork is ${formatFractionalMeasurement(-extra)} short of the trim`;
+        } else if (extra < SIZE_TOLERANCE) {
+            message = 'no bleed, artwork runs to the trim';
+        } else if (extra < bleed - SIZE_TOLERANCE) {
+            message = `only ${formatFractionalMeasurement(extra)} of bleed, ${formatFractionalMeasurement(bleed)} needed`;
+        } else {
+            const atBleed = sampleEdge(pixels, edge, bleedDepth);
+            const stops = atTrim.filter((inked, i) => inked && !atBleed[i]).length / atTrim.length;
+            if (stops >= EDGE_THRESHOLD) {
+                message = 'artwork stops at the trim, bleed is blank';
+            }
+        }
+
+        if (message) {
+            issues.push({
+                check: 'bleed',
+                side: side,
+                edge: edge,
+                message: `${capitalize(side)}, ${edge} edge: ${message}`
+            });
+        }
+    });
+
+    return issues;
+}
+
+/**
+ * Get where the trim starts in an upload (inches from its top-left corner)
+ * PDFs with a TrimBox say where it is; anything else is assumed centered on
+ * the sheet, so its extra size is split evenly between opposite edges.
+ * @param {Object} image - Entry from getImages()
+ * @param {Object} size - Trim size { width, height } in inches
+ * @returns {{ x: number, y: number }}
+ */
+function getTrimOffset(image, size) {
+    if (image.trim) {
+        return { x: image.trim.x * image.widthInches, y: image.trim.y * image.heightInches };
+    }
+    return {
+        x: (image.widthInches - size.width) / 2,
+        y: (image.heightInches - size.height) / 2
+    };
+}
+
+/**
+ * Check the effective resolution of an upload
+ * PDF and SVG uploads are vector artwork and are skipped (the PDF preview
+ * render is capped well below print resolution). A sheet upload covers
+ * every panel of its side, so panels share the result; a panel image only
+ * covers its own panel.
+ * @param {string} side - 'front' or 'back'
+ * @param {Object} image - Entry from getImages()
+ * @param {Object} size - Size the image fills { width, height } in inches: the trim, or one panel
+ * @param {boolean} scaled - The image is stretched to fill size (autofit, panel images)
+ * @param {number} [panel] - Index of the panel, for panel images
+ * @returns {Array<Object>} At most one resolution issue
+ */
+function checkResolution(side, image, size, scaled, panel) {
+    if (image.isPdf || image.file?.type === 'image/svg+xml') return [];
+
+    const ppi = getEffectivePpi(image, size, scaled);
+    if (ppi >= minimumPpi) return [];
+
+    const where = panel === undefined
+        ? `${capitalize(side)}: ${Math.floor(ppi)} PPI on every panel`
+        : `${capitalize(side)}, panel ${panel + 1} image: ${Math.floor(ppi)} PPI`;
+    return [{
+        check: 'resolution',
+        side: side,
+        panel: panel,
+        ppi: ppi,
+        message: `${where}, ${formatPpi(minimumPpi)} needed`
+    }];
+}
+
+/**
+ * Work out how many source pixels land on each printed inch
+ * An image stretched to fill the trim prints at its pixels over the trim
+ * size, whatever resolution the file states. Otherwise a file that states
+ * its resolution and covers the trim at that size prints at 100%, so its own
+ * resolution is what reaches the paper; anything else is scaled to fill the trim.
+ * @param {Object} image - Entry from getImages(): { width, height } in pixels, and dpi { x, y } if the file states it
+ * @param {Object} size - Trim size { width, height } in inches
+ * @param {boolean} [scaled] - The image is stretched to fill the trim (autofit)
+ * @returns {number} The lower of the horizontal and vertical resolution
+ */
+export function getEffectivePpi(image, size, scaled = false) {
+    const dpi = image.dpi;
+    if (dpi && !scaled) {
+        const printedWidth = image.width / dpi.x;
+        const printedHeight = image.height / dpi.y;
+        if (printedWidth >= size.width - SIZE_TOLERANCE && printedHeight >= size.height - SIZE_TOLERANCE) {
+            return Math.min(dpi.x, dpi.y);
+        }
+    }
+    return Math.min(image.width / size.width, image.height / size.height);
+}
+
+/**
+ * Format a resolution for messages
+ * @param {number} ppi
+ * @returns {string}
+ */
+function formatPpi(ppi) {
+    return Number.isInteger(ppi) ? String(ppi) : ppi.toFixed(1);
+}
+
+/**
+ * Check each panel for type and other hard-edged content too close to its edges
+ * Panel edges on the trim are checked against the safe margin, edges on a
+ * fold against the fold gutter. Panels come from calculatePanels, laid out
+ * on the sheet as the front image sees it, and are flipped into each
+ * image's own layout when that image is reflected.
+ * @param {string} side - 'front' or 'back'
+ * @param {Object} image - Entry from getImages()
+ * @param {ImageData} pixels - From getPixels
+ * @param {Object} size - Trim size { width, height, stock } in inches
+ * @param {{ h: boolean, v: boolean }} flip - Whether the image is reflected
+ * @param {number} safe - Safe margin in inches
+ * @returns {Array<Object>} Intrusion issues, at most one per panel edge
+ */
+function checkIntrusions(side, image, pixels, size, flip, safe) {
+    const issues = [];
+    const panelConfig = calculatePanels(size);
+    const edges = getEdgeMask(pixels);
+    const offset = getTrimOffset(image, size);
+    const toPixels = {
+        scaleX: pixels.width / image.widthInches,
+        scaleY: pixels.height / image.heightInches,
+        offsetX: offset.x,
+        offsetY: offset.y
+    };
+
+    panelConfig.panels.forEach((panel, index) => {
+        const rect = getPanelImageRect(panel, panelConfig, size, flip);
+
+        EDGES.forEach(edge => {
+            const onTrim = isTrimEdge(rect, edge, size);
+            const depth = onTrim ? safe : foldGutter;
+            if (depth <= 0) return;
+
+            const band = getInsideBand(rect, edge, depth);
+            const hit = findEdgeContent(edges, pixels, band, toPixels);
+            if (!hit) return;
+
+            const message = onTrim
+                ? `high-contrast content inside the safe zone along the ${edge} edge`
+                : `high-contrast content within ${formatFractionalMeasurement(foldGutter)} of the fold along the ${edge} edge`;
+            issues.push({
+                check: onTrim ? 'safe' : 'gutter',
+                side: side,
+                edge: edge,
+                panel: index,
+                rect: hit.rect,
+                thumbnail: createThumbnail(pixels, hit.bounds),
+                message: `${capitalize(side)}, panel ${index + 1}: ${message}`
+            });
+        });
+    });
+
+    return issues;
+}
+
+/**
+ * Whether an edge of a panel lies on the trim rather than on a fold
+ * @param {Object} rect - Panel area from getPanelImageRect
+ * @param {string} edge - 'top', 'right', 'bottom' or 'left'
+ * @param {Object} size - Trim size { width, height }
+ * @returns {boolean}
+ */
+function isTrimEdge(rect, edge, size) {
+    switch (edge) {
+        case 'top': return rect.y < SIZE_TOLERANCE;
+        case 'bottom': return rect.y + rect.height > size.height - SIZE_TOLERANCE;
+        case 'left': return rect.x < SIZE_TOLERANCE;
+        default: return rect.x + rect.width > size.width - SIZE_TOLERANCE;
+    }
+}
+
+/**
+ * Get the band just inside one edge of a panel
+ * @param {Object} rect - Panel area from getPanelImageRect
+ * @param {string} edge - 'top', 'right', 'bottom' or 'left'
+ * @param {number} depth - Band depth in inches
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+function getInsideBand(rect, edge, depth) {
+    const width = Math.min(depth, rect.width);
+    const height = Math.min(depth, rect.height);
+    switch (edge) {
+        case 'top': return { x: rect.x, y: rect.y, width: rect.width, height: height };
+        case 'bottom': return { x: rect.x, y: rect.y + rect.height - height, width: rect.width, height: height };
+        case 'left': return { x: rect.x, y: rect.y, width: width, height: rect.height };
+        default: return { x: rect.x + rect.width - width, y: rect.y, width: width, height: rect.height };
+    }
+}
+
+/**
+ * Look for hard edges inside a band of an image
+ * @param {Uint8Array} edges - From getEdgeMask
+ * @param {ImageData} pixels - From getPixels
+ * @param {Object} band - Area in trim inches
+ * @param {Object} toPixels - { scaleX, scaleY, offsetX, offsetY } trim inches to pixels
+ * @returns {{ rect: Object, bounds: Object }|null} Area around the edges in trim inches and in pixels
+ */
+function findEdgeContent(edges, pixels, band, toPixels) {
+    const left = Math.max(0, Math.floor((band.x + toPixels.offsetX) * toPixels.scaleX));
+    const top = Math.max(0, Math.floor((band.y + toPixels.offsetY) * toPixels.scaleY));
+    const right = Math.min(pixels.width, Math.ceil((band.x + band.width + toPixels.offsetX) * toPixels.scaleX));
+    const bottom = Math.min(pixels.height, Math.ceil((band.y + band.height + toPixels.offsetY) * toPixels.scaleY));
+    if (right <= left || bottom <= top) return null;
+
+    let count = 0;
+    const bounds = { left: right, top: bottom, right: left, bottom: top };
+    for (let y = top; y < bottom; y++) {
+        for (let x = left; x < right; x++) {
+            if (!edges[y * pixels.width + x]) continue;
+            count++;
+            bounds.left = Math.min(bounds.left, x);
+            bounds.top = Math.min(bounds.top, y);
+            bounds.right = Math.max(bounds.right, x + 1);
+            bounds.bottom = Math.max(bounds.bottom, y + 1);
+        }
+    }
+
+    const area = (right - left) * (bottom - top);
+    if (count < MIN_EDGE_PIXELS || count / area < EDGE_DENSITY) return null;
+
+    return {
+        rect: {
+            x: bounds.left / toPixels.scaleX - toPixels.offsetX,
+            y: bounds.top / toPixels.scaleY - toPixels.offsetY,
+            width: (bounds.right - bounds.left) / toPixels.scaleX,
+            height: (bounds.bottom - bounds.top) / toPixels.scaleY
+        },
+        bounds: bounds
+    };
+}
+
+/**
+ * Mark the pixels that sit on a hard edge
+ * Transparent pixels are treated as bare white paper.
+ * @param {ImageData} pixels - From getPixels
+ * @returns {Uint8Array} 1 per edge pixel, row by row
+ */
+function getEdgeMask(pixels) {
+    if (edgeCache.has(pixels)) return edgeCache.get(pixels);
+
+    const { width, height, data } = pixels;
+    const luminance = new Float32Array(width * height);
+    for (let i = 0; i < luminance.length; i++) {
+        const alpha = data[i * 4 + 3] / 255;
+        const value = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+        luminance[i] = 255 - alpha * (255 - value);
+    }
+
+    const edges = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const stepX = x + 1 < width ? Math.abs(luminance[i + 1] - luminance[i]) : 0;
+            const stepY = y + 1 < height ? Math.abs(luminance[i + width] - luminance[i]) : 0;
+            if (Math.max(stepX, stepY) >= CONTRAST_LEVEL) edges[i] = 1;
+        }
+    }
+
+    edgeCache.set(pixels, edges);
+    return edges;
+}
+
+/**
+ * Crop a small preview around a hit
+ * @param {ImageData} pixels - From getPixels
+ * @param {Object} bounds - { left, top, right, bottom } in pixels
+ * @returns {string} PNG data URL
+ */
+function createThumbnail(pixels, bounds) {
+    // Pad the crop so the content can be seen in context
+    const pad = Math.max(8, Math.round(Math.max(bounds.right - bounds.left, bounds.bottom - bounds.top) * 0.1));
+    const left = Math.max(0, bounds.left - pad);
+    const top = Math.max(0, bounds.top - pad);
+    const width = Math.min(pixels.width, bounds.right + pad) - left;
+    const height = Math.min(pixels.height, bounds.bottom + pad) - top;
+
+    const crop = document.createElement('canvas');
+    crop.width = width;
+    crop.height = height;
+    crop.getContext('2d').putImageData(pixels, -left, -top, left, top, width, height);
+
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    canvas.getContext('2d').drawImage(crop, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL('image/png');
+}
+
+/**
+ * Sample a line of pixels parallel to an edge
+ * @param {ImageData} pixels
+ * @param {string} edge - 'top', 'right', 'bottom' or 'left'
+ * @param {number} depth - Distance in from the edge (px)
+ * @returns {Array<boolean>} Whether each pixel along the line is inked
+ */
+function sampleEdge(pixels, edge, depth) {
+    const { width, height, data } = pixels;
+    const isVertical = edge === 'left' || edge === 'right';
+    const length = isVertical ? height : width;
+    const span = isVertical ? width : height;
+    const offset = Math.min(span - 1, Math.max(0, Math.floor(depth)));
+    const line = edge === 'top' || edge === 'left' ? offset : span - 1 - offset;
+
+    const samples = [];
+    for (let i = 0; i < length; i++) {
+        const index = (isVertical ? i * width + line : line * width + i) * 4;
+        const isBlank = data[index + 3] < BLANK_ALPHA ||
+            (data[index] > BLANK_LEVEL && data[index + 1] > BLANK_LEVEL && data[index + 2] > BLANK_LEVEL);
+        samples.push(!isBlank);
+    }
+    return samples;
+}
+
+/**
+ * Share of samples that are inked
+ * @param {Array<boolean>} samples
+ * @returns {number} 0 to 1
+ */
+function inkedShare(samples) {
+    return samples.filter(Boolean).length / samples.length;
+}
+
+/**
+ * Show the issues in the sidebar
+ * @param {Object} images - From getImages()
+ * @param {Array<Object>} issues
+ */
+function updatePreflightList(images, issues) {
+    const summary = document.getElementById('preflight-summary');
+    const list = document.getElementById('preflight-list');
+    if (!summary || !list) return;
+
+    const hasPanelImages = Object.keys(images.panels.front).length + Object.keys(images.panels.back).length > 0;
+    if (!images.front && !images.back && !hasPanelImages) {
+        summary.textContent = 'Upload images to run preflight checks';
+    } else if (issues.length === 0) {
+        summary.textContent = 'No issues found';
+    } else {
+        summary.textContent = `${issues.length} issue${issues.length === 1 ? '' : 's'} found`;
+    }
+    summary.classList.toggle('has-issues', issues.length > 0);
+
+    list.innerHTML = '';
+    issues.forEach(issue => {
+        const item = document.createElement('li');
+        item.className = 'preflight-item';
+        if (issue.thumbnail) {
+            const thumbnail = document.createElement('img');
+            thumbnail.className = 'preflight-thumbnail';
+            thumbnail.src = issue.thumbnail;
+            thumbnail.alt = '';
+            item.appendChild(thumbnail);
+        }
+        const text = document.createElement('span');
+        text.textContent = issue.message;
+        item.appendChild(text);
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Capitalize the first letter of a word
+ * @param {string} word
+ * @returns {string}
+ */
+function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+}
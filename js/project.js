@@ -0,0 +1,275 @@
+/**
+ * Project Module
+ * Saves and opens .foldproof project files: a zip holding project.json (every
+ * setting, the camera view and the image metadata) plus the uploaded files and
+ * the images rendered from them
+ */
+
+const PROJECT_FORMAT = 'foldproof';
+const PROJECT_VERSION = 1;
+const PROJECT_EXTENSION = '.foldproof';
+
+// Image data fields that are stored as files rather than in project.json
+const BLOB_FIELDS = ['dataUrl', 'file', 'pdfDoc'];
+
+let getProjectStateCallback = null;
+let onProjectOpenCallback = null;
+
+/**
+ * Initialize the Save and Open project buttons
+ * @param {Function} getProjectState - Returns the current state: { images, ...settings }, images as getImageState() gives them
+ * @param {Function} onProjectOpen - Called with a state in the same shape when a project is opened; may return a Promise
+ */
+export function initProject(getProjectState, onProjectOpen) {
+    getProjectStateCallback = getProjectState;
+    onProjectOpenCallback = onProjectOpen;
+
+    const saveBtn = document.getElementById('project-save');
+    const openBtn = document.getElementById('project-open');
+    const input = document.getElementById('project-input');
+
+    if (saveBtn) {
+        saveBtn.addEventListener('click', saveProject);
+    }
+
+    if (openBtn && input) {
+        openBtn.addEventListener('click', () => input.click());
+        input.addEventListener('change', (e) => {
+            if (e.target.files && e.target.files[0]) {
+                openProject(e.target.files[0]);
+            }
+            input.value = '';
+        });
+    }
+}
+
+/**
+ * Save the current state as a .foldproof file
+ */
+async function saveProject() {
+    const saveBtn = document.getElementById('project-save');
+    if (saveBtn) saveBtn.disabled = true;
+
+    try {
+        const state = getProjectStateCallback();
+        const blob = await writeProjectFile(state);
+        const images = state.images;
+        const timestamp = new Date().toISOString().slice(0, 19).replace(/[-:T]/g, '');
+        const name = (images.front || images.back)?.file?.name?.replace(/\.[^.]+$/, '') || `foldproof-project-${timestamp}`;
+        downloadBlob(blob, `${name}${PROJECT_EXTENSION}`);
+    } catch (error) {
+        console.error('Error saving project:', error);
+        alert(`Error saving project: ${error.message}`);
+    } finally {
+        if (saveBtn) saveBtn.disabled = false;
+    }
+}
+
+/**
+ * Open a .foldproof file and restore its state
+ * @param {File} file
+ */
+async function openProject(file) {
+    try {
+        const state = await readProjectFile(file);
+        await onProjectOpenCallback(state);
+    } catch (error) {
+        console.error('Error opening project:', error);
+        alert(`Error opening project: ${error.message}`);
+    }
+}
+
+/**
+ * Pack a state into a .foldproof zip
+ * Each uploaded file is stored once, even when several slots use it (e.g. both
+ * sides of a 2-page PDF), and each slot's rendered image is stored next to it.
+ * @param {Object} state - { images, ...settings }
+ * @returns {Promise<Blob>}
+ */
+export async function writeProjectFile(state) {
+    const { zipSync, strToU8 } = await import('fflate');
+    const entries = {};
+    const files = [];
+    const fileIndex = new Map();
+
+    const addFile = (file) => {
+        if (!fileIndex.has(file)) {
+            const path = `files/${files.length}-${sanitizeName(file.name)}`;
+            fileIndex.set(file, files.length);
+            files.push({ path, name: file.name, type: file.type, lastModified: file.lastModified, data: file });
+        }
+        return fileIndex.get(file);
+    };
+
+    const packImage = async (image, key) => {
+        if (!image) return null;
+        const meta = {};
+        Object.entries(image).forEach(([field, value]) => {
+            if (!BLOB_FIELDS.includes(field)) meta[field] = value;
+        });
+
+        const { bytes, type } = await dataUrlToBytes(image.dataUrl);
+        meta.image = { path: `images/${key}${getExtension(type)}`, type };
+        entries[meta.image.path] = [bytes, { level: 0 }];
+        if (image.file) meta.file = addFile(image.file);
+        return meta;
+    };
+
+    const { images, ...settings } = state;
+    const packedImages = {
+        front: await packImage(images.front, 'front'),
+        back: await packImage(images.back, 'back'),
+        panels: { front: {}, back: {} },
+        dpiOverrides: images.dpiOverrides,
+        autofit: images.autofit
+    };
+    for (const side of ['front', 'back']) {
+        for (const [index, image] of Object.entries(images.panels[side])) {
+            packedImages.panels[side][index] = await packImage(image, `panel-${side}-${index}`);
+        }
+    }
+
+    for (const file of files) {
+        entries[file.path] = [new Uint8Array(await file.data.arrayBuffer()), { level: 0 }];
+    }
+
+    const project = {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        ...settings,
+        images: packedImages,
+        files: files.map(({ path, name, type, lastModified }) => ({ path, name, type, lastModified }))
+    };
+    entries['project.json'] = strToU8(JSON.stringify(project, null, 2));
+
+    return new Blob([zipSync(entries)], { type: 'application/zip' });
+}
+
+/**
+ * Unpack a .foldproof zip into a state
+ * @param {Blob} blob
+ * @returns {Promise<Object>} { images, ...settings } with images rebuilt as getImageState() gives them
+ */
+export async function readProjectFile(blob) {
+    const { unzipSync, strFromU8 } = await import('fflate');
+    let entries;
+    try {
+        entries = unzipSync(new Uint8Array(await blob.arrayBuffer()));
+    } catch (error) {
+        throw new Error('Not a Foldproof project file');
+    }
+    if (!entries['project.json']) {
+        throw new Error('Not a Foldproof project file');
+    }
+
+    const { format, version, files: fileList, images, ...settings } = JSON.parse(strFromU8(entries['project.json']));
+    if (format !== PROJECT_FORMAT || !Number.isInteger(version) || version < 1) {
+        throw new Error('Not a Foldproof project file');
+    }
+    if (version > PROJECT_VERSION) {
+        throw new Error('This project was saved by a newer version of Foldproof');
+    }
+
+    const readEntry = (path) => {
+        if (!entries[path]) throw new Error(`Project file is missing ${path}`);
+        return entries[path];
+    };
+
+    // Slots that shared a file share it again, so a PDF is only opened once
+    const files = (fileList || []).map(info =>
+        new File([readEntry(info.path)], info.name, { type: info.type, lastModified: info.lastModified })
+    );
+
+    const unpackImage = async (meta) => {
+        if (!meta) return null;
+        const { image, file, ...fields } = meta;
+        return {
+            ...fields,
+            dataUrl: await bytesToDataUrl(readEntry(image.path), image.type),
+            file: files[file] || null
+        };
+    };
+
+    const state = {
+        ...settings,
+        images: {
+            front: await unpackImage(images.front),
+            back: await unpackImage(images.back),
+            panels: { front: {}, back: {} },
+            dpiOverrides: images.dpiOverrides || { front: null, back: null },
+            autofit: !!images.autofit
+        }
+    };
+    for (const side of ['front', 'back']) {
+        for (const [index, meta] of Object.entries(images.panels?.[side] || {})) {
+            state.images.panels[side][index] = await unpackImage(meta);
+        }
+    }
+    return state;
+}
+
+/**
+ * Decode a data URL to bytes
+ * @param {string} dataUrl
+ * @returns {Promise<{ bytes: Uint8Array, type: string }>}
+ */
+async function dataUrlToBytes(dataUrl) {
+    const response = await fetch(dataUrl);
+    const blob = await response.blob();
+    return { bytes: new Uint8Array(await blob.arrayBuffer()), type: blob.type };
+}
+
+/**
+ * Encode bytes as a data URL
+ * @param {Uint8Array} bytes
+ * @param {string} type - MIME type
+ * @returns {Promise<string>}
+ */
+function bytesToDataUrl(bytes, type) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(new Error('Error reading project image'));
+        reader.readAsDataURL(new Blob([bytes], { type }));
+    });
+}
+
+/**
+ * File extension for an image MIME type
+ * @param {string} type
+ * @returns {string}
+ */
+function getExtension(type) {
+    const extensions = {
+        'image/png': '.png',
+        'image/jpeg': '.jpg',
+        'image/webp': '.webp',
+        'image/gif': '.gif',
+        'image/bmp': '.bmp',
+        'image/svg+xml': '.svg'
+    };
+    return extensions[type] || '.bin';
+}
+
+/**
+ * Make a file name safe to use as a zip entry
+ * @param {string} name
+ * @returns {string}
+ */
+function sanitizeName(name) {
+    return (name || 'file').replace(/[^\w.-]+/g, '_');
+}
+
+/**
+ * Trigger a download of a blob
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,260 @@
+/**
+ * Proof Table Module
+ * Builds the RGB to press lookup table for the soft proof: every grid color
+ * is separated into the CMYK that prints closest to it on the bundled profile.
+ * Runs in a worker (proofTable.worker.js) so the solve never blocks the page.
+ */
+
+// Bundled default press profile: a coated-stock approximation in the spirit of
+// FOGRA39/GRACoL, as the sRGB color of each solid ink and overprint on white
+// paper. Colors between the solids follow the Yule-Nielsen modified
+// Neugebauer model, which is close enough for an on-screen proof.
+const DEFAULT_PROFILE = {
+    name: 'Coated CMYK (FOGRA39/GRACoL approximation)',
+    paper: [255, 255, 255],
+    cyan: [0, 158, 224],
+    magenta: [230, 0, 126],
+    yellow: [255, 237, 0],
+    red: [227, 35, 34],         // magenta + yellow
+    green: [0, 150, 80],        // cyan + yellow
+    blue: [46, 49, 146],        // cyan + magenta
+    threeColor: [55, 52, 52],   // cyan + magenta + yellow
+    black: [38, 38, 38],
+    yuleNielsen: 2,
+    totalInk: 3.0               // 300% total area coverage
+};
+
+// Grid points per axis of the RGB to proof lookup table
+export const LUT_SIZE = 17;
+
+// Iterations of the ink solver per lookup table entry
+const SOLVER_ITERATIONS = 30;
+
+/**
+ * Build the RGB to proof lookup table
+ * Each grid color is separated into the CMYK that prints closest to it;
+ * the printed color is the proof and the remaining error decides the gamut.
+ * @returns {Float32Array} LUT_SIZE³ entries of r, g, b, delta E
+ */
+export function buildProofTable() {
+    const model = createPrintModel(DEFAULT_PROFILE);
+    const table = new Float32Array(LUT_SIZE * LUT_SIZE * LUT_SIZE * 4);
+    const step = 255 / (LUT_SIZE - 1);
+    const printed = new Float64Array(3);
+
+    for (let ri = 0; ri < LUT_SIZE; ri++) {
+        for (let gi = 0; gi < LUT_SIZE; gi++) {
+            for (let bi = 0; bi < LUT_SIZE; bi++) {
+                const rgb = [ri * step, gi * step, bi * step];
+                const target = rgbToLab(rgb.map(srgbToLinear));
+                const inks = separate(model, target, rgb);
+
+                model.print(inks, printed);
+                const lab = rgbToLab(printed);
+                const index = ((ri * LUT_SIZE + gi) * LUT_SIZE + bi) * 4;
+                table[index] = linearToSrgb(printed[0]);
+                table[index + 1] = linearToSrgb(printed[1]);
+                table[index + 2] = linearToSrgb(printed[2]);
+                table[index + 3] = Math.hypot(lab[0] - target[0], lab[1] - target[1], lab[2] - target[2]);
+            }
+        }
+    }
+
+    return table;
+}
+
+/**
+ * Set up the Yule-Nielsen modified Neugebauer model for a profile
+ * @param {Object} profile - Solid ink colors, see DEFAULT_PROFILE
+ * @returns {{ print: Function, totalInk: number }}
+ */
+function createPrintModel(profile) {
+    const n = profile.yuleNielsen;
+    const toModel = color => color.map(v => Math.pow(srgbToLinear(v), 1 / n));
+
+    // Primaries indexed by which of cyan (1), magenta (2), yellow (4) are printed
+    const primaries = [
+        profile.paper, profile.cyan, profile.magenta, profile.blue,
+        profile.yellow, profile.green, profile.red, profile.threeColor
+    ].map(toModel);
+    const paper = toModel(profile.paper);
+    const black = toModel(profile.black);
+
+    /**
+     * Printed color of an ink mix
+     * @param {Array<number>} inks - Coverage of c, m, y, k (0 to 1)
+     * @param {Float64Array} out - Receives linear r, g, b
+     */
+    function print(inks, out) {
+        const [c, m, y, k] = inks;
+        for (let ch = 0; ch < 3; ch++) {
+            let value = 0;
+            for (let p = 0; p < 8; p++) {
+                // Demichel weights: share of the area covered by exactly this overprint
+                const weight = (p & 1 ? c : 1 - c) * (p & 2 ? m : 1 - m) * (p & 4 ? y : 1 - y);
+                value += weight * primaries[p][ch];
+            }
+            // Black prints over the top, darkening relative to bare paper
+            value *= (1 - k) + k * black[ch] / paper[ch];
+            out[ch] = Math.pow(value, n);
+        }
+    }
+
+    return { print, totalInk: profile.totalInk };
+}
+
+/**
+ * Find the ink mix that prints closest to a color
+ * Damped least squares on the Lab error, starting from a naive separation
+ * and kept inside the total ink limit.
+ * @param {Object} model - From createPrintModel
+ * @param {Array<number>} target - Lab color to match
+ * @param {Array<number>} rgb - The same color as sRGB 0-255, for the starting point
+ * @returns {Array<number>} c, m, y, k coverage (0 to 1)
+ */
+function separate(model, target, rgb) {
+    const inks = [1 - rgb[0] / 255, 1 - rgb[1] / 255, 1 - rgb[2] / 255, 0];
+    limitInk(inks, model.totalInk);
+
+    const printed = new Float64Array(3);
+    const residual = lab => [lab[0] - target[0], lab[1] - target[1], lab[2] - target[2]];
+    const errorOf = values => {
+        model.print(values, printed);
+        const r = residual(rgbToLab(printed));
+        return { r, error: r[0] * r[0] + r[1] * r[1] + r[2] * r[2] };
+    };
+
+    let current = errorOf(inks);
+    let damping = 0.01;
+    const h = 1e-4;
+
+    for (let iteration = 0; iteration < SOLVER_ITERATIONS && current.error > 0.01; iteration++) {
+        // Numeric Jacobian of the Lab error against each ink
+        const jacobian = [];
+        for (let i = 0; i < 4; i++) {
+            const nudged = inks.slice();
+            nudged[i] += nudged[i] + h > 1 ? -h : h;
+            const sign = nudged[i] > inks[i] ? 1 : -1;
+            const r = errorOf(nudged).r;
+            jacobian.push(r.map((v, j) => (v - current.r[j]) / (h * sign)));
+        }
+
+        // Solve (JᵀJ + λI) δ = -Jᵀr
+        const matrix = [];
+        const vector = [];
+        for (let i = 0; i < 4; i++) {
+            matrix.push([]);
+            for (let j = 0; j < 4; j++) {
+                let sum = 0;
+                for (let e = 0; e < 3; e++) sum += jacobian[i][e] * jacobian[j][e];
+                matrix[i].push(sum + (i === j ? damping * (1 + sum) : 0));
+            }
+            let rhs = 0;
+            for (let e = 0; e < 3; e++) rhs -= jacobian[i][e] * current.r[e];
+            vector.push(rhs);
+        }
+        const delta = solveLinear(matrix, vector);
+        if (!delta) break;
+
+        const candidate = inks.map((v, i) => Math.max(0, Math.min(1, v + delta[i])));
+        limitInk(candidate, model.totalInk);
+        const next = errorOf(candidate);
+
+        if (next.error < current.error) {
+            for (let i = 0; i < 4; i++) inks[i] = candidate[i];
+            current = next;
+            damping = Math.max(1e-6, damping / 3);
+        } else {
+            damping *= 4;
+            if (damping > 1e6) break;
+        }
+    }
+
+    return inks;
+}
+
+/**
+ * Pull cyan, magenta and yellow back so the total coverage fits the ink limit
+ * @param {Array<number>} inks - c, m, y, k, changed in place
+ * @param {number} totalInk - Maximum sum of all four
+ */
+function limitInk(inks, totalInk) {
+    const colorInk = inks[0] + inks[1] + inks[2];
+    const room = totalInk - inks[3];
+    if (colorInk > room && colorInk > 0) {
+        const scale = Math.max(0, room) / colorInk;
+        inks[0] *= scale;
+        inks[1] *= scale;
+        inks[2] *= scale;
+    }
+}
+
+/**
+ * Solve a small linear system by Gaussian elimination
+ * @param {Array<Array<number>>} matrix - Square matrix, changed in place
+ * @param {Array<number>} vector - Right-hand side, changed in place
+ * @returns {Array<number>|null} Solution, or null if singular
+ */
+function solveLinear(matrix, vector) {
+    const size = vector.length;
+    for (let col = 0; col < size; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < size; row++) {
+            if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+        }
+        if (Math.abs(matrix[pivot][col]) < 1e-12) return null;
+        [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+        [vector[col], vector[pivot]] = [vector[pivot], vector[col]];
+
+        for (let row = col + 1; row < size; row++) {
+            const factor = matrix[row][col] / matrix[col][col];
+            for (let k = col; k < size; k++) matrix[row][k] -= factor * matrix[col][k];
+            vector[row] -= factor * vector[col];
+        }
+    }
+
+    const result = new Array(size);
+    for (let row = size - 1; row >= 0; row--) {
+        let sum = vector[row];
+        for (let k = row + 1; k < size; k++) sum -= matrix[row][k] * result[k];
+        result[row] = sum / matrix[row][row];
+    }
+    return result;
+}
+
+/**
+ * sRGB channel (0-255) to linear light (0-1)
+ * @param {number} value
+ * @returns {number}
+ */
+function srgbToLinear(value) {
+    const v = value / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Linear light (0-1) to sRGB channel (0-255)
+ * @param {number} value
+ * @returns {number}
+ */
+function linearToSrgb(value) {
+    const v = Math.max(0, Math.min(1, value));
+    return 255 * (v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055);
+}
+
+/**
+ * Linear sRGB to CIE Lab (D65 white)
+ * @param {ArrayLike<number>} rgb - Linear r, g, b (0-1)
+ * @returns {Array<number>} L, a, b
+ */
+function rgbToLab(rgb) {
+    const [r, g, b] = rgb;
+    const x = (0.4124 * r + 0.3576 * g + 0.1805 * b) / 0.95047;
+    const y = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    const z = (0.0193 * r + 0.1192 * g + 0.9505 * b) / 1.08883;
+    const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+    const fx = f(x);
+    const fy = f(y);
+    const fz = f(z);
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
@@ -0,0 +1,9 @@
+/**
+ * Proof Table Worker
+ * Builds the soft proof lookup table off the main thread and sends it back
+ */
+
+import { buildProofTable } from './proofTable.js';
+
+const table = buildProofTable();
+self.postMessage(table, [table.buffer]);
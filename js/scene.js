@@ -18,6 +18,9 @@ let controls = null;
 let gridHelper = null;
 let animationFrameId = null;
 
+// Camera path playing in the viewport: { frameId, onEnd }
+let cameraPathPlayback = null;
+
 // Scene configuration
 const SCENE_CONFIG = {
     backgroundColor: 0xf0f0f5,
@@ -159,6 +162,15 @@ function addHelpers() {
     scene.add(gridHelper);
 }
 
+/**
+ * Get the scene background color for the current theme
+ * @returns {number} Hex color
+ */
+export function getBackgroundColor() {
+    const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
+    return isDark ? SCENE_CONFIG.backgroundColorDark : SCENE_CONFIG.backgroundColor;
+}
+
 /**
  * Update background color based on theme
  */
@@ -166,8 +178,7 @@ export function updateBackgroundColor() {
     if (!scene) return;
     
     const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
-    const bgColor = isDark ? SCENE_CONFIG.backgroundColorDark : SCENE_CONFIG.backgroundColor;
-    scene.background = new THREE.Color(bgColor);
+    scene.background = new THREE.Color(getBackgroundColor());
 
     if (gridHelper && gridHelper.material.uniforms) {
         gridHelper.material.uniforms.uColor.value.setHex(isDark ? 0x8a8aaa : 0x888888);
@@ -269,6 +280,206 @@ export function resetCamera() {
     controls.update();
 }
 
+/**
+ * Get the camera view and grid setting a project saves
+ * @returns {{ position: Array<number>, target: Array<number>, grid: boolean }}
+ */
+export function getViewState() {
+    return {
+        position: camera.position.toArray(),
+        target: controls.target.toArray(),
+        grid: gridHelper ? gridHelper.visible : true
+    };
+}
+
+/**
+ * Restore a view saved by getViewState
+ * @param {{ position: Array<number>, target: Array<number>, grid: boolean }} state
+ */
+export function setViewState(state) {
+    if (Array.isArray(state.position) && state.position.length === 3) {
+        camera.position.fromArray(state.position);
+    }
+    if (Array.isArray(state.target) && state.target.length === 3) {
+        controls.target.fromArray(state.target);
+    }
+    controls.update();
+    
+    if (gridHelper && typeof state.grid === 'boolean') {
+        gridHelper.visible = state.grid;
+        const gridToggle = document.getElementById('guide-grid');
+        if (gridToggle) gridToggle.checked = state.grid;
+    }
+}
+
+/**
+ * Get the camera pose as seen from the orbit target
+ * Angles rather than a position, so a path between two poses swings around
+ * the target instead of cutting through the model.
+ * @returns {{ target: Array<number>, radius: number, polar: number, azimuth: number }}
+ */
+export function getCameraPose() {
+    const spherical = new THREE.Spherical().setFromVector3(
+        camera.position.clone().sub(controls.target)
+    );
+    return {
+        target: controls.target.toArray(),
+        radius: spherical.radius,
+        polar: spherical.phi,
+        azimuth: spherical.theta
+    };
+}
+
+/**
+ * Move the camera to a pose from getCameraPose or sampleCameraPath
+ * @param {{ target: Array<number>, radius: number, polar: number, azimuth: number }} pose
+ */
+export function setCameraPose(pose) {
+    const spherical = new THREE.Spherical(pose.radius, pose.polar, pose.azimuth).makeSafe();
+    controls.target.fromArray(pose.target);
+    camera.position.setFromSpherical(spherical).add(controls.target);
+    camera.lookAt(controls.target);
+}
+
+/**
+ * Create a camera path through poses, evenly spaced in time
+ * Each turn takes the short way round, so a key captured after orbiting past
+ * the back doesn't spin the camera the long way.
+ * @param {Array<Object>} poses - From getCameraPose; at least two
+ * @param {string} [interpolation='smooth'] - 'smooth' (a curve through the poses) or 'linear'
+ * @returns {{ keys: Array<Object>, interpolation: string }} keys: { time (0 to 1), ...pose }
+ */
+export function createCameraPath(poses, interpolation = 'smooth') {
+    const keys = [];
+    poses.forEach((pose, i) => {
+        let azimuth = pose.azimuth;
+        if (i > 0) {
+            const previous = keys[i - 1].azimuth;
+            azimuth = previous + THREE.MathUtils.euclideanModulo(azimuth - previous + Math.PI, Math.PI * 2) - Math.PI;
+        }
+        keys.push({ ...pose, azimuth, time: poses.length > 1 ? i / (poses.length - 1) : 0 });
+    });
+    return { keys, interpolation };
+}
+
+/**
+ * Create a turntable path: whole turns around the orbit target at a steady speed
+ * The camera holds still outside the start..end window.
+ * @param {Object} [options] - { turns = 1, start = 0, end = 1 (0 to 1), pose = the current pose }
+ * @returns {{ keys: Array<Object>, interpolation: string }}
+ */
+export function createTurntablePath({ turns = 1, start = 0, end = 1, pose = getCameraPose() } = {}) {
+    const turned = { ...pose, azimuth: pose.azimuth + turns * Math.PI * 2 };
+    const keys = [{ ...pose, time: start }, { ...turned, time: end }];
+    if (start > 0) keys.unshift({ ...pose, time: 0 });
+    if (end < 1) keys.push({ ...turned, time: 1 });
+    return { keys, interpolation: 'linear' };
+}
+
+/**
+ * Get the pose along a camera path
+ * @param {{ keys: Array<Object>, interpolation: string }} path
+ * @param {number} t - 0 to 1
+ * @returns {{ target: Array<number>, radius: number, polar: number, azimuth: number }}
+ */
+export function sampleCameraPath(path, t) {
+    const { keys } = path;
+    const time = THREE.MathUtils.clamp(t, 0, 1);
+
+    let i = 0;
+    while (i < keys.length - 2 && time > keys[i + 1].time) i++;
+    const from = keys[i];
+    const to = keys[i + 1] || from;
+    const span = to.time - from.time;
+    const u = span > 0 ? THREE.MathUtils.clamp((time - from.time) / span, 0, 1) : 1;
+
+    // Catmull-Rom through the neighbouring keys; the ends repeat
+    const before = keys[i - 1] || from;
+    const after = keys[i + 2] || to;
+    const blend = path.interpolation === 'smooth'
+        ? (a, b, c, d) => catmullRom(u, a, b, c, d)
+        : (a, b, c) => b + (c - b) * u;
+
+    return {
+        target: from.target.map((_, axis) =>
+            blend(before.target[axis], from.target[axis], to.target[axis], after.target[axis])
+        ),
+        radius: blend(before.radius, from.radius, to.radius, after.radius),
+        polar: blend(before.polar, from.polar, to.polar, after.polar),
+        azimuth: blend(before.azimuth, from.azimuth, to.azimuth, after.azimuth)
+    };
+}
+
+/**
+ * Play a camera path in the viewport
+ * The orbit controls are off while it plays.
+ * @param {Object|null} path - From createCameraPath or createTurntablePath; null keeps the camera still
+ * @param {Object} options - { duration (seconds), onFrame(t), onEnd() }
+ */
+export function playCameraPath(path, { duration, onFrame, onEnd } = {}) {
+    stopCameraPath();
+
+    const start = performance.now();
+    const controlsEnabled = controls.enabled;
+    controls.enabled = false;
+
+    const step = () => {
+        const t = Math.min(1, (performance.now() - start) / (duration * 1000));
+        if (path) setCameraPose(sampleCameraPath(path, t));
+        if (onFrame) onFrame(t);
+        if (!cameraPathPlayback) return;
+
+        if (t < 1) {
+            cameraPathPlayback.frameId = requestAnimationFrame(step);
+        } else {
+            stopCameraPath();
+        }
+    };
+
+    cameraPathPlayback = {
+        frameId: null,
+        onEnd: () => {
+            controls.enabled = controlsEnabled;
+            if (onEnd) onEnd();
+        }
+    };
+    step();
+}
+
+/**
+ * Stop the camera path playing in the viewport, if any
+ */
+export function stopCameraPath() {
+    if (!cameraPathPlayback) return;
+    const { frameId, onEnd } = cameraPathPlayback;
+    cameraPathPlayback = null;
+    cancelAnimationFrame(frameId);
+    onEnd();
+}
+
+/**
+ * Whether a camera path is playing in the viewport
+ * @returns {boolean}
+ */
+export function isCameraPathPlaying() {
+    return cameraPathPlayback !== null;
+}
+
+/**
+ * Catmull-Rom spline between b and c
+ * @param {number} u - 0 to 1
+ * @param {number} a - Value before b
+ * @param {number} b
+ * @param {number} c
+ * @param {number} d - Value after c
+ * @returns {number}
+ */
+function catmullRom(u, a, b, c, d) {
+    const u2 = u * u;
+    const u3 = u2 * u;
+    return 0.5 * (2 * b + (c - a) * u + (2 * a - 5 * b + 4 * c - d) * u2 + (3 * b - a - 3 * c + d) * u3);
+}
+
 /**
  * Add an object to the scene
  * @param {THREE.Object3D} object 
@@ -0,0 +1,154 @@
+/**
+ * Share Link Module
+ * Keeps the layout settings (size, stock, fold, guides, margins and camera) in
+ * the URL hash, so a link opens Foldproof on the same layout without artwork
+ */
+
+import { getControls } from './scene.js';
+
+// Wait after the last change before rewriting the URL (ms)
+const UPDATE_DELAY = 300;
+
+// Decimal places kept for measurements and the camera pose
+const PRECISION = 3;
+
+// Guide toggles in the link, in the order they're listed
+const GUIDE_KEYS = ['trim', 'bleed', 'safe', 'folds', 'ruler', 'rulerLabels'];
+
+let updateTimer = null;
+
+let getShareStateCallback = null;
+let applyShareStateCallback = null;
+
+/**
+ * Apply the link the page was opened with and keep the hash updated
+ * @param {Function} getShareState - Returns { size, stock, fold, guides, view } as encodeShareState takes it
+ * @param {Function} applyShareState - Called with a decoded state (only the parts the link sets)
+ */
+export function initShareLink(getShareState, applyShareState) {
+    getShareStateCallback = getShareState;
+    applyShareStateCallback = applyShareState;
+
+    applyHash();
+
+    // A link pasted into the address bar of an open tab
+    window.addEventListener('hashchange', applyHash);
+
+    // Settings and toggles fire change events; the camera fires 'end'
+    document.addEventListener('change', scheduleShareLinkUpdate);
+    getControls()?.addEventListener('end', scheduleShareLinkUpdate);
+}
+
+/**
+ * Rewrite the hash shortly, after a burst of changes settles
+ */
+export function scheduleShareLinkUpdate() {
+    if (!getShareStateCallback) return;
+    clearTimeout(updateTimer);
+    updateTimer = setTimeout(updateHash, UPDATE_DELAY);
+}
+
+/**
+ * Encode layout settings as a hash
+ * e.g. size=11x17&fold=double-gate-fold&orientation=horizontal&bleed=0.125&safe=0.25
+ * @param {Object} state - { size: { width, height }, stock, fold: { foldType, orientation, panelCount },
+ *     guides: { visible, bleedMargin, safeMargin }, view: { position, target, grid } }
+ * @returns {string} Hash without the leading '#'
+ */
+export function encodeShareState(state) {
+    const params = new URLSearchParams();
+    const { size, stock, fold, guides, view } = state;
+
+    params.set('size', `${round(size.width)}x${round(size.height)}`);
+    if (stock) params.set('stock', stock);
+    params.set('fold', fold.foldType);
+    params.set('orientation', fold.orientation);
+    if (fold.panelCount) params.set('panels', String(fold.panelCount));
+    params.set('bleed', String(round(guides.bleedMargin)));
+    params.set('safe', String(round(guides.safeMargin)));
+
+    const visible = GUIDE_KEYS.filter(key => guides.visible[key]);
+    if (view.grid) visible.push('grid');
+    params.set('guides', visible.join(','));
+
+    params.set('camera', [...view.position, ...view.target].map(round).join(','));
+
+    // Commas and the 'x' read better unescaped
+    return params.toString().replace(/%2C/g, ',');
+}
+
+/**
+ * Decode a hash written by encodeShareState
+ * Missing or malformed values are left out, so a hand-written link with only
+ * some settings still works.
+ * @param {string} hash - With or without the leading '#'
+ * @returns {Object|null} { size?, stock?, fold?, guides?, view? }, or null when the hash holds no settings
+ */
+export function decodeShareState(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const state = {};
+
+    const size = params.get('size')?.match(/^(\d*\.?\d+)x(\d*\.?\d+)$/i);
+    if (size && parseFloat(size[1]) > 0 && parseFloat(size[2]) > 0) {
+        state.size = { width: parseFloat(size[1]), height: parseFloat(size[2]) };
+    }
+
+    if (params.has('stock')) state.stock = params.get('stock');
+
+    if (params.has('fold') || params.has('orientation') || params.has('panels')) {
+        state.fold = {};
+        if (params.has('fold')) state.fold.foldType = params.get('fold');
+        if (params.has('orientation')) state.fold.orientation = params.get('orientation');
+        const panelCount = parseInt(params.get('panels'), 10);
+        if (panelCount > 0) state.fold.panelCount = panelCount;
+    }
+
+    const bleed = parseFloat(params.get('bleed'));
+    const safe = parseFloat(params.get('safe'));
+    if (params.has('guides') || bleed >= 0 || safe >= 0) {
+        state.guides = {};
+        if (bleed >= 0) state.guides.bleedMargin = bleed;
+        if (safe >= 0) state.guides.safeMargin = safe;
+    }
+
+    if (params.has('guides')) {
+        const listed = params.get('guides').split(',');
+        state.guides.visible = Object.fromEntries(GUIDE_KEYS.map(key => [key, listed.includes(key)]));
+        state.view = { grid: listed.includes('grid') };
+    }
+
+    const camera = (params.get('camera') || '').split(',').map(parseFloat);
+    if (camera.length === 6 && camera.every(Number.isFinite)) {
+        state.view = { ...state.view, position: camera.slice(0, 3), target: camera.slice(3) };
+    }
+
+    return Object.keys(state).length > 0 ? state : null;
+}
+
+/**
+ * Apply the settings in the current hash, if any
+ */
+function applyHash() {
+    const state = decodeShareState(window.location.hash);
+    if (state) applyShareStateCallback(state);
+}
+
+/**
+ * Write the current settings to the hash
+ * replaceState keeps every tweak out of the back button's history.
+ */
+function updateHash() {
+    const hash = encodeShareState(getShareStateCallback());
+    if (window.location.hash.replace(/^#/, '') === hash) return;
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}#${hash}`);
+}
+
+/**
+ * Round a number for the link
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+    const factor = 10 ** PRECISION;
+    return Math.round(value * factor) / factor;
+}
@@ -1,6 +1,6 @@
 /**
  * Size Parser Module
- * Handles parsing of fractional measurements and size presets
+ * Handles parsing of fractional measurements, size presets and paper stock
  */
 
 // Preset paper sizes (in inches)
@@ -13,8 +13,22 @@ const SIZE_PRESETS = {
     'custom': { width: 0, height: 0, label: 'Custom Size...' }
 };
 
+// Paper stocks
+// caliper    - Sheet thickness in inches
+// gsm        - Basis weight in grams per square meter
+// finish     - 'uncoated', 'matte' or 'gloss' (drives surface sheen)
+// springback - How far a single fold springs open, in radians; stiffer
+//              stocks open further when wrapped around other panels
+const PAPER_STOCKS = {
+    '80-text': { caliper: 0.0045, gsm: 118, finish: 'uncoated', springback: 0.01, label: '80# Text (Uncoated)' },
+    '100-gloss-text': { caliper: 0.0045, gsm: 148, finish: 'gloss', springback: 0.02, label: '100# Gloss Text' },
+    '80-cover': { caliper: 0.0095, gsm: 216, finish: 'matte', springback: 0.06, label: '80# Cover (Matte)' },
+    '14pt-cover': { caliper: 0.014, gsm: 300, finish: 'gloss', springback: 0.12, label: '14pt Cover (C2S)' }
+};
+
 // Current size state
 let currentSize = { ...SIZE_PRESETS['letter'] };
+let currentStock = '80-text';
 
 // Callback for size changes
 let onSizeChangeCallback = null;
@@ -29,6 +43,7 @@ export function initSizeParser(onSizeChange) {
     const sizePreset = document.getElementById('size-preset');
     const customSection = document.getElementById('custom-size-section');
     const applyBtn = document.getElementById('apply-custom-size');
+    const stockSelect = document.getElementById('paper-stock');
     
     // Handle preset selection
     sizePreset.addEventListener('change', (e) => {
@@ -57,6 +72,13 @@ export function initSizeParser(onSizeChange) {
         }
     });
     
+    // Handle paper stock selection
+    if (stockSelect) {
+        stockSelect.addEventListener('change', (e) => {
+            setStock(e.target.value);
+        });
+    }
+    
     // Initialize display
     updateSizeDisplay();
 }
@@ -172,6 +194,29 @@ export function formatMeasurement(inches) {
     return `${inches.toFixed(2)}"`;
 }
 
+/**
+ * Format a measurement exactly, as a fraction when it falls on one
+ * Unlike formatMeasurement this never rounds to a nearby fraction, so it
+ * suits values the user edits back (e.g. panel widths to 1/64").
+ * @param {number} inches - The measurement in inches
+ * @param {number} maxDenominator - Finest fraction to use
+ * @returns {string} Formatted string
+ */
+export function formatFractionalMeasurement(inches, maxDenominator = 64) {
+    const units = Math.round(inches * maxDenominator);
+    if (Math.abs(units / maxDenominator - inches) > 0.0005) {
+        return `${inches.toFixed(3)}"`;
+    }
+    
+    const whole = Math.floor(units / maxDenominator);
+    const num = units - whole * maxDenominator;
+    if (num === 0) return `${whole}"`;
+    
+    const gcd = greatestCommonDivisor(num, maxDenominator);
+    const fraction = `${num / gcd}/${maxDenominator / gcd}`;
+    return whole > 0 ? `${whole} ${fraction}"` : `${fraction}"`;
+}
+
 /**
  * Calculate greatest common divisor
  * @param {number} a 
@@ -201,26 +246,66 @@ function setSize(width, height) {
     }
 }
 
+/**
+ * Set the paper stock
+ * Stock is part of the size settings, so listeners are notified as a size change.
+ * @param {string} stock - Key from PAPER_STOCKS
+ */
+export function setStock(stock) {
+    if (!PAPER_STOCKS[stock]) return;
+    currentStock = stock;
+    
+    const stockSelect = document.getElementById('paper-stock');
+    if (stockSelect) {
+        stockSelect.value = stock;
+    }
+    
+    updateSizeDisplay();
+    
+    if (onSizeChangeCallback) {
+        onSizeChangeCallback(getCurrentSize());
+    }
+}
+
 /**
  * Update the size display
  */
 function updateSizeDisplay() {
     const display = document.getElementById('current-size');
+    if (!display) return;
     display.textContent = currentSize.label;
+    display.title = `${PAPER_STOCKS[currentStock].label}, ${PAPER_STOCKS[currentStock].caliper}" caliper`;
 }
 
 /**
  * Get the current size
- * @returns {Object} Current size with width, height in inches
+ * @returns {Object} Current size with width, height in inches and the paper stock
  */
 export function getCurrentSize() {
     return {
         width: currentSize.width,
         height: currentSize.height,
-        aspectRatio: currentSize.width / currentSize.height
+        aspectRatio: currentSize.width / currentSize.height,
+        stock: { key: currentStock, ...PAPER_STOCKS[currentStock] }
     };
 }
 
+/**
+ * Get the current paper stock key
+ * @returns {string}
+ */
+export function getCurrentStock() {
+    return currentStock;
+}
+
+/**
+ * Get all available paper stocks
+ * @returns {Object}
+ */
+export function getStocks() {
+    return PAPER_STOCKS;
+}
+
 /**
  * Get all available presets
  * @returns {Object}
@@ -229,6 +314,55 @@ export function getPresets() {
     return SIZE_PRESETS;
 }
 
+/**
+ * Get the size settings a project saves
+ * @returns {{ preset: string, width: number, height: number, stock: string }}
+ */
+export function getSizeState() {
+    const sizePreset = document.getElementById('size-preset');
+    return {
+        preset: sizePreset ? sizePreset.value : 'custom',
+        width: currentSize.width,
+        height: currentSize.height,
+        stock: currentStock
+    };
+}
+
+/**
+ * Restore size settings saved by getSizeState
+ * Listeners are notified once, as for a size change.
+ * @param {{ preset: string, width: number, height: number, stock: string }} state
+ */
+export function setSizeState(state) {
+    if (!(state.width > 0) || !(state.height > 0)) return;
+    if (PAPER_STOCKS[state.stock]) currentStock = state.stock;
+
+    const preset = SIZE_PRESETS[state.preset] && state.preset !== 'custom' ? state.preset : 'custom';
+    const sizePreset = document.getElementById('size-preset');
+    const customSection = document.getElementById('custom-size-section');
+    const customWidth = document.getElementById('custom-width');
+    const customHeight = document.getElementById('custom-height');
+    const stockSelect = document.getElementById('paper-stock');
+
+    if (sizePreset) sizePreset.value = preset;
+    if (customSection) customSection.hidden = preset !== 'custom';
+    if (preset === 'custom') {
+        if (customWidth) customWidth.value = state.width.toString();
+        if (customHeight) customHeight.value = state.height.toString();
+    }
+    if (stockSelect) stockSelect.value = currentStock;
+
+    if (preset === 'custom') {
+        setSize(state.width, state.height);
+    } else {
+        currentSize = { ...SIZE_PRESETS[preset] };
+        updateSizeDisplay();
+        if (onSizeChangeCallback) {
+            onSizeChangeCallback(getCurrentSize());
+        }
+    }
+}
+
 /**
  * Set size from external source (e.g. image dimensions)
  * Updates preset to custom and syncs UI
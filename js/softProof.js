@@ -0,0 +1,261 @@
+/**
+ * Soft Proof Module
+ * Simulates how RGB artwork reproduces in CMYK on coated stock, and flags
+ * colors the press can't reach
+ */
+
+import { LUT_SIZE, buildProofTable } from './proofTable.js';
+
+// Color difference (CIE76 delta E) above which a color counts as out of gamut
+const GAMUT_THRESHOLD = 6;
+
+// Out-of-gamut pixels are blended toward this color on the panels
+const WARNING_COLOR = [255, 0, 255];
+const WARNING_OPACITY = 0.7;
+
+// Longest side (px) proofed textures are rendered at
+const PROOF_MAX_SIZE = 2048;
+
+// State
+let softProofEnabled = false;
+let gamutWarningEnabled = false;
+let onSoftProofChangeCallback = null;
+let lutPromise = null;
+
+// Proofed canvases per upload, one per gamut warning setting
+const proofCache = new WeakMap();
+
+/**
+ * Initialize the soft proof toggles
+ * @param {Function} onSoftProofChange - Callback when proofing is turned on/off or the gamut warning changes
+ */
+export function initSoftProof(onSoftProofChange) {
+    onSoftProofChangeCallback = onSoftProofChange;
+
+    const proofToggle = document.getElementById('soft-proof');
+    const warningToggle = document.getElementById('gamut-warning');
+    const submenu = document.getElementById('soft-proof-submenu');
+
+    if (proofToggle) {
+        proofToggle.addEventListener('change', (e) => {
+            softProofEnabled = e.target.checked;
+            if (submenu) submenu.hidden = !e.target.checked;
+            notifySoftProofChange();
+        });
+    }
+
+    if (warningToggle) {
+        warningToggle.addEventListener('change', (e) => {
+            gamutWarningEnabled = e.target.checked;
+            notifySoftProofChange();
+        });
+    }
+}
+
+/**
+ * Whether textures should be soft proofed
+ * @returns {boolean}
+ */
+export function isSoftProofEnabled() {
+    return softProofEnabled;
+}
+
+/**
+ * Whether out-of-gamut pixels are tinted while proofing
+ * @returns {boolean}
+ */
+export function isGamutWarningEnabled() {
+    return gamutWarningEnabled;
+}
+
+/**
+ * Get the soft proof settings a project saves
+ * @returns {{ enabled: boolean, gamutWarning: boolean }}
+ */
+export function getSoftProofState() {
+    return { enabled: softProofEnabled, gamutWarning: gamutWarningEnabled };
+}
+
+/**
+ * Restore soft proof settings saved by getSoftProofState
+ * Listeners are only notified if something changed.
+ * @param {{ enabled: boolean, gamutWarning: boolean }} state
+ */
+export function setSoftProofState(state) {
+    const enabled = !!state.enabled;
+    const gamutWarning = !!state.gamutWarning;
+    if (enabled === softProofEnabled && gamutWarning === gamutWarningEnabled) return;
+    softProofEnabled = enabled;
+    gamutWarningEnabled = gamutWarning;
+
+    const proofToggle = document.getElementById('soft-proof');
+    const warningToggle = document.getElementById('gamut-warning');
+    const submenu = document.getElementById('soft-proof-submenu');
+    if (proofToggle) proofToggle.checked = softProofEnabled;
+    if (warningToggle) warningToggle.checked = gamutWarningEnabled;
+    if (submenu) submenu.hidden = !softProofEnabled;
+
+    notifySoftProofChange();
+}
+
+/**
+ * Get the soft proof of an upload
+ * @param {Object} image - Entry from getImages()
+ * @param {boolean} warning - Tint out-of-gamut pixels
+ * @returns {Promise<{ canvas: HTMLCanvasElement, outOfGamut: number }>} Proofed pixels and the share (0 to 1) out of gamut
+ */
+export function proofImage(image, warning) {
+    let entries = proofCache.get(image);
+    if (!entries) {
+        entries = new Map();
+        proofCache.set(image, entries);
+    }
+    if (!entries.has(warning)) {
+        const proof = renderProof(image, warning);
+        entries.set(warning, proof);
+        // A failed proof isn't kept, so the next request tries again
+        proof.catch(() => {
+            if (entries.get(warning) === proof) entries.delete(warning);
+        });
+    }
+    return entries.get(warning);
+}
+
+/**
+ * Notify that the soft proof settings changed
+ */
+function notifySoftProofChange() {
+    if (onSoftProofChangeCallback) {
+        onSoftProofChangeCallback();
+    }
+}
+
+/**
+ * Decode an upload and run every pixel through the press profile
+ * @param {Object} image - Entry from getImages()
+ * @param {boolean} warning - Tint out-of-gamut pixels
+ * @returns {Promise<{ canvas: HTMLCanvasElement, outOfGamut: number }>}
+ */
+async function renderProof(image, warning) {
+    const img = new Image();
+    img.src = image.dataUrl;
+    await img.decode();
+
+    const scale = Math.min(1, PROOF_MAX_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+    const table = await getLut();
+    const pixels = context.getImageData(0, 0, canvas.width, canvas.height);
+    const outOfGamut = proofPixels(pixels.data, table, warning);
+    context.putImageData(pixels, 0, 0);
+
+    return { canvas, outOfGamut };
+}
+
+/**
+ * Replace RGBA pixels with their soft proof, in place
+ * @param {Uint8ClampedArray} data - RGBA pixels
+ * @param {Float32Array} table - From getLut
+ * @param {boolean} warning - Tint out-of-gamut pixels
+ * @returns {number} Share of visible pixels out of gamut
+ */
+function proofPixels(data, table, warning) {
+    const result = new Float32Array(4);
+    let visible = 0;
+    let outside = 0;
+
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 0) continue;
+        visible++;
+
+        lookup(table, data[i], data[i + 1], data[i + 2], result);
+        let r = result[0];
+        let g = result[1];
+        let b = result[2];
+
+        if (result[3] > GAMUT_THRESHOLD) {
+            outside++;
+            if (warning) {
+                r += (WARNING_COLOR[0] - r) * WARNING_OPACITY;
+                g += (WARNING_COLOR[1] - g) * WARNING_OPACITY;
+                b += (WARNING_COLOR[2] - b) * WARNING_OPACITY;
+            }
+        }
+
+        data[i] = r;
+        data[i + 1] = g;
+        data[i + 2] = b;
+    }
+
+    return visible > 0 ? outside / visible : 0;
+}
+
+/**
+ * Trilinear lookup of a color in the proof table
+ * @param {Float32Array} table - From getLut
+ * @param {number} r - 0-255
+ * @param {number} g - 0-255
+ * @param {number} b - 0-255
+ * @param {Float32Array} out - Receives proof r, g, b (0-255) and delta E
+ */
+function lookup(table, r, g, b, out) {
+    const step = 255 / (LUT_SIZE - 1);
+    const fr = Math.min(r / step, LUT_SIZE - 1.0001);
+    const fg = Math.min(g / step, LUT_SIZE - 1.0001);
+    const fb = Math.min(b / step, LUT_SIZE - 1.0001);
+    const r0 = Math.floor(fr);
+    const g0 = Math.floor(fg);
+    const b0 = Math.floor(fb);
+    const dr = fr - r0;
+    const dg = fg - g0;
+    const db = fb - b0;
+
+    for (let c = 0; c < 4; c++) out[c] = 0;
+    for (let corner = 0; corner < 8; corner++) {
+        const ir = corner & 1;
+        const ig = (corner >> 1) & 1;
+        const ib = (corner >> 2) & 1;
+        const weight = (ir ? dr : 1 - dr) * (ig ? dg : 1 - dg) * (ib ? db : 1 - db);
+        const index = (((r0 + ir) * LUT_SIZE + (g0 + ig)) * LUT_SIZE + (b0 + ib)) * 4;
+        for (let c = 0; c < 4; c++) out[c] += table[index + c] * weight;
+    }
+}
+
+/**
+ * Get the RGB to proof lookup table, building it the first time it's needed
+ * Solving 17³ ink separations takes about a second, so it runs in a worker;
+ * where workers can't load (e.g. the page opened from disk) it runs here.
+ * @returns {Promise<Float32Array>} From buildProofTable
+ */
+function getLut() {
+    if (!lutPromise) {
+        lutPromise = buildLutInWorker().catch((error) => {
+            console.warn('Building the soft proof table on the main thread:', error);
+            return buildProofTable();
+        });
+    }
+    return lutPromise;
+}
+
+/**
+ * Build the lookup table in proofTable.worker.js
+ * @returns {Promise<Float32Array>}
+ */
+function buildLutInWorker() {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('./proofTable.worker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = (e) => {
+            worker.terminate();
+            resolve(e.data);
+        };
+        worker.onerror = (e) => {
+            worker.terminate();
+            e.preventDefault();
+            reject(new Error(e.message || 'The soft proof worker failed to load'));
+        };
+    });
+}
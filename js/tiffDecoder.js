@@ -0,0 +1,575 @@
+/**
+ * TIFF Decoder Module
+ * Decodes TIFF files in JavaScript, since most browsers can't display them.
+ * Handles uncompressed, LZW, ZIP (Deflate) and PackBits data in strips or
+ * tiles, 1 to 16 bits per sample, grayscale, RGB, palette and CMYK images.
+ */
+
+// Baseline and extension tags used for decoding
+const TAGS = {
+    imageWidth: 256,
+    imageLength: 257,
+    bitsPerSample: 258,
+    compression: 259,
+    photometric: 262,
+    stripOffsets: 273,
+    samplesPerPixel: 277,
+    rowsPerStrip: 278,
+    stripByteCounts: 279,
+    planarConfiguration: 284,
+    predictor: 317,
+    colorMap: 320,
+    tileWidth: 322,
+    tileLength: 323,
+    tileOffsets: 324,
+    tileByteCounts: 325,
+    extraSamples: 338,
+    sampleFormat: 339
+};
+
+const COMPRESSION = {
+    none: 1,
+    lzw: 5,
+    deflate: 8,
+    adobeDeflate: 32946,
+    packBits: 32773
+};
+
+const PHOTOMETRIC = {
+    whiteIsZero: 0,
+    blackIsZero: 1,
+    rgb: 2,
+    palette: 3,
+    separated: 5
+};
+
+// Bytes per value for each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+// LZW control codes
+const LZW_CLEAR = 256;
+const LZW_END = 257;
+
+/**
+ * Decode the first image in a TIFF file
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<{ width: number, height: number, data: Uint8ClampedArray }>} RGBA pixels
+ */
+export async function decodeTiff(buffer) {
+    const view = new DataView(buffer);
+    const order = String.fromCharCode(view.getUint8(0), view.getUint8(1));
+    if (order !== 'II' && order !== 'MM') {
+        throw new Error('Not a TIFF file');
+    }
+    const little = order === 'II';
+    if (view.getUint16(2, little) !== 42) {
+        throw new Error('BigTIFF files are not supported');
+    }
+
+    const tags = readIfd(view, view.getUint32(4, little), little);
+    const image = describeImage(tags);
+    const planes = image.planar ? image.samplesPerPixel : 1;
+    const blocks = getBlocks(tags, image);
+
+    // Separate planes are gathered first, then combined into pixels
+    const output = new Uint8ClampedArray(image.width * image.height * 4);
+    const planeData = image.planar ? [] : null;
+    if (planeData) {
+        for (let p = 0; p < planes; p++) planeData.push(new Uint8Array(image.width * image.height));
+    }
+
+    for (let plane = 0; plane < planes; plane++) {
+        for (let i = 0; i < blocks.perPlane; i++) {
+            const index = plane * blocks.perPlane + i;
+            const block = getBlockRect(image, blocks, i);
+            const samples = image.planar ? 1 : image.samplesPerPixel;
+            const rowBytes = Math.ceil(block.width * samples * image.bitsPerSample / 8);
+
+            const compressed = new Uint8Array(buffer, blocks.offsets[index], blocks.byteCounts[index]);
+            const bytes = await decompress(compressed, image.compression, rowBytes * block.height);
+            if (image.predictor === 2) {
+                undoPredictor(bytes, rowBytes, block, samples, image.bitsPerSample, little);
+            }
+
+            writeBlock(bytes, rowBytes, block, samples, image, little, planeData ? planeData[plane] : output);
+        }
+    }
+
+    if (planeData) combinePlanes(planeData, image, output);
+    return { width: image.width, height: image.height, data: output };
+}
+
+/**
+ * Read every entry of an image file directory
+ * @param {DataView} view
+ * @param {number} offset - Offset of the IFD
+ * @param {boolean} little - Little-endian byte order
+ * @returns {Map<number, Array<number>>} Tag to values
+ */
+function readIfd(view, offset, little) {
+    const tags = new Map();
+    const count = view.getUint16(offset, little);
+
+    for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        const tag = view.getUint16(entry, little);
+        const type = view.getUint16(entry + 2, little);
+        const length = view.getUint32(entry + 4, little);
+        const size = TYPE_SIZES[type];
+        if (!size) continue;
+
+        // Values that fit in four bytes are stored in the entry itself
+        const valueOffset = size * length <= 4 ? entry + 8 : view.getUint32(entry + 8, little);
+        const values = [];
+        for (let v = 0; v < length; v++) {
+            values.push(readValue(view, valueOffset + v * size, type, little));
+        }
+        tags.set(tag, values);
+    }
+    return tags;
+}
+
+/**
+ * Read one value of a TIFF field type
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {number} type - TIFF field type
+ * @param {boolean} little
+ * @returns {number}
+ */
+function readValue(view, offset, type, little) {
+    switch (type) {
+        case 3: return view.getUint16(offset, little);
+        case 4: return view.getUint32(offset, little);
+        case 5: return view.getUint32(offset, little) / view.getUint32(offset + 4, little);
+        case 6: return view.getInt8(offset);
+        case 8: return view.getInt16(offset, little);
+        case 9: return view.getInt32(offset, little);
+        case 10: return view.getInt32(offset, little) / view.getInt32(offset + 4, little);
+        case 11: return view.getFloat32(offset, little);
+        case 12: return view.getFloat64(offset, little);
+        default: return view.getUint8(offset);
+    }
+}
+
+/**
+ * Pull the layout of the image out of its tags and check it can be decoded
+ * @param {Map<number, Array<number>>} tags
+ * @returns {Object} Image description
+ */
+function describeImage(tags) {
+    const get = (tag, fallback) => (tags.has(tag) ? tags.get(tag)[0] : fallback);
+
+    const image = {
+        width: get(TAGS.imageWidth, 0),
+        height: get(TAGS.imageLength, 0),
+        bitsPerSample: get(TAGS.bitsPerSample, 1),
+        compression: get(TAGS.compression, COMPRESSION.none),
+        photometric: get(TAGS.photometric, PHOTOMETRIC.blackIsZero),
+        samplesPerPixel: get(TAGS.samplesPerPixel, 1),
+        planar: get(TAGS.planarConfiguration, 1) === 2,
+        predictor: get(TAGS.predictor, 1),
+        colorMap: tags.get(TAGS.colorMap) || null,
+        extraSamples: tags.get(TAGS.extraSamples) || []
+    };
+
+    if (!image.width || !image.height) {
+        throw new Error('TIFF has no image size');
+    }
+    if (![1, 2, 4, 8, 16].includes(image.bitsPerSample)) {
+        throw new Error(`${image.bitsPerSample}-bit TIFFs are not supported`);
+    }
+    if ((tags.get(TAGS.bitsPerSample) || []).some(bits => bits !== image.bitsPerSample)) {
+        throw new Error('TIFFs with mixed bit depths are not supported');
+    }
+    if (get(TAGS.sampleFormat, 1) !== 1) {
+        throw new Error('Only integer TIFF samples are supported');
+    }
+    if (!Object.values(COMPRESSION).includes(image.compression)) {
+        throw new Error(`TIFF compression ${image.compression} is not supported (use none, LZW or ZIP)`);
+    }
+    if (!Object.values(PHOTOMETRIC).includes(image.photometric)) {
+        throw new Error(`TIFF color type ${image.photometric} is not supported`);
+    }
+    if (image.photometric === PHOTOMETRIC.palette && (!image.colorMap || image.bitsPerSample > 8)) {
+        throw new Error('Palette TIFF has no usable color map');
+    }
+
+    // Color channels come first; an alpha channel follows as the first extra sample
+    image.colorSamples = {
+        [PHOTOMETRIC.rgb]: 3,
+        [PHOTOMETRIC.separated]: 4
+    }[image.photometric] || 1;
+    if (image.samplesPerPixel < image.colorSamples) {
+        throw new Error('TIFF has fewer channels than its color type needs');
+    }
+    const alphaType = image.extraSamples[0];
+    image.alpha = image.samplesPerPixel > image.colorSamples && (alphaType === 1 || alphaType === 2)
+        ? { index: image.colorSamples, premultiplied: alphaType === 1 }
+        : null;
+
+    return image;
+}
+
+/**
+ * Get the strips or tiles the image data is stored in
+ * @param {Map<number, Array<number>>} tags
+ * @param {Object} image - From describeImage
+ * @returns {Object} { offsets, byteCounts, tileWidth, tileHeight, across, perPlane }
+ */
+function getBlocks(tags, image) {
+    const isTiled = tags.has(TAGS.tileOffsets);
+    const offsets = tags.get(isTiled ? TAGS.tileOffsets : TAGS.stripOffsets);
+    const byteCounts = tags.get(isTiled ? TAGS.tileByteCounts : TAGS.stripByteCounts);
+    if (!offsets || !byteCounts) {
+        throw new Error('TIFF has no image data');
+    }
+
+    // Strips are tiles as wide as the image
+    const tileWidth = isTiled ? tags.get(TAGS.tileWidth)[0] : image.width;
+    const tileHeight = isTiled
+        ? tags.get(TAGS.tileLength)[0]
+        : Math.min(image.height, tags.has(TAGS.rowsPerStrip) ? tags.get(TAGS.rowsPerStrip)[0] : image.height);
+    const across = Math.ceil(image.width / tileWidth);
+    const perPlane = across * Math.ceil(image.height / tileHeight);
+
+    const planes = image.planar ? image.samplesPerPixel : 1;
+    if (offsets.length < perPlane * planes) {
+        throw new Error('TIFF image data is incomplete');
+    }
+
+    return { offsets, byteCounts, tileWidth, tileHeight, across, perPlane };
+}
+
+/**
+ * Get where a strip or tile sits in the image
+ * Tiles keep their full size even where they hang over the image edge.
+ * @param {Object} image - From describeImage
+ * @param {Object} blocks - From getBlocks
+ * @param {number} index - Block index within its plane
+ * @returns {{ x: number, y: number, width: number, height: number }}
+ */
+function getBlockRect(image, blocks, index) {
+    const x = (index % blocks.across) * blocks.tileWidth;
+    const y = Math.floor(index / blocks.across) * blocks.tileHeight;
+    const isStrip = blocks.tileWidth === image.width;
+    return {
+        x,
+        y,
+        width: blocks.tileWidth,
+        height: isStrip ? Math.min(blocks.tileHeight, image.height - y) : blocks.tileHeight
+    };
+}
+
+/**
+ * Decompress one strip or tile
+ * @param {Uint8Array} data - Compressed bytes
+ * @param {number} compression - TIFF compression code
+ * @param {number} length - Expected size once decompressed
+ * @returns {Promise<Uint8Array>}
+ */
+async function decompress(data, compression, length) {
+    switch (compression) {
+        case COMPRESSION.lzw:
+            return decodeLzw(data, length);
+        case COMPRESSION.deflate:
+        case COMPRESSION.adobeDeflate:
+            return inflate(data);
+        case COMPRESSION.packBits:
+            return decodePackBits(data, length);
+        default:
+            return data.slice();
+    }
+}
+
+/**
+ * Decode TIFF LZW data (MSB-first codes, widths growing one code early)
+ * @param {Uint8Array} input
+ * @param {number} length - Expected size once decoded
+ * @returns {Uint8Array}
+ */
+function decodeLzw(input, length) {
+    const output = new Uint8Array(length);
+    const prefix = new Int16Array(4096);
+    const suffix = new Uint8Array(4096);
+    const first = new Uint8Array(4096);
+    const sizes = new Uint16Array(4096);
+    for (let i = 0; i < 256; i++) {
+        suffix[i] = i;
+        first[i] = i;
+        sizes[i] = 1;
+        prefix[i] = -1;
+    }
+
+    let outPos = 0;
+    let bitPos = 0;
+    let codeLength = 9;
+    let next = 258;
+    let previous = -1;
+    const totalBits = input.length * 8;
+
+    // Write a table entry by walking its prefix chain back from the last byte
+    const writeEntry = (code) => {
+        const size = sizes[code];
+        let pos = outPos + size - 1;
+        for (let c = code; c !== -1; c = prefix[c]) {
+            if (pos < length) output[pos] = suffix[c];
+            pos--;
+        }
+        outPos += size;
+    };
+
+    while (bitPos + codeLength <= totalBits && outPos < length) {
+        // Read the next code, most significant bit first
+        let code = 0;
+        for (let i = 0; i < codeLength; i++) {
+            const bit = (input[bitPos >> 3] >> (7 - (bitPos & 7))) & 1;
+            code = (code << 1) | bit;
+            bitPos++;
+        }
+
+        if (code === LZW_END) break;
+        if (code === LZW_CLEAR) {
+            codeLength = 9;
+            next = 258;
+            previous = -1;
+            continue;
+        }
+
+        if (previous === -1) {
+            writeEntry(code);
+            previous = code;
+            continue;
+        }
+
+        const firstByte = code < next ? first[code] : first[previous];
+        if (next < 4096) {
+            prefix[next] = previous;
+            suffix[next] = firstByte;
+            first[next] = first[previous];
+            sizes[next] = sizes[previous] + 1;
+            next++;
+        }
+        writeEntry(code);
+        previous = code;
+
+        if (next >= (1 << codeLength) - 1 && codeLength < 12) {
+            codeLength++;
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Decode PackBits run-length data
+ * @param {Uint8Array} input
+ * @param {number} length - Expected size once decoded
+ * @returns {Uint8Array}
+ */
+function decodePackBits(input, length) {
+    const output = new Uint8Array(length);
+    let inPos = 0;
+    let outPos = 0;
+
+    while (inPos < input.length && outPos < length) {
+        const header = (input[inPos++] << 24) >> 24;
+        if (header >= 0) {
+            // Literal run of header + 1 bytes
+            const count = Math.min(header + 1, length - outPos);
+            output.set(input.subarray(inPos, inPos + count), outPos);
+            inPos += header + 1;
+            outPos += count;
+        } else if (header !== -128) {
+            // One byte repeated 1 - header times
+            const count = Math.min(1 - header, length - outPos);
+            output.fill(input[inPos++], outPos, outPos + count);
+            outPos += count;
+        }
+    }
+    return output;
+}
+
+/**
+ * Inflate zlib-wrapped Deflate data with the browser's decompression stream
+ * @param {Uint8Array} input
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflate(input) {
+    const stream = new Blob([input]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Undo horizontal differencing (predictor 2) in place
+ * @param {Uint8Array} bytes - Decompressed block
+ * @param {number} rowBytes - Bytes per block row
+ * @param {Object} block - From getBlockRect
+ * @param {number} samples - Samples per pixel in this block
+ * @param {number} bits - Bits per sample (8 or 16)
+ * @param {boolean} little - Little-endian byte order
+ */
+function undoPredictor(bytes, rowBytes, block, samples, bits, little) {
+    const rowValues = block.width * samples;
+
+    for (let row = 0; row < block.height; row++) {
+        const start = row * rowBytes;
+        if (bits === 8) {
+            for (let i = samples; i < rowValues; i++) {
+                bytes[start + i] = (bytes[start + i] + bytes[start + i - samples]) & 0xff;
+            }
+        } else if (bits === 16) {
+            const view = new DataView(bytes.buffer, bytes.byteOffset + start, rowValues * 2);
+            for (let i = samples; i < rowValues; i++) {
+                const value = (view.getUint16(i * 2, little) + view.getUint16((i - samples) * 2, little)) & 0xffff;
+                view.setUint16(i * 2, value, little);
+            }
+        }
+    }
+}
+
+/**
+ * Read the samples of one block row
+ * @param {Uint8Array} bytes - Decompressed block
+ * @param {number} start - Offset of the row
+ * @param {number} count - Number of samples
+ * @param {number} bits - Bits per sample
+ * @param {boolean} little - Little-endian byte order
+ * @returns {Uint16Array} Raw sample values
+ */
+function readRow(bytes, start, count, bits, little) {
+    const values = new Uint16Array(count);
+    if (bits === 8) {
+        values.set(bytes.subarray(start, start + count));
+    } else if (bits === 16) {
+        for (let i = 0; i < count; i++) {
+            const a = bytes[start + i * 2];
+            const b = bytes[start + i * 2 + 1];
+            values[i] = little ? a | (b << 8) : (a << 8) | b;
+        }
+    } else {
+        // 1, 2 and 4 bit samples are packed from the high bit down
+        const perByte = 8 / bits;
+        const mask = (1 << bits) - 1;
+        for (let i = 0; i < count; i++) {
+            const byte = bytes[start + Math.floor(i / perByte)];
+            values[i] = (byte >> ((perByte - 1 - (i % perByte)) * bits)) & mask;
+        }
+    }
+    return values;
+}
+
+/**
+ * Copy a decoded block into the output
+ * Interleaved data is converted straight to RGBA; a separate plane is scaled
+ * to 8 bits and stored for combinePlanes.
+ * @param {Uint8Array} bytes - Decompressed block
+ * @param {number} rowBytes - Bytes per block row
+ * @param {Object} block - From getBlockRect
+ * @param {number} samples - Samples per pixel in this block
+ * @param {Object} image - From describeImage
+ * @param {boolean} little - Little-endian byte order
+ * @param {Uint8ClampedArray|Uint8Array} target - RGBA output, or one plane
+ */
+function writeBlock(bytes, rowBytes, block, samples, image, little, target) {
+    const width = Math.min(block.width, image.width - block.x);
+    const height = Math.min(block.height, image.height - block.y);
+    const max = (1 << image.bitsPerSample) - 1;
+    const pixel = new Uint8Array(image.samplesPerPixel);
+
+    for (let row = 0; row < height; row++) {
+        if ((row + 1) * rowBytes > bytes.length) break;
+        const values = readRow(bytes, row * rowBytes, block.width * samples, image.bitsPerSample, little);
+        const y = block.y + row;
+
+        for (let col = 0; col < width; col++) {
+            const index = y * image.width + block.x + col;
+
+            if (image.planar) {
+                target[index] = Math.round(values[col] * 255 / max);
+                continue;
+            }
+
+            // Palette indexes stay raw; every other sample is scaled to 0-255
+            for (let s = 0; s < samples; s++) {
+                const value = values[col * samples + s];
+                pixel[s] = image.photometric === PHOTOMETRIC.palette && s === 0
+                    ? value
+                    : Math.round(value * 255 / max);
+            }
+            writePixel(pixel, image, target, index * 4);
+        }
+    }
+}
+
+/**
+ * Combine separate sample planes into RGBA pixels
+ * @param {Array<Uint8Array>} planes - One 8-bit plane per sample
+ * @param {Object} image - From describeImage
+ * @param {Uint8ClampedArray} output - RGBA pixels
+ */
+function combinePlanes(planes, image, output) {
+    const pixel = new Uint8Array(planes.length);
+    for (let i = 0; i < image.width * image.height; i++) {
+        for (let s = 0; s < planes.length; s++) pixel[s] = planes[s][i];
+        writePixel(pixel, image, output, i * 4);
+    }
+}
+
+/**
+ * Convert one pixel's samples to RGBA
+ * CMYK is converted with a plain subtractive formula for display.
+ * @param {Uint8Array} pixel - 8-bit samples (raw index for palette images)
+ * @param {Object} image - From describeImage
+ * @param {Uint8ClampedArray} output
+ * @param {number} offset - Offset of the pixel in output
+ */
+function writePixel(pixel, image, output, offset) {
+    let r;
+    let g;
+    let b;
+
+    switch (image.photometric) {
+        case PHOTOMETRIC.whiteIsZero:
+            r = g = b = 255 - pixel[0];
+            break;
+        case PHOTOMETRIC.rgb:
+            r = pixel[0];
+            g = pixel[1];
+            b = pixel[2];
+            break;
+        case PHOTOMETRIC.palette: {
+            // The color map holds every red, then every green, then every blue (16-bit)
+            const size = image.colorMap.length / 3;
+            r = image.colorMap[pixel[0]] >> 8;
+            g = image.colorMap[size + pixel[0]] >> 8;
+            b = image.colorMap[size * 2 + pixel[0]] >> 8;
+            break;
+        }
+        case PHOTOMETRIC.separated: {
+            const k = 255 - pixel[3];
+            r = (255 - pixel[0]) * k / 255;
+            g = (255 - pixel[1]) * k / 255;
+            b = (255 - pixel[2]) * k / 255;
+            break;
+        }
+        default:
+            r = g = b = pixel[0];
+    }
+
+    let a = 255;
+    if (image.alpha) {
+        a = pixel[image.alpha.index];
+        // Associated alpha is premultiplied into the color
+        if (image.alpha.premultiplied && a > 0) {
+            r = r * 255 / a;
+            g = g * 255 / a;
+            b = b * 255 / a;
+        }
+    }
+
+    output[offset] = r;
+    output[offset + 1] = g;
+    output[offset + 2] = b;
+    output[offset + 3] = a;
+}
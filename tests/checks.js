@@ -0,0 +1,43 @@
+/**
+ * Checks Module
+ * A minimal runner for the checks in this folder: each check is a named
+ * function that throws (or rejects) when something is wrong
+ */
+
+// Registered checks: { name, fn }
+const checks = [];
+
+/**
+ * Register a check
+ * @param {string} name - Shown in the results
+ * @param {Function} fn - Throws or rejects on failure; may return a Promise
+ */
+export function check(name, fn) {
+    checks.push({ name, fn });
+}
+
+/**
+ * Fail the running check unless a condition holds
+ * @param {boolean} condition
+ * @param {string} message - Why the check failed
+ */
+export function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+/**
+ * Run every registered check in order
+ * @returns {Promise<Array<{ name: string, passed: boolean, error?: Error }>>}
+ */
+export async function runChecks() {
+    const results = [];
+    for (const { name, fn } of checks) {
+        try {
+            await fn();
+            results.push({ name, passed: true });
+        } catch (error) {
+            results.push({ name, passed: false, error });
+        }
+    }
+    return results;
+}
@@ -0,0 +1,109 @@
+/**
+ * USDZ export: the packages the app builds pass validateUsdz, with and without
+ * artwork, and the validator catches a damaged one
+ */
+
+import * as THREE from 'three';
+import { check, assert } from './checks.js';
+import { setStock, getCurrentSize } from '../js/sizeParser.js';
+import { setFoldType, setOrientation } from '../js/foldCalculator.js';
+import { createFoldMesh, getPaperGroup } from '../js/foldMesh.js';
+import { createUsdz, validateUsdz } from '../js/exportModel.js';
+
+const BLANK = { front: null, back: null };
+
+// The root layer is the first file, its data at the first 64-byte boundary
+const ROOT_LAYER_OFFSET = 64;
+
+// Zip local file header signature
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+/**
+ * Build a gate fold and package it
+ * @param {Object} [textures] - { front, back } artwork; blank by default
+ * @returns {Promise<Uint8Array>}
+ */
+async function createGateFoldUsdz(textures = BLANK) {
+    setStock('80-text');
+    setFoldType('gate-fold');
+    setOrientation('vertical');
+    createFoldMesh(getCurrentSize(), textures);
+    return createUsdz(getPaperGroup(), { progress: 1 });
+}
+
+/**
+ * Make a small two-tone texture to stand in for artwork
+ * @param {string} color - CSS color of the top half
+ * @returns {THREE.CanvasTexture}
+ */
+function createArtwork(color) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 32;
+    canvas.height = 32;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, 32, 32);
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, 32, 16);
+    return new THREE.CanvasTexture(canvas);
+}
+
+/**
+ * List the files in a zip by walking its local headers
+ * Read independently of validateUsdz, so the two don't share mistakes.
+ * @param {Uint8Array} bytes - A zip with stored (uncompressed) files
+ * @returns {Array<{ name: string, dataOffset: number, data: Uint8Array }>}
+ */
+function readZipEntries(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const entries = [];
+    let offset = 0;
+    while (offset + 30 <= bytes.length && view.getUint32(offset, true) === LOCAL_HEADER_SIGNATURE) {
+        const size = view.getUint32(offset + 18, true);
+        const nameLength = view.getUint16(offset + 26, true);
+        const extraLength = view.getUint16(offset + 28, true);
+        const name = new TextDecoder().decode(bytes.subarray(offset + 30, offset + 30 + nameLength));
+        const dataOffset = offset + 30 + nameLength + extraLength;
+        entries.push({ name, dataOffset, data: bytes.subarray(dataOffset, dataOffset + size) });
+        offset = dataOffset + size;
+    }
+    return entries;
+}
+
+check('A USDZ export is a valid package', async () => {
+    const problems = validateUsdz(await createGateFoldUsdz());
+    assert(problems.length === 0, problems.join('; '));
+});
+
+check('A USDZ export with artwork packs its textures aligned and referenced', async () => {
+    const usdz = await createGateFoldUsdz({ front: createArtwork('#c00000'), back: createArtwork('#0000c0') });
+    const problems = validateUsdz(usdz);
+    assert(problems.length === 0, problems.join('; '));
+
+    const entries = readZipEntries(usdz);
+    const textures = entries.filter(entry => entry.name.endsWith('.png'));
+    const layers = entries.filter(entry => entry.name.endsWith('.usda'));
+    assert(textures.length >= 2, `Expected a texture for each side, found ${textures.length}`);
+    assert(layers.length > 0, 'No USD layer in the package');
+
+    const text = layers.map(layer => new TextDecoder().decode(layer.data)).join('\n');
+    textures.forEach(texture => {
+        assert(texture.dataOffset % 64 === 0, `${texture.name} is not 64-byte aligned`);
+        assert(text.includes(`@${texture.name}@`), `${texture.name} is not referenced by a layer`);
+    });
+    for (const [, path] of text.matchAll(/@(textures\/[^@]+)@/g)) {
+        assert(textures.some(texture => texture.name === path), `${path} is referenced but not packed`);
+    }
+});
+
+check('The USDZ validator flags a damaged package', async () => {
+    const usdz = await createGateFoldUsdz();
+
+    const damaged = usdz.slice();
+    damaged[ROOT_LAYER_OFFSET] ^= 0xff;
+    const problems = validateUsdz(damaged);
+    assert(problems.some(problem => problem.endsWith('checksum mismatch')), `A changed byte was not flagged: ${problems.join('; ') || 'no problems'}`);
+
+    const cut = validateUsdz(usdz.subarray(0, usdz.length - 100));
+    assert(cut.length > 0, 'A cut-off package was not flagged');
+});
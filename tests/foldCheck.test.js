@@ -0,0 +1,75 @@
+/**
+ * Fold check: every fold the app sets up for itself closes cleanly
+ */
+
+import { check, assert } from './checks.js';
+import { getStocks, setStock, getCurrentSize } from '../js/sizeParser.js';
+import {
+    getAllFoldTypes,
+    setFoldType,
+    setPanelCount,
+    setOrientation,
+    getFoldState,
+    setFoldState
+} from '../js/foldCalculator.js';
+import { createFoldMesh } from '../js/foldMesh.js';
+import { checkFolds } from '../js/foldCheck.js';
+
+const BLANK = { front: null, back: null };
+
+/**
+ * Build the sheet for a layout and check it
+ * @param {Object} layout - { stock, foldType, panelCount?, orientation }
+ * @returns {Array<Object>} Issues from checkFolds
+ */
+function checkLayout({ stock, foldType, panelCount, orientation }) {
+    setStock(stock);
+    setFoldType(foldType);
+    if (panelCount) setPanelCount(panelCount);
+    setOrientation(orientation);
+    createFoldMesh(getCurrentSize(), BLANK);
+    return checkFolds();
+}
+
+check('Auto-compensated folds close without binding or intersecting', () => {
+    assert(getFoldState().autoCompensate, 'Auto compensation is off by default');
+
+    const failures = [];
+    Object.entries(getAllFoldTypes()).forEach(([foldType, info]) => {
+        (info.panelCounts || [null]).forEach(panelCount => {
+            Object.keys(getStocks()).forEach(stock => {
+                ['vertical', 'horizontal'].forEach(orientation => {
+                    const issues = checkLayout({ stock, foldType, panelCount, orientation });
+                    if (issues.length > 0) {
+                        const name = [foldType, panelCount, stock, orientation].filter(Boolean).join(' ');
+                        failures.push(`${name}: ${issues.map(issue => issue.message).join(', ')}`);
+                    }
+                });
+            });
+        });
+    });
+
+    assert(failures.length === 0, failures.join('; '));
+});
+
+check('A roll fold on thick stock binds without compensation', () => {
+    setStock('14pt-cover');
+    setFoldType('tri-fold-roll');
+    setPanelCount(3);
+    setOrientation('vertical');
+    const size = getCurrentSize();
+    const state = getFoldState();
+
+    // Equal panels leave no room for the crease wrapped around the inner panel
+    const share = size.width / 3;
+    setFoldState({
+        ...state,
+        autoCompensate: false,
+        customPanelWidths: { 'tri-fold-roll:3:vertical': [share, share, share] }
+    });
+    createFoldMesh(size, BLANK);
+    const issues = checkFolds();
+    setFoldState(state);
+
+    assert(issues.some(issue => issue.type === 'binding'), 'Equal panels on 14pt cover were not flagged');
+});
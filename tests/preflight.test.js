@@ -0,0 +1,30 @@
+/**
+ * Preflight resolution: uploads autofit scales to the sheet are judged at the
+ * size they print, not the resolution the file states
+ */
+
+import { check, assert } from './checks.js';
+import { getEffectivePpi } from '../js/preflight.js';
+
+const LETTER = { width: 8.5, height: 11 };
+
+check('An upload autofit enlarges prints at its scaled resolution', () => {
+    // 4.25 x 5.5 in at 300 dpi, stretched to twice that size
+    const image = { width: 1275, height: 1650, dpi: { x: 300, y: 300 } };
+    const ppi = getEffectivePpi(image, LETTER, true);
+    assert(Math.abs(ppi - 150) < 0.01, `Expected 150 PPI, got ${ppi}`);
+});
+
+check('An upload autofit shrinks prints at its scaled resolution', () => {
+    // 17 x 22 in at 150 dpi, shrunk to half that size
+    const image = { width: 2550, height: 3300, dpi: { x: 150, y: 150 } };
+    const ppi = getEffectivePpi(image, LETTER, true);
+    assert(Math.abs(ppi - 300) < 0.01, `Expected 300 PPI, got ${ppi}`);
+});
+
+check('An upload that covers the trim at its own size prints at its own resolution', () => {
+    // 8.75 x 11.25 in at 300 dpi: letter with 1/8 in bleed, printed at 100%
+    const image = { width: 2625, height: 3375, dpi: { x: 300, y: 300 } };
+    const ppi = getEffectivePpi(image, LETTER, false);
+    assert(Math.abs(ppi - 300) < 0.01, `Expected 300 PPI, got ${ppi}`);
+});
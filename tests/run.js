@@ -0,0 +1,27 @@
+/**
+ * Runs the checks and lists the results on the page
+ */
+
+import { runChecks } from './checks.js';
+import './foldCheck.test.js';
+import './exportModel.test.js';
+import './preflight.test.js';
+
+const results = await runChecks();
+const list = document.getElementById('results');
+const summary = document.getElementById('summary');
+const failed = results.filter(result => !result.passed);
+
+results.forEach(result => {
+    const item = document.createElement('li');
+    item.className = result.passed ? 'passed' : 'failed';
+    item.textContent = result.passed ? result.name : `${result.name}: ${result.error.message}`;
+    list.appendChild(item);
+
+    if (!result.passed) console.error(`FAIL ${result.name}`, result.error);
+});
+
+summary.textContent = failed.length > 0
+    ? `${failed.length} of ${results.length} checks failed`
+    : `All ${results.length} checks passed`;
+summary.className = failed.length > 0 ? 'failed' : 'passed';